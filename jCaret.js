@@ -6,6 +6,304 @@
  * Made With Love By: www.auktubli.com.
  */
 class jCaret {
+    /**
+     * @property instanceCount
+     * @description Number of editors created on the page, used to scope element ids.
+     */
+    static instanceCount = 0;
+    /**
+     * @property plugins
+     * @description Plugins registered with jCaret.use(); every editor created afterwards loads them.
+     */
+    static plugins = [];
+    /**
+     * @method use
+     * @description Registers a plugin for all editors created afterwards. A plugin is an object with a unique name and any of:
+     * commands ({name: (editor, value) => changed}), toolbar ({itemName: editor => element, or a registerButton() definition}),
+     * keymap ({shortcut: command}), hooks ({paste: (html, editor) => html, files: (files, editor) => filesLeft, serialize: (root, editor) => void,
+     * toolbarState: (state, editor) => void}),
+     * i18n ({en: {...}, ar: {...}}), modals ({name: editor => element}), init(editor) and destroy(editor).
+     * @param {object} plugin
+     * @returns {typeof jCaret}
+     */
+    static use(plugin) {
+        if (!plugin || !plugin.name) throw new Error('Plugin name is required');
+        jCaret.plugins = jCaret.plugins.filter(p => p.name !== plugin.name).concat(plugin);
+        return jCaret;
+    }
+    /**
+     * @property corePlugins
+     * @description The built-in features that are implemented as plugins. Leave some out with options.corePlugins.
+     */
+    static corePlugins = {
+        image: {
+            name: 'image',
+            toolbar: { image: editor => editor.createImageButton() },
+            modals: { imageURL: editor => (editor.imageURLModal = editor.createImageURLModal()) },
+            hooks: {
+                toolbarState: (state, editor) => {
+                    // The panel exists once init() has run
+                    if (editor.imagePanel) editor.updateImagePanel();
+                },
+                files: (files, editor) => {
+                    const images = files.filter(file => file.type.startsWith('image/'));
+                    if (images.length) editor.insertImageFiles(images);
+                    return files.filter(file => !images.includes(file));
+                }
+            },
+            init: editor => {
+                editor.imagePanel = editor.createImagePanel();
+                editor.addImageListeners();
+            }
+        },
+        emoji: {
+            name: 'emoji',
+            toolbar: { emoji: editor => editor.createEmojiPicker() },
+            init: editor => editor.addEmojiListeners()
+        },
+        table: {
+            name: 'table',
+            toolbar: {
+                table: editor => editor.createInsertTableButton(),
+                tableOperations: editor => editor.createTableOperations()
+            },
+            modals: { table: editor => (editor.tableModal = editor.createTableModal()) },
+            commands: {
+                insertTable: editor => editor.openTableModal(),
+                insertRowAbove: editor => editor.editTable('insertRowAbove'),
+                insertRowBelow: editor => editor.editTable('insertRowBelow'),
+                insertColumnLeft: editor => editor.editTable('insertColumnLeft'),
+                insertColumnRight: editor => editor.editTable('insertColumnRight'),
+                deleteRow: editor => editor.editTable('deleteRow'),
+                deleteColumn: editor => editor.editTable('deleteColumn'),
+                deleteTable: editor => editor.editTable('deleteTable'),
+                mergeCellRight: editor => editor.editTable('mergeCellRight'),
+                mergeCellDown: editor => editor.editTable('mergeCellDown'),
+                splitCell: editor => editor.editTable('splitCell'),
+                toggleHeaderRow: editor => editor.editTable('toggleHeaderRow'),
+                toggleHeaderColumn: editor => editor.editTable('toggleHeaderColumn'),
+                cellBackground: (editor, value) => editor.editTable('cellBackground', value),
+                cellAlignTop: editor => editor.editTable('cellAlignTop'),
+                cellAlignMiddle: editor => editor.editTable('cellAlignMiddle'),
+                cellAlignBottom: editor => editor.editTable('cellAlignBottom'),
+                downloadTableCSV: editor => editor.downloadTableCSV()
+            },
+            keymap: { 'Mod+Alt+T': 'insertTable' },
+            hooks: {
+                toolbarState: (state, editor) => {
+                    editor.tableOperationsButton.disabled = !state.isInTable;
+                    editor.updateCellSelectionOverlay();
+                },
+                command: (command, editor) => editor.applyCommandToCells(command)
+            },
+            init: editor => editor.addTableListeners()
+        },
+        code: {
+            name: 'code',
+            toolbar: {
+                inlineCode: editor => (editor.inlineCodeButton = editor.createButton({ command: 'inlineCode', title: editor.i18n.inlineCode, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M17.25 6.75L22.5 12l-5.25 5.25m-10.5 0L1.5 12l5.25-5.25m7.5-3l-4.5 16.5"/></svg>' })),
+                codeBlock: editor => (editor.codeBlockButton = editor.createButton({ command: 'codeBlock', title: editor.i18n.codeBlock, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M6.75 7.5l3 2.25-3 2.25m4.5 0h3m-9 8.25h13.5A2.25 2.25 0 0021 18V6a2.25 2.25 0 00-2.25-2.25H5.25A2.25 2.25 0 003 6v12a2.25 2.25 0 002.25 2.25z"/></svg>' }))
+            },
+            commands: {
+                inlineCode: editor => editor.toggleInlineCode(),
+                codeBlock: (editor, value) => editor.toggleCodeBlock(value),
+                codeLanguage: (editor, value) => editor.setCodeLanguage(value)
+            },
+            keymap: { 'Mod+E': 'inlineCode', 'Mod+Alt+C': 'codeBlock' },
+            hooks: {
+                toolbarState: ({ node }, editor) => {
+                    editor.inlineCodeButton.classList.toggle('is-active', !!(node && node.closest('code') && !node.closest('pre')));
+                    editor.codeBlockButton.classList.toggle('is-active', !!(node && node.closest('pre > code')));
+                    editor.updateCodeLanguageSelect();
+                },
+                command: (command, editor) => {
+                    // Code blocks hold plain text, so text formatting is ignored there
+                    const formatting = ['bold', 'italic', 'underline', 'strikethrough', 'superscript', 'subscript', 'foreColor', 'backColor',
+                        'fontName', 'fontSize', 'increaseFontSize', 'decreaseFontSize', 'inlineCode'];
+                    if (!command.handled && formatting.includes(command.cmd) && editor.getCodeBlock()) command.handled = true;
+                }
+            },
+            init: editor => {
+                editor.codeLanguageSelect = editor.createCodeLanguageSelect();
+                editor.addCodeListeners();
+            }
+        },
+        find: {
+            name: 'find',
+            toolbar: {
+                find: editor => editor.createButton({ command: 'find', title: editor.i18n.find, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M21 21l-5.197-5.197m0 0A7.5 7.5 0 105.196 5.196a7.5 7.5 0 0010.607 10.607z"/></svg>' })
+            },
+            commands: {
+                find: editor => editor.openFindPanel(false),
+                replace: editor => editor.openFindPanel(true)
+            },
+            keymap: { 'Mod+F': 'find', 'Mod+H': 'replace' },
+            init: editor => {
+                editor.findPanel = editor.createFindPanel();
+                editor.addFindListeners();
+            },
+            destroy: editor => editor.setFindHighlights(true)
+        }
+    };
+    /**
+     * @property codeLanguages
+     * @description The languages offered for code blocks (value -> label) when options.codeLanguages is not given.
+     * Values end up in the language-* class of the code element, the convention highlighters read.
+     */
+    static codeLanguages = {
+        plaintext: 'Plain text', javascript: 'JavaScript', typescript: 'TypeScript', html: 'HTML', css: 'CSS', json: 'JSON',
+        python: 'Python', java: 'Java', csharp: 'C#', php: 'PHP', sql: 'SQL', bash: 'Bash'
+    };
+    /**
+     * @property listStyles
+     * @description The marker styles offered for numbered (ol) and bulleted (ul) lists, as CSS list-style-type values.
+     */
+    static listStyles = {
+        ordered: ['decimal', 'lower-alpha', 'upper-alpha', 'lower-roman', 'upper-roman', 'arabic-indic'],
+        bulleted: ['disc', 'circle', 'square']
+    };
+    /**
+     * @property defaultToolbar
+     * @description The toolbar layout used when options.toolbar is not given. '|' is a divider.
+     */
+    static defaultToolbar = [
+        'undo', 'redo', '|', 'fontName', 'fontSize', 'blockFormat', '|',
+        'bold', 'italic', 'underline', 'strikethrough', 'superscript', 'subscript', 'blockquote', 'inlineCode', 'codeBlock', 'highlight', 'fontColor', 'removeFormat', '|',
+        'createLink', 'unlink', '|', 'align', '|', 'unorderedList', 'orderedList', 'checklist', 'outdentList', 'indentList', 'listOptions', '|',
+        'image', 'emoji', 'table', 'tableOperations', '|', 'find', 'clearAll', 'info'
+    ];
+    /**
+     * @property schema
+     * @description The JSON document model produced by toJSON() and accepted by fromJSON().
+     * Every node is {type, attrs?, content?}; text nodes are {type: 'text', text, marks?} and each mark is {type, attrs?}.
+     * Attribute specs list their type, whether they are required and, optionally, the allowed values.
+     */
+    static schema = {
+        version: 1,
+        nodes: {
+            doc: { content: ['paragraph', 'heading', 'codeBlock', 'blockquote', 'list', 'image', 'table'] },
+            paragraph: {
+                attrs: { dir: { type: 'string', enum: ['ltr', 'rtl'] }, align: { type: 'string', enum: ['left', 'center', 'right', 'justify'] } },
+                content: ['text', 'hardBreak']
+            },
+            heading: {
+                attrs: {
+                    level: { type: 'number', required: true, enum: [1, 2, 3, 4, 5, 6] },
+                    dir: { type: 'string', enum: ['ltr', 'rtl'] }, align: { type: 'string', enum: ['left', 'center', 'right', 'justify'] }
+                },
+                content: ['text', 'hardBreak']
+            },
+            codeBlock: { attrs: { dir: { type: 'string', enum: ['ltr', 'rtl'] }, language: { type: 'string' } }, content: ['text'] },
+            blockquote: { attrs: { dir: { type: 'string', enum: ['ltr', 'rtl'] } }, content: ['text', 'hardBreak'] },
+            list: {
+                attrs: {
+                    ordered: { type: 'boolean', required: true }, start: { type: 'number' }, dir: { type: 'string', enum: ['ltr', 'rtl'] },
+                    style: { type: 'string', enum: [...jCaret.listStyles.ordered, ...jCaret.listStyles.bulleted] }, checklist: { type: 'boolean' }
+                },
+                content: ['listItem']
+            },
+            listItem: { attrs: { dir: { type: 'string', enum: ['ltr', 'rtl'] }, checked: { type: 'boolean' } }, content: ['text', 'hardBreak', 'list'] },
+            image: {
+                attrs: {
+                    src: { type: 'string', required: true }, alt: { type: 'string' }, caption: { type: 'string' },
+                    align: { type: 'string', enum: ['left', 'center', 'right', 'full'] }, width: { type: 'string' },
+                    srcset: { type: 'string' }, sizes: { type: 'string' }, imageWidth: { type: 'number' }, imageHeight: { type: 'number' }
+                }
+            },
+            table: {
+                attrs: { caption: { type: 'string' }, align: { type: 'string', enum: ['left', 'center', 'right', 'full'] }, width: { type: 'string' } },
+                content: ['tableRow']
+            },
+            tableRow: { content: ['tableCell'] },
+            tableCell: {
+                attrs: {
+                    header: { type: 'boolean' }, scope: { type: 'string', enum: ['row', 'col'] },
+                    colspan: { type: 'number' }, rowspan: { type: 'number' }, width: { type: 'string' },
+                    background: { type: 'string' }, valign: { type: 'string', enum: ['top', 'middle', 'bottom'] },
+                    align: { type: 'string', enum: ['left', 'center', 'right', 'justify'] }
+                },
+                content: ['text', 'hardBreak']
+            },
+            text: {},
+            hardBreak: {}
+        },
+        marks: {
+            bold: {}, italic: {}, underline: {}, strike: {}, superscript: {}, subscript: {}, code: {},
+            color: { attrs: { color: { type: 'string', required: true } } },
+            highlight: { attrs: { color: { type: 'string', required: true } } },
+            font: { attrs: { family: { type: 'string', required: true } } },
+            size: { attrs: { size: { type: 'string', required: true } } },
+            link: { attrs: { href: { type: 'string', required: true } } }
+        }
+    };
+    /**
+     * @method validateJSON
+     * @description Checks a document against jCaret.schema. Does not need a DOM, so it can run on the server.
+     * @param {object} doc The document to validate.
+     * @returns {string[]} A list of errors (empty when the document is valid).
+     */
+    static validateJSON(doc) {
+        const { nodes, marks } = jCaret.schema;
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const checkAttrs = (spec, attrs, path) => {
+            const specAttrs = spec.attrs || {};
+            if (attrs === undefined) attrs = {};
+            if (!isObject(attrs)) {
+                errors.push(`${path}.attrs: must be an object`);
+                return;
+            }
+            Object.keys(attrs).forEach(name => {
+                const attr = specAttrs[name];
+                const value = attrs[name];
+                if (!attr) errors.push(`${path}.attrs.${name}: unsupported attribute`);
+                else if (value === undefined || value === null) return;
+                else if (typeof value !== attr.type) errors.push(`${path}.attrs.${name}: expected ${attr.type}`);
+                else if (attr.enum && !attr.enum.includes(value)) errors.push(`${path}.attrs.${name}: must be one of ${attr.enum.join(', ')}`);
+            });
+            Object.keys(specAttrs).forEach(name => {
+                if (specAttrs[name].required && (attrs[name] === undefined || attrs[name] === null)) errors.push(`${path}.attrs.${name}: required`);
+            });
+        };
+        const checkNode = (node, allowed, path) => {
+            if (!isObject(node)) {
+                errors.push(`${path}: must be an object`);
+                return;
+            }
+            const spec = nodes[node.type];
+            if (!spec || node.type === 'doc' && path !== 'doc') {
+                errors.push(`${path}: unsupported node type "${node.type}"`);
+                return;
+            }
+            if (allowed && !allowed.includes(node.type)) {
+                errors.push(`${path}: "${node.type}" is not allowed here`);
+                return;
+            }
+            checkAttrs(spec, node.attrs, path);
+            if (node.type === 'text') {
+                if (typeof node.text !== 'string' || !node.text) errors.push(`${path}.text: must be a non-empty string`);
+                if (node.marks !== undefined && !Array.isArray(node.marks)) errors.push(`${path}.marks: must be an array`);
+                (Array.isArray(node.marks) ? node.marks : []).forEach((mark, i) => {
+                    const markPath = `${path}.marks[${i}]`;
+                    if (!isObject(mark) || !marks[mark.type]) errors.push(`${markPath}: unsupported mark type "${mark && mark.type}"`);
+                    else checkAttrs(marks[mark.type], mark.attrs, markPath);
+                });
+                return;
+            }
+            if (node.content === undefined) return;
+            if (!spec.content) errors.push(`${path}.content: "${node.type}" cannot have content`);
+            else if (!Array.isArray(node.content)) errors.push(`${path}.content: must be an array`);
+            else node.content.forEach((child, i) => checkNode(child, spec.content, `${path}.content[${i}]`));
+        };
+        if (!isObject(doc) || doc.type !== 'doc') {
+            errors.push('doc: expected an object of type "doc"');
+        } else {
+            if (doc.version !== undefined && doc.version !== jCaret.schema.version) errors.push(`doc.version: unsupported version ${doc.version}`);
+            if (!Array.isArray(doc.content)) errors.push('doc.content: must be an array');
+            else doc.content.forEach((child, i) => checkNode(child, nodes.doc.content, `doc.content[${i}]`));
+        }
+        return errors;
+    }
     /**
      * @constructor
      * @param {string} containerSelector The CSS selector for the editor's container element.
@@ -16,6 +314,28 @@ class jCaret {
      * @param {boolean} [options.useLocalStorage=false] Whether to save/load content using localStorage.
      * @param {string} [options.language='en'] The default language ('en' or 'ar'). **Defaults to 'en'.**
      * @param {string} [options.borderRadius='0'] The border radius for the editor container.
+     * @param {string} [options.storageKey] The localStorage key for this instance. Defaults to 'jCaretContent-' followed by the container id (or instance number).
+     * @param {object|boolean} [options.sanitizer] Overrides for the HTML allowlist ({tags, styles, classes, linkSchemes, imageSchemes}),
+     * or false to load content without sanitizing (trusted sources only).
+     * @param {number} [options.historyLimit=100] Maximum number of undo steps.
+     * @param {number} [options.historyMemoryLimit=5242880] Approximate memory budget of the undo/redo history in bytes.
+     * The oldest steps are dropped first; the most recent step is always kept.
+     * @param {Array} [options.toolbar] Toolbar layout: item names (see jCaret.defaultToolbar), '|' for dividers
+     * and nested arrays for groups. Buttons added with registerButton() can be listed by name.
+     * @param {number} [options.maxTableColumns=10] The most columns a table can have.
+     * @param {Function} [options.imageUpload] async (blob, { file, onProgress }) => url. Uploads inserted images instead of
+     * embedding them as base64; onProgress takes a number from 0 to 1.
+     * @param {Array<object>} [options.plugins] Plugins for this instance only (see jCaret.use()).
+     * @param {string[]} [options.corePlugins=['image', 'emoji', 'table', 'code', 'find']] Built-in plugins to load.
+     * @param {Function} [options.highlight] (code, language) => html. Syntax highlighter for code blocks (Prism, highlight.js...);
+     * its spans are only displayed, getHTML() returns plain code.
+     * @param {object} [options.codeLanguages] Languages of the code block selector (value -> label), see jCaret.codeLanguages.
+     * @param {object} [options.keymap] Shortcut overrides merged over the defaults, e.g. { 'Mod+Shift+X': 'strikethrough', 'Mod+U': null }.
+     * 'Mod' is Ctrl (or Cmd on macOS); values are command names accepted by exec(), functions (editor, event) => void, or null to disable.
+     * @param {boolean} [options.statusBar=false] Show word, character, paragraph, selection and reading-time counts under the editor.
+     * @param {number} [options.maxLength] The most characters the content may hold (spaces count, line breaks do not).
+     * Typing, pasting and dropping stop at the limit and emit 'maxLengthExceeded'.
+     * @param {number} [options.wordsPerMinute=200] Reading speed used for the reading time.
      */
     constructor(containerSelector, options = {}) {
         this.container = document.querySelector(containerSelector);
@@ -30,75 +350,122 @@ class jCaret {
         this.language = options.language || 'en'; // Default to 'en' if not specified
         this.dir = this.language === 'ar' ? 'rtl' : 'ltr';
         this.borderRadius = options.borderRadius || '0';
+        this.historyLimit = options.historyLimit || 100;
+        this.historyMemoryLimit = options.historyMemoryLimit || 5 * 1024 * 1024;
+        this.maxTableColumns = options.maxTableColumns || 10;
+        // Counted like the status bar's characters: spaces included, line breaks not; 0 means no limit
+        this.maxLength = options.maxLength || 0;
+        // Character count of the content, kept current by typing and measured again after other changes (null)
+        this.characterCount = null;
+        this.countedInput = false;
+        this.wordsPerMinute = options.wordsPerMinute || 200;
+        // async (blob, { file, onProgress }) => url; without it images are embedded as data URLs
+        this.uploadHandler = options.imageUpload || null;
+        // (code, language) => html; without it code blocks are plain text
+        this.highlighter = options.highlight || null;
+        this.codeLanguages = options.codeLanguages || jCaret.codeLanguages;
+        this.pendingUploads = {};
+        // Upload id -> final URL, used to settle placeholders that undo/redo bring back
+        this.uploadResults = {};
+        this.uploadObjectURLs = [];
+        this.uploadCount = 0;
+        // Every instance scopes its element ids and storage key so several editors can share a page
+        this.instanceId = ++jCaret.instanceCount;
+        this.idPrefix = `jCaret${this.instanceId}-`;
+        this.storageKey = options.storageKey || `jCaretContent-${this.container.id || this.instanceId}`;
+        // HTML allowlist applied to restored, pasted, dropped and programmatically loaded content
+        this.sanitizerConfig = options.sanitizer === false ? null : Object.assign(this.getDefaultSanitizerConfig(), options.sanitizer || {});
+        // Handlers registered through on()/off(), and DOM listeners registered through listen()
+        this.eventHandlers = {};
+        this.listeners = [];
+        // What destroy() puts back
+        this.originalState = {
+            containerStyle: this.container.getAttribute('style'),
+            containerLang: this.container.getAttribute('lang'),
+            containerDir: this.container.getAttribute('dir')
+        };
+        this.destroyed = false;
         // 2. Apply dynamic width options to container (overrides static CSS max-width)
         this.container.style.maxWidth = this.width;
         this.container.style.borderRadius = this.borderRadius;
         // Ensures centering works correctly
         this.container.style.margin = '0 auto';
-        // 3. Set up translations and global direction
+        // 3. Set up translations
         this.i18n = {};
         this.setTranslations();
-        document.documentElement.lang = this.language;
-        document.documentElement.dir = this.dir;
-        document.body.dir = this.dir;
+        // Plugins: the built-in ones first, then jCaret.use() plugins, then options.plugins
+        this.commands = {};
+        this.hooks = {};
+        this.pluginModals = {};
+        this.plugins = this.resolvePlugins(options);
+        this.plugins.forEach(plugin => this.applyPlugin(plugin));
+        // Shortcut -> command registry used by onKeyDown() and the shortcuts list in the info modal
+        this.keymap = this.createKeymap(options.keymap);
+        // Language and direction stay on this editor's container so other editors and the host page keep their own
+        this.container.lang = this.language;
+        this.container.dir = this.dir;
         // 4. Append *DYNAMIC* CSS (only rules dependent on options: height, language/direction)
         this.appendDynamicStyles();
 
         // 5. Create toolbar (always LTR for UI purposes)
         this.toolbar = document.createElement('div');
-        this.toolbar.id = 'toolbar';
-        this.toolbar.className = 'bg-gray-50 border-b border-gray-300 p-3 flex flex-wrap gap-2 items-center justify-center';
+        this.toolbar.id = this.scopedId('toolbar');
+        this.toolbar.className = 'jcaret-toolbar bg-gray-50 border-b border-gray-300 p-3 flex flex-wrap gap-2 items-center justify-center';
         this.toolbar.dir = 'ltr';
         this.container.appendChild(this.toolbar);
+        // Every built-in item is created (their listeners rely on them); renderToolbar() appends the ones in the layout
+        this.toolbarLayout = options.toolbar || jCaret.defaultToolbar;
+        this.toolbarItems = {};
+        this.customButtons = {};
         // Undo
         this.undoBtn = this.createButton({ command: 'undo', title: this.i18n.undo, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M9 15L3 9m0 0l6-6M3 9h12a6 6 0 010 12h-3"/></svg>' });
-        this.toolbar.appendChild(this.undoBtn);
+        this.toolbarItems.undo = this.undoBtn;
         // Redo
         this.redoBtn = this.createButton({ command: 'redo', title: this.i18n.redo, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M15 15l6-6m0 0l-6-6m6 6H9a6 6 0 000 12h3"/></svg>' });
-        this.toolbar.appendChild(this.redoBtn);
-        // Divider
-        this.toolbar.appendChild(this.createDivider());
+        this.toolbarItems.redo = this.redoBtn;
         // Font Name
         this.fontNameContainer = this.createFontNameSelect();
-        this.toolbar.appendChild(this.fontNameContainer);
+        this.toolbarItems.fontName = this.fontNameContainer;
         // Font Size
         this.fontSizeSelect = this.createFontSizeSelect();
-        this.toolbar.appendChild(this.fontSizeSelect);
-        // Divider
-        this.toolbar.appendChild(this.createDivider());
+        this.toolbarItems.fontSize = this.fontSizeSelect;
+        // Block Format
+        this.blockFormatSelect = this.createBlockFormatSelect();
+        this.toolbarItems.blockFormat = this.blockFormatSelect;
         // Bold
         this.boldBtn = this.createButton({ command: 'bold', title: this.i18n.bold, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M8.21 13c2.106 0 3.412-1.087 3.412-2.823 0-1.306-.984-2.283-2.324-2.386v-.055a2.176 2.176 0 0 0 1.852-2.14c0-1.51-1.162-2.46-3.014-2.46H3.843V13zM5.908 4.674h1.696c.963 0 1.517.451 1.517 1.244 0 .834-.629 1.32-1.73 1.32H5.908V4.673zm0 6.788V8.598h1.73c1.217 0 1.88.492 1.88 1.415 0 .943-.643 1.449-1.832 1.449H5.907z"/></svg>' });
-        this.toolbar.appendChild(this.boldBtn);
+        this.toolbarItems.bold = this.boldBtn;
         // Italic
         this.italicBtn = this.createButton({ command: 'italic', title: this.i18n.italic, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M7.991 11.674 9.53 4.455c.123-.595.246-.71 1.347-.807l.11-.52H7.211l-.11.52c1.06.096 1.128.212 1.005.807L6.57 11.674c-.123.595-.246.71-1.346.806l-.11.52h3.774l.11-.52c-1.06-.095-1.129-.211-1.006-.806z"/></svg>' });
-        this.toolbar.appendChild(this.italicBtn);
+        this.toolbarItems.italic = this.italicBtn;
         // Underline
         this.underlineBtn = this.createButton({ command: 'underline', title: this.i18n.underline, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M5.313 3.136h-1.23V9.54c0 2.105 1.47 3.475 3.69 3.475 2.213 0 3.692-1.37 3.692-3.475V3.136h-1.23v6.323c0 1.49-.978 2.57-2.457 2.57-1.495 0-2.465-1.089-2.465-2.57V3.136Zm-1.23 12.318h8.034v-1.147H3.083v1.147z"/></svg>' });
-        this.toolbar.appendChild(this.underlineBtn);
+        this.toolbarItems.underline = this.underlineBtn;
         // Strikethrough
         this.strikethroughBtn = this.createButton({ command: 'strikethrough', title: this.i18n.strikethrough, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M6.333 5.686c0 .31.083 .581.27 .814H5.166a2.776 2.776 0 0 1-.099-.76c0-1.627 1.436-2.768 3.48-2.768 1.969 0 3.39 1.175 3.445 2.85h-1.23c-.11-1.08-.964-1.743-2.25-1.743-1.23 0-2.18.602-2.18 1.607zm2.194 7.478c-2.153 0-3.589-1.107-3.705-2.81h1.23c.144 1.06 1.129 1.703 2.544 1.703 1.34 0 2.31-.705 2.31-1.675 0-.827-.547-1.374-1.914-1.675L8.046 8.5H1v-1h14v1h-3.504c.468.437.675.994.675 1.697 0 1.826-1.436 2.967-3.644 2.967z"/></svg>' });
-        this.toolbar.appendChild(this.strikethroughBtn);
+        this.toolbarItems.strikethrough = this.strikethroughBtn;
         // Superscript
         this.superscriptBtn = this.createButton({ command: 'superscript', title: this.i18n.superscript, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><text x="1" y="20" font-size="20" fill="currentColor">x</text><text x="13" y="14" font-size="14" fill="currentColor">2</text></svg>' });
-        this.toolbar.appendChild(this.superscriptBtn);
+        this.toolbarItems.superscript = this.superscriptBtn;
         // Subscript
         this.subscriptBtn = this.createButton({ command: 'subscript', title: this.i18n.subscript, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><text x="1" y="14" font-size="20" fill="currentColor">x</text><text x="13" y="20" font-size="14" fill="currentColor">2</text></svg>' });
-        this.toolbar.appendChild(this.subscriptBtn);
+        this.toolbarItems.subscript = this.subscriptBtn;
         // Blockquote
         this.blockquoteBtn = this.createButton({ command: 'insertBlockquote', title: this.i18n.blockquote, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M7.5 8.25h9m-9 3H12m-9.75 1.51c0 1.6 1.123 2.994 2.707 3.227 1.129.166 2.27.293 3.423.379.35.026.67.21.865.501L12 21l2.755-4.133a1.14 1.14 0 01.865-.501 48.172 48.172 0 003.423-.379c1.584-.233 2.707-1.626 2.707-3.228V6.741c0-1.602-1.123-2.995-2.707-3.228A48.394 48.394 0 0012 3c-2.392 0-4.744.175-7.043.513C3.373 3.746 2.25 5.14 2.25 6.741v6.018z"/></svg>' });
-        this.toolbar.appendChild(this.blockquoteBtn);
+        this.toolbarItems.blockquote = this.blockquoteBtn;
         // Highlight Container
         this.highlightContainer = document.createElement('div');
         this.highlightContainer.className = 'relative';
-        this.toolbar.appendChild(this.highlightContainer);
+        this.toolbarItems.highlight = this.highlightContainer;
         this.highlightButton = document.createElement('button');
-        this.highlightButton.id = 'highlightButton';
+        this.highlightButton.id = this.scopedId('highlightButton');
         this.highlightButton.title = this.i18n.highlight;
         this.highlightButton.className = 'p-2 rounded-md hover:bg-gray-200';
-        this.highlightButton.innerHTML = '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M16.862 4.477l1.392 1.392m-6.348 7.376l-1.392 1.392m-2.102-2.101l-1.392 1.392a3 3 0 00-4.243 0l-3.235-3.235a3 3 0 000-4.243l1.392-1.392m4.243-4.243l-1.392 1.392a3 3 0 000 4.243l3.235 3.235a3 3 0 004.243 0l1.392-1.392m-4.243-4.243l1.392 1.392a3 3 0 004.243 0l3.235-3.235a3 3 0 000 4.243l-1.392 1.392m-4.243-4.243l1.392 1.392a3 3 0 004.243 0l3.235-3.235a3 3 0 000 4.243l-1.392 1.392"/></svg><div id="highlightBar" style="display: block; height: 5px; background-color: white; margin-top: 0px; width: 100%; border-radius: 5px;" ></div>';
+        this.highlightButton.innerHTML = '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M16.862 4.477l1.392 1.392m-6.348 7.376l-1.392 1.392m-2.102-2.101l-1.392 1.392a3 3 0 00-4.243 0l-3.235-3.235a3 3 0 000-4.243l1.392-1.392m4.243-4.243l-1.392 1.392a3 3 0 000 4.243l3.235 3.235a3 3 0 004.243 0l1.392-1.392m-4.243-4.243l1.392 1.392a3 3 0 004.243 0l3.235-3.235a3 3 0 000 4.243l-1.392 1.392m-4.243-4.243l1.392 1.392a3 3 0 004.243 0l3.235-3.235a3 3 0 000 4.243l-1.392 1.392"/></svg><div class="jcaret-highlight-bar" style="display: block; height: 5px; background-color: white; margin-top: 0px; width: 100%; border-radius: 5px;" ></div>';
         this.highlightContainer.appendChild(this.highlightButton);
+        this.highlightBar = this.highlightButton.querySelector('.jcaret-highlight-bar');
         this.highlightMenu = document.createElement('div');
-        this.highlightMenu.id = 'highlightMenu';
+        this.highlightMenu.id = this.scopedId('highlightMenu');
         this.highlightMenu.className = 'hidden absolute top-full right-0 bg-white border border-gray-300 rounded-md shadow-lg z-10 flex flex-row';
         this.highlightMenu.innerHTML = `
             <button data-color="#FFFF00" class="w-5 h-5" style="background-color: #FFFF00;border-radius: 50px;" title="${this.i18n.yellow}"></button>
@@ -115,160 +482,129 @@ class jCaret {
         // Font Color Container
         this.fontColorContainer = document.createElement('div');
         this.fontColorContainer.className = 'relative flex items-center';
-        this.toolbar.appendChild(this.fontColorContainer);
+        this.toolbarItems.fontColor = this.fontColorContainer;
         this.foreColorLabel = document.createElement('label');
-        this.foreColorLabel.htmlFor = 'fontColorInput';
+        this.foreColorLabel.htmlFor = this.scopedId('fontColorInput');
         this.foreColorLabel.title = this.i18n.fontColor;
-        this.foreColorLabel.id = 'foreColorLabel';
+        this.foreColorLabel.id = this.scopedId('foreColorLabel');
         this.foreColorLabel.className = 'p-2 rounded-md hover:bg-gray-200 cursor-pointer';
-        this.foreColorLabel.innerHTML = '<svg class="w-5 h-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><text x="12" y="16" font-size="16" fill="currentColor" text-anchor="middle">A</text></svg><div id="foreColorBar" style="display: block; height: 5px; background-color: #000000; margin-top: 0px; width: 100%; border-radius: 5px;"></div>';
+        this.foreColorLabel.innerHTML = '<svg class="w-5 h-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><text x="12" y="16" font-size="16" fill="currentColor" text-anchor="middle">A</text></svg><div class="jcaret-fore-color-bar" style="display: block; height: 5px; background-color: #000000; margin-top: 0px; width: 100%; border-radius: 5px;"></div>';
         this.fontColorContainer.appendChild(this.foreColorLabel);
+        this.foreColorBar = this.foreColorLabel.querySelector('.jcaret-fore-color-bar');
         this.fontColorInput = document.createElement('input');
         this.fontColorInput.type = 'color';
-        this.fontColorInput.id = 'fontColorInput';
+        this.fontColorInput.id = this.scopedId('fontColorInput');
+        this.fontColorInput.className = 'jcaret-font-color-input';
         this.fontColorInput.value = '#000000';
         this.fontColorContainer.appendChild(this.fontColorInput);
         // Remove Format
-        this.toolbar.appendChild(this.createButton({ command: 'removeFormat', title: this.i18n.removeFormat, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12"/></svg>' }));
-        // Divider
-        this.toolbar.appendChild(this.createDivider());
+        this.toolbarItems.removeFormat = this.createButton({ command: 'removeFormat', title: this.i18n.removeFormat, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12"/></svg>' });
         // Create Link
-        this.toolbar.appendChild(this.createButton({ command: 'createLink', title: this.i18n.createLink, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M13.19 8.688a4.5 4.5 0 011.242 7.244l-4.5 4.5a4.5 4.5 0 01-6.364-6.364l1.757-1.757m13.35-.622l1.757-1.757a4.5 4.5 0 00-6.364-6.364l-4.5 4.5a4.5 4.5 0 001.242 7.244"/></svg>' }));
+        this.toolbarItems.createLink = this.createButton({ command: 'createLink', title: this.i18n.createLink, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M13.19 8.688a4.5 4.5 0 011.242 7.244l-4.5 4.5a4.5 4.5 0 01-6.364-6.364l1.757-1.757m13.35-.622l1.757-1.757a4.5 4.5 0 00-6.364-6.364l-4.5 4.5a4.5 4.5 0 001.242 7.244"/></svg>' });
         // Unlink
-        this.toolbar.appendChild(this.createButton({ command: 'unlink', title: this.i18n.unlink, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M13.19 8.688a4.5 4.5 0 011.242 7.244l-4.5 4.5a4.5 4.5 0 01-6.364-6.364l1.757-1.757m13.35-.622l1.757-1.757a4.5 4.5 0 00-6.364-6.364l-4.5 4.5a4.5 4.5 0 001.242 7.244"/><line x1="4" y1="20" x2="20" y2="4" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>' }));
-        // Divider
-        this.toolbar.appendChild(this.createDivider());
+        this.toolbarItems.unlink = this.createButton({ command: 'unlink', title: this.i18n.unlink, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M13.19 8.688a4.5 4.5 0 011.242 7.244l-4.5 4.5a4.5 4.5 0 01-6.364-6.364l1.757-1.757m13.35-.622l1.757-1.757a4.5 4.5 0 00-6.364-6.364l-4.5 4.5a4.5 4.5 0 001.242 7.244"/><line x1="4" y1="20" x2="20" y2="4" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>' });
         // Alignment Container
         this.alignmentContainer = document.createElement('div');
         this.alignmentContainer.className = 'relative';
-        this.toolbar.appendChild(this.alignmentContainer);
+        this.toolbarItems.align = this.alignmentContainer;
         this.alignmentButton = document.createElement('button');
-        this.alignmentButton.id = 'alignmentButton';
+        this.alignmentButton.id = this.scopedId('alignmentButton');
         this.alignmentButton.title = this.i18n.align;
         this.alignmentButton.className = 'p-2 rounded-md hover:bg-gray-200';
         this.alignmentButton.innerHTML = '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 6.75h16.5M3.75 12h16.5m-16.5 5.25H12"/></svg>';
         this.alignmentContainer.appendChild(this.alignmentButton);
         this.alignmentMenu = document.createElement('div');
-        this.alignmentMenu.id = 'alignmentMenu';
+        this.alignmentMenu.id = this.scopedId('alignmentMenu');
         this.alignmentMenu.className = 'hidden absolute top-full left-0 bg-white border border-gray-300 rounded-md shadow-lg z-10 flex flex-col';
         this.alignmentContainer.appendChild(this.alignmentMenu);
         this.alignmentMenu.appendChild(this.createButton({ command: 'justifyLeft', title: this.i18n.alignLeft, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 6.75h16.5M3.75 12h16.5m-16.5 5.25H12"/></svg>' }));
         this.alignmentMenu.appendChild(this.createButton({ command: 'justifyCenter', title: this.i18n.alignCenter, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 6.75h16.5M7.5 12h9M3.75 17.25h16.5"/></svg>' }));
         this.alignmentMenu.appendChild(this.createButton({ command: 'justifyRight', title: this.i18n.alignRight, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 6.75h16.5M7.5 12h12.75M3.75 17.25h16.5"/></svg>' }));
         this.alignmentMenu.appendChild(this.createButton({ command: 'justifyFull', title: this.i18n.alignJustify, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 6.75h16.5M3.75 12h16.5M3.75 17.25h16.5M3.75 22.5h16.5"/></svg>' }));
-        // Divider
-        this.toolbar.appendChild(this.createDivider());
         // Unordered List
-        this.toolbar.appendChild(this.createButton({ command: 'insertUnorderedList', title: this.i18n.unorderedList, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M8.25 6.75h12M8.25 12h12M8.25 17.25h12M3.75 6.75h.007v.008H3.75V6.75zm.375 0a.375.375 0 11-.75 0 .375.375 0 01.75 0zM3.75 12h.007v.008H3.75V12zm.375 0a.375.375 0 11-.75 0 .375.375 0 01.75 0zm-.375 5.25h.007v.008H3.75v-.008zm.375 0a.375.375 0 11-.75 0 .375.375 0 01.75 0z"/></svg>' }));
+        this.toolbarItems.unorderedList = this.createButton({ command: 'insertUnorderedList', title: this.i18n.unorderedList, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M8.25 6.75h12M8.25 12h12M8.25 17.25h12M3.75 6.75h.007v.008H3.75V6.75zm.375 0a.375.375 0 11-.75 0 .375.375 0 01.75 0zM3.75 12h.007v.008H3.75V12zm.375 0a.375.375 0 11-.75 0 .375.375 0 01.75 0zm-.375 5.25h.007v.008H3.75v-.008zm.375 0a.375.375 0 11-.75 0 .375.375 0 01.75 0z"/></svg>' });
         // Ordered List
-        this.toolbar.appendChild(this.createButton({ command: 'insertOrderedList', title: this.i18n.orderedList, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"><path d="M11 6h9"/><path d="M11 12h9"/><path d="M12 18h8"/><path d="M4 16a2 2 0 1 1 4 0c0 .591 -.5 1 -1 1.5l-3 2.5h4"/><path d="M6 10v-6l-2 2"/></svg>' }));
-        // Divider
-        this.toolbar.appendChild(this.createDivider());
-        // Image Upload Button
-        this.imageUploadButton = document.createElement('button');
-        this.imageUploadButton.id = 'imageUploadButton';
-        this.imageUploadButton.title = this.i18n.insertImage;
-        this.imageUploadButton.className = 'p-2 rounded-md hover:bg-gray-200';
-        this.imageUploadButton.innerHTML = '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M2.25 15.75l5.159-5.159a2.25 2.25 0 013.182 0l5.159 5.159m-1.5-1.5l1.409-1.409a2.25 2.25 0 013.182 0l2.909 2.909m-18 3.75h16.5a1.5 1.5 0 001.5-1.5V6a1.5 1.5 0 00-1.5-1.5H3.75A1.5 1.5 0 002.25 6v12a1.5 1.5 0 001.5 1.5zm10.5-11.25h.008v.008h-.008V8.25zm.375 0a.375.375 0 11-.75 0 .375.375 0 01.75 0z"/></svg>';
-        this.toolbar.appendChild(this.imageUploadButton);
-        this.imageUpload = document.createElement('input');
-        this.imageUpload.type = 'file';
-        this.imageUpload.id = 'imageUpload';
-        this.imageUpload.accept = 'image/*';
-        this.imageUpload.style.display = 'none';
-        this.toolbar.appendChild(this.imageUpload);
-        // Emoji Container
-        this.emojiContainer = document.createElement('div');
-        this.emojiContainer.className = 'relative';
-        this.toolbar.appendChild(this.emojiContainer);
-        this.emojiButton = document.createElement('button');
-        this.emojiButton.id = 'emojiButton';
-        this.emojiButton.title = this.i18n.insertEmoji;
-        this.emojiButton.className = 'p-2 rounded-md hover:bg-gray-200';
-        this.emojiButton.innerHTML = '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M15.182 15.182a4.5 4.5 0 01-6.364 0M21 12a9 9 0 11-18 0 9 9 0 0118 0zM9.75 9.75c0 .414-.168.75-.375.75S9 10.164 9 9.75 9.168 9 9.375 9s.375.336.375.75zm-.375 0h.008v.015h-.008V9.75zm5.625 0c0 .414-.168.75-.375.75s-.375-.336-.375-.75.168-.75.375-.75.375.336.375.75zm-.375 0h.008v.015h-.008V9.75z" /></svg>';
-        this.emojiContainer.appendChild(this.emojiButton);
-        this.emojiMenu = document.createElement('div');
-        this.emojiMenu.id = 'emojiMenu';
-        this.emojiMenu.style.minWidth = "190px";
-        this.emojiMenu.className = 'hidden absolute top-full right-0 bg-white border border-gray-300 rounded-md shadow-lg z-10 grid grid-cols-5 p-2 gap-2';
-        this.emojiContainer.appendChild(this.emojiMenu);
-        const emojis = ['😀', '😁', '😂', '🤣', '😃', '😄', '😅', '😆', '😉', '😊', '😋', '😎', '😍', '😘', '🥰', '😗', '😙', '😚', '🙂', '🤗'];
-        emojis.forEach(emoji => {
-            const btn = document.createElement('button');
-            btn.className = 'text-2xl';
-            btn.textContent = emoji;
-            btn.dataset.emoji = emoji;
-            this.emojiMenu.appendChild(btn);
-        });
-        // Insert Table
-        this.insertTableBtn = this.createButton({ command: 'insertTable', title: this.i18n.insertTable, innerHTML: '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 3v18"/><rect width="18" height="18" x="3" y="3" rx="2"/><path d="M3 9h18"/><path d="M3 15h18"/></svg>' });
-        this.toolbar.appendChild(this.insertTableBtn);
-        // Table Operations Container
-        this.tableOpsContainer = document.createElement('div');
-        this.tableOpsContainer.className = 'relative';
-        this.toolbar.appendChild(this.tableOpsContainer);
-        this.tableOperationsButton = document.createElement('button');
-        this.tableOperationsButton.id = 'tableOperationsButton';
-        this.tableOperationsButton.title = this.i18n.tableOperations;
-        this.tableOperationsButton.className = 'p-2 rounded-md hover:bg-gray-200';
-        this.tableOperationsButton.innerHTML = '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 3.75v4.5m0-4.5h4.5m-4.5 0L9 9M3.75 20.25v-4.5m0 4.5h4.5m-4.5 0L9 15M20.25 3.75h-4.5m4.5 0v4.5m0-4.5L15 9m5.25 11.25h-4.5m4.5 0v-4.5m0 4.5L15 15" /></svg>';
-        this.tableOpsContainer.appendChild(this.tableOperationsButton);
-        this.tableMenu = document.createElement('div');
-        this.tableMenu.id = 'tableMenu';
-        this.tableMenu.className = 'hidden absolute top-full left-0 bg-white border border-gray-300 rounded-md shadow-lg z-10 flex flex-col';
-        this.tableOpsContainer.appendChild(this.tableMenu);
-        this.tableMenu.appendChild(this.createButton({ command: 'insertRowAbove', title: this.i18n.insertRowAbove, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M12 4.5v15m-7.5-7.5h15" transform="rotate(180 12 12)"/></svg>' }));
-        this.tableMenu.appendChild(this.createButton({ command: 'insertRowBelow', title: this.i18n.insertRowBelow, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M12 4.5v15m-7.5-7.5h15" /></svg>' }));
-        this.tableMenu.appendChild(this.createButton({ command: 'insertColumnLeft', title: this.i18n.insertColLeft, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M4.5 12h15m-7.5-7.5v15" transform="rotate(180 12 12)"/></svg>' }));
-        this.tableMenu.appendChild(this.createButton({ command: 'insertColumnRight', title: this.i18n.insertColRight, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M4.5 12h15m-7.5-7.5v15" /></svg>' }));
-        this.tableMenu.appendChild(this.createButton({ command: 'deleteRow', title: this.i18n.deleteRow, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M20 12H4" /></svg>' }));
-        this.tableMenu.appendChild(this.createButton({ command: 'deleteColumn', title: this.i18n.deleteCol, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M12 4v16" /></svg>' }));
-        this.tableMenu.appendChild(this.createButton({ command: 'deleteTable', title: this.i18n.deleteTable, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M14.74 9l-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052 .682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 01-2.244 2.077H8.084a2.25 2.25 0 01-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 00-3.478-.397m-12 .562c.34-.059 .68-.114 1.022-.165m0 0a48.11 48.11 0 013.478-.397m7.5 0v-.916c0-1.18-.91-2.164-2.09-2.201a51.964 51.964 0 00-3.32 0c-1.18.037-2.09 1.022-2.09 2.201v.916m7.5 0a48.667 48.667 0 00-7.5 0"/></svg>' }));
-        // Divider
-        this.toolbar.appendChild(this.createDivider());
+        this.toolbarItems.orderedList = this.createButton({ command: 'insertOrderedList', title: this.i18n.orderedList, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"><path d="M11 6h9"/><path d="M11 12h9"/><path d="M12 18h8"/><path d="M4 16a2 2 0 1 1 4 0c0 .591 -.5 1 -1 1.5l-3 2.5h4"/><path d="M6 10v-6l-2 2"/></svg>' });
+        // Checklist
+        this.toolbarItems.checklist = this.createButton({ command: 'insertChecklist', title: this.i18n.checklist, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"><path d="M11 7h9"/><path d="M11 17h9"/><rect x="3.5" y="4.5" width="5" height="5" rx="1"/><rect x="3.5" y="14.5" width="5" height="5" rx="1"/><path d="M4.75 7l1 1 1.75-2"/></svg>' });
+        // Outdent / Indent
+        this.toolbarItems.outdentList = this.createButton({ command: 'outdentList', title: this.i18n.outdentList, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"><path d="M20 6h-7"/><path d="M20 12h-9"/><path d="M20 18h-7"/><path d="M8 8l-4 4l4 4"/></svg>' });
+        this.toolbarItems.indentList = this.createButton({ command: 'indentList', title: this.i18n.indentList, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"><path d="M20 6h-11"/><path d="M20 12h-7"/><path d="M20 18h-11"/><path d="M4 8l4 4l-4 4"/></svg>' });
+        // List Options
+        this.listOptionsContainer = document.createElement('div');
+        this.listOptionsContainer.className = 'relative';
+        this.toolbarItems.listOptions = this.listOptionsContainer;
+        this.listOptionsButton = document.createElement('button');
+        this.listOptionsButton.id = this.scopedId('listOptionsButton');
+        this.listOptionsButton.title = this.i18n.listOptions;
+        this.listOptionsButton.className = 'p-2 rounded-md hover:bg-gray-200';
+        this.listOptionsButton.innerHTML = '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M10.5 6h9.75M10.5 6a1.5 1.5 0 11-3 0m3 0a1.5 1.5 0 10-3 0M3.75 6H7.5m3 12h9.75m-9.75 0a1.5 1.5 0 01-3 0m3 0a1.5 1.5 0 00-3 0m-3.75 0H7.5m9-6h3.75m-3.75 0a1.5 1.5 0 01-3 0m3 0a1.5 1.5 0 00-3 0m-9.75 0h9.75"/></svg>';
+        this.listOptionsContainer.appendChild(this.listOptionsButton);
+        this.listOptionsMenu = this.createListOptionsMenu();
+        this.listOptionsContainer.appendChild(this.listOptionsMenu);
+        this.listStyleSelect = this.listOptionsMenu.querySelector('select');
+        this.listStartInput = this.listOptionsMenu.querySelector('input');
         // Clear All
-        this.toolbar.appendChild(this.createButton({ command: 'clearAll', title: this.i18n.clearAll, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M14.74 9l-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052 .682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 01-2.244 2.077H8.084a2.25 2.25 0 01-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 00-3.478-.397m-12 .562c.34-.059 .68-.114 1.022-.165m0 0a48.11 48.11 0 013.478-.397m7.5 0v-.916c0-1.18-.91-2.164-2.09-2.201a51.964 51.964 0 00-3.32 0c-1.18.037-2.09 1.022-2.09 2.201v.916m7.5 0a48.667 48.667 0 00-7.5 0"/></svg>' }));
+        this.toolbarItems.clearAll = this.createButton({ command: 'clearAll', title: this.i18n.clearAll, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M14.74 9l-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052 .682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 01-2.244 2.077H8.084a2.25 2.25 0 01-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 00-3.478-.397m-12 .562c.34-.059 .68-.114 1.022-.165m0 0a48.11 48.11 0 013.478-.397m7.5 0v-.916c0-1.18-.91-2.164-2.09-2.201a51.964 51.964 0 00-3.32 0c-1.18.037-2.09 1.022-2.09 2.201v.916m7.5 0a48.667 48.667 0 00-7.5 0"/></svg>' });
         // Info
-        this.toolbar.appendChild(this.createButton({ command: 'showInfo', title: this.i18n.infoTitle, innerHTML: '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><circle cx="12" cy="12" r="10" stroke="#000000" stroke-width="2"/><path d="M12 8H12.01" stroke="#000000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><path d="M12 12V16" stroke="#000000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>' }));
+        this.toolbarItems.info = this.createButton({ command: 'showInfo', title: this.i18n.infoTitle, innerHTML: '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><circle cx="12" cy="12" r="10" stroke="#000000" stroke-width="2"/><path d="M12 8H12.01" stroke="#000000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><path d="M12 12V16" stroke="#000000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>' });
+        this.plugins.forEach(plugin => this.addPluginToolbarItems(plugin));
+        this.renderToolbar();
         // 6. Editor Wrapper
         this.editorWrapper = document.createElement('div');
         this.container.appendChild(this.editorWrapper);
 
         // 7. Editor Core Area
         this.editor = document.createElement('div');
-        this.editor.id = 'editor';
-        this.editor.className = 'scroll-width-thin';
+        this.editor.id = this.scopedId('editor');
+        this.editor.className = 'jcaret-editor scroll-width-thin';
         this.editor.contentEditable = 'true';
         this.editor.spellcheck = false;
         this.editor.dir = this.dir;
         this.editorWrapper.appendChild(this.editor);
+        // Optional statistics under the editor area
+        this.statusBar = options.statusBar ? this.createStatusBar() : null;
+        if (this.statusBar) this.container.appendChild(this.statusBar);
         // 8. Modals
         this.linkModal = this.createLinkModal();
         document.body.appendChild(this.linkModal);
-        this.tableModal = this.createTableModal();
-        document.body.appendChild(this.tableModal);
         this.storageModal = this.createStorageModal();
         document.body.appendChild(this.storageModal);
         this.infoModal = this.createInfoModal();
         document.body.appendChild(this.infoModal);
         this.selectModal = this.createSelectModal();
         document.body.appendChild(this.selectModal);
+        this.plugins.forEach(plugin => {
+            Object.keys(plugin.modals || {}).forEach(name => {
+                this.pluginModals[name] = plugin.modals[name](this);
+                document.body.appendChild(this.pluginModals[name]);
+            });
+        });
+        // Modals live outside the container, so they carry the editor's language themselves
+        [this.linkModal, this.storageModal, this.infoModal, this.selectModal, ...Object.values(this.pluginModals)].forEach(modal => { modal.lang = this.language; });
 
         // 9. State Initialization (Undo/Redo, Selection, etc.)
         this.currentHighlightColor = '#FFFF00';
         this.savedRange = null;
         this.selectedResizable = null;
+        // History entries only store the changed slice of the HTML plus the caret before and after the change
         this.undoStack = [];
         this.redoStack = [];
         this.lastContent = '';
+        this.lastSelection = null;
+        this.typingKind = null;
+        this.typingStart = 0;
         this.editor.innerHTML = '<p><br></p>';
         if (this.useLocalStorage) {
-            const savedContent = localStorage.getItem('jCaretContent');
+            // Content saved before per-instance keys existed lives under the legacy key
+            const savedContent = localStorage.getItem(this.storageKey) || (this.instanceId === 1 ? localStorage.getItem('jCaretContent') : null);
             if (savedContent) {
-                this.editor.innerHTML = savedContent;
+                this.editor.innerHTML = this.sanitizeHTML(savedContent);
+                this.hydrateContent();
             }
         }
         this.lastContent = this.editor.innerHTML;
+        this.lastEmittedContent = this.lastContent;
         this.alignmentIcons = {
             justifyLeft: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 6.75h16.5M3.75 12h16.5m-16.5 5.25H12"/></svg>',
             justifyCenter: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 6.75h16.5M7.5 12h9M3.75 17.25h16.5"/></svg>',
@@ -284,9 +620,11 @@ class jCaret {
         this.hasShownStorageWarning = false;
         //this.updateDirections(); // Ensure directions and alignments are set after loading
         this.updateToolbarState(); // Update toolbar after loading
+        this.updateStatusBar();
 
         // 10. Initialization
         this.addEventListeners();
+        this.plugins.forEach(plugin => plugin.init && plugin.init(this));
         if(this.language === 'ar') this.updateDirections();
         // 11. Set initial editor direction and default font
         const defaultFont = this.language === 'ar' ? 'Amiri' : 'Inter';
@@ -314,1129 +652,2213 @@ class jCaret {
         this.container.style.display = '';
     }
     /**
-     * @method appendDynamicStyles
-     * @description Creates and appends a style block for rules that depend on the constructor options (height, language).
+     * @method getHTML
+     * @description Returns the editor content as clean HTML, without editor-only artifacts
+     * (resize handles, selection classes and contenteditable attributes).
+     * @returns {string} The content HTML, or an empty string when the editor is empty.
      */
-    appendDynamicStyles() {
-        const style = document.createElement('style');
-        style.id = 'jCaret-dynamic-style';
-
-        let heightRules = '';
-        if (this.heightMode === 'min') {
-            // Min-height mode: allows the editor to grow
-            heightRules = `
-                min-height: ${this.height};
-                height: auto;
-                max-height: none;
-            `;
+    getHTML() {
+        if (this.isEmpty()) return '';
+        return this.cleanContent(this.editor.cloneNode(true)).innerHTML;
+    }
+    /**
+     * @method setHTML
+     * @description Replaces the editor content and re-hydrates figures, directions and toolbar state.
+     * @param {string} html The HTML to load.
+     * @param {object} [options={}]
+     * @param {boolean} [options.addToHistory=true] Record the change as an undo step. When false, the undo/redo history is reset.
+     */
+    setHTML(html, options = {}) {
+        const addToHistory = options.addToHistory !== false;
+        const oldContent = this.editor.innerHTML;
+        this.editor.innerHTML = this.sanitizeHTML(html || '');
+        this.hydrateContent();
+        this.selectedResizable = null;
+        if (addToHistory) {
+            this.debouncedPush.cancel();
+            this.pushUndoState(oldContent);
         } else {
-            // Fixed height mode (default): uses height and max-height
-            heightRules = `
-                height: ${this.height};
-                max-height: ${this.height};
-            `;
+            this.clearHistory();
+            this.saveAll();
+            this.notifyChange();
+            this.updateToolbarState();
         }
-        // Dynamic rules for RTL/LTR blockquote and list styling
-        const langBorder = this.language === 'ar' ? 'right' : 'left';
-        const oppLangBorder = this.language === 'ar' ? 'left' : 'right';
-        const langPadding = this.language === 'ar' ? 'right' : 'left';
-        const oppLangPadding = this.language === 'ar' ? 'left' : 'right';
-        const langAlign = this.language === 'ar' ? 'right' : 'left';
-        style.textContent = `
-            /* Dynamic height rules based on heightMode option */
-            #editor {
-                ${heightRules}
-                direction: ${this.dir};
-                text-align: ${langAlign};
-            }
-
-            /* Dynamic blockquote rules based on language direction */
-            #editor blockquote {
-                border-${langBorder}: 4px solid #ddd;
-                border-${oppLangBorder}: none;
-                padding: 0 15px;
-                color: #777;
-                margin: 1em 0;
-                position: relative;
-                direction: ${this.dir};
-            }
-            #editor blockquote::before {
-                content: "”";
-                font-size: 4em;
-                line-height: .1em;
-                margin-${oppLangBorder}: .25em;
-                vertical-align: -.4em;
-                color: #ccc;
-            }
-            /* Dynamic list rules based on language direction */
-            #editor ol[dir="${this.dir}"],
-            #editor ul[dir="${this.dir}"] {
-                padding-${langPadding}: 40px;
-                padding-${oppLangPadding}: 0;
-            }
-            /* Dynamic table cell rules for direction and default alignment */
-            #editor td {
-                direction: initial;
-                text-align: initial;
-            }
-            figcaption.caption{
-                text-align: ${langAlign};
-            }
-        `;
-        document.head.appendChild(style);
     }
     /**
-     * @method setTranslations
-     * @description Sets the translation object based on the configured language.
-     * Includes English names for fonts in the 'en' version.
+     * @method getText
+     * @description Returns the plain text of the editor content, one line per block.
+     * @returns {string}
      */
-    setTranslations() {
-        const translations = {
-            ar: {
-                undo: 'تراجع', redo: 'إعادة', fontFamily: 'عائلة الخط',
-                fontAmiri: 'أميري', fontNotoArabic: 'نوتو عربي', fontShekari: 'يد عربي', fontScheherazade: 'شهرزاد الجديدة',
-                fontReemKufi: 'ريم كوفي', fontArefRuqaa: 'رقعة',
-                fontElMessiri: 'المسيري',
-                fontCairo: 'القاهرة', fontTajawal: 'تاجوال', fontLemonada: 'ليمونادا', fontMarhey: 'مرهي', fontKatibeh: 'كاتبة', fontHandjet: 'هاندجيت',
-                fontSize: 'حجم الخط',
-                size1: 'أصغر (حجم 1)', size2: 'صغير (حجم 2)', size3: 'عادي (حجم 3)',
-                size4: 'كبير (حجم 4)', size5: 'أكبر (حجم 5)', size6: 'هائل (حجم 6)',
-                size7: 'عملاق (حجم 7)',
-                bold: 'غامق', italic: 'مائل',
-                underline: 'تسطير', strikethrough: 'يتوسطه خط', superscript: 'أعلى',
-                subscript: 'أسفل', blockquote: 'اقتباس', highlight: 'تمييز',
-                yellow: 'أصفر', blue: 'أزرق', green: 'أخضر', pink: 'وردي',
-                remove: 'إزالة', fontColor: 'لون الخط', removeFormat: 'إزالة التنسيق',
-                createLink: 'إنشاء رابط', unlink: 'إزالة الرابط', align: 'محاذاة',
-                alignLeft: 'محاذاة إلى اليسار', alignCenter: 'محاذاة إلى الوسط',
-                alignRight: 'محاذاة إلى اليمين', alignJustify: 'محاذاة كاملة',
-                unorderedList: 'قائمة غير مرتبة', orderedList: 'قائمة مرتبة',
-                insertImage: 'إدراج صورة', insertTable: 'إدراج جدول', tableOperations: 'عمليات الجدول',
-                insertRowAbove: 'إدراج صف أعلى', insertRowBelow: 'إدراج صف أسفل',
-                insertColLeft: 'إدراج عمود يسار', insertColRight: 'إدراج عمود يمين',
-                deleteRow: 'حذف الصف', deleteCol: 'حذف العمود', deleteTable: 'حذف الجدول',
-                clearAll: 'مسح الكل', insertLink: 'أدخل الرابط', linkPlaceholder: 'https://example.com',
-                cancel: 'إلغاء', save: 'حفظ', rows: 'الصفوف:', cols: 'الأعمدة:', infoTitle:'حول', infoText:'إختصارات لوحة المفاتيح', by:'www.auktubli.com',
-                clearAllConfirm: 'هل أنت متأكد من مسح كل المحتوى؟', maxColsAlert: 'الحد الأقصى 10 أعمدة', forQuote:'سطر إقتباس جديد', forEnlarge:'تكبير الخط على مستوى السطر', forShrink:'تصغير الخظ على مستوى السطر', forDelete:'حذف صورة أو جدول',
-                caption: 'تسمية توضيحية',
-                warning: 'تحذير',
-                ok: 'موافق',
-                storageWarning: 'حجم محتوى المحرر كبير جدًا، لذا لن يتم حفظ بعضه عند إعادة تحميل الصفحة في التخزين المحلي، خاصة الصور المرفوعة.',
-                selectWarning: 'النص المحدد متعدد!.',
-                insertEmoji: 'إدراج إيموجي'
-            },
-            en: {
-                undo: 'Undo', redo: 'Redo', fontFamily: 'Font Family',
-                // English font names for the English version
-                fontInter: 'Inter', fontArial: 'Arial', fontTimes: 'Times New Roman',
-                fontCourier: 'Courier New', fontGeorgia: 'Georgia', fontComic: 'Comic Sans MS',
-                fontCaveat: 'Caveat', fontPacifico: 'Pacifico', fontDancingScript: 'Dancing Script',
-                fontIndieFlower: 'Indie Flower', fontShadowsIntoLight: 'Shadows Into Light',
-                fontHandjet: 'Handjet',
-                fontSize: 'Font Size',
-                size1: 'Smallest (Size 1)', size2: 'Small (Size 2)', size3: 'Normal (Size 3)',
-                size4: 'Large (Size 4)', size5: 'Larger (Size 5)', size6: 'Huge (Size 6)',
-                size7: 'Largest (Size 7)',
-                bold: 'Bold', italic: 'Italic',
-                underline: 'Underline', strikethrough: 'Strikethrough', superscript: 'Superscript',
-                subscript: 'Subscript', blockquote: 'Blockquote', highlight: 'Highlight',
-                yellow: 'Yellow', blue: 'Blue', green: 'Green', pink: 'Pink',
-                remove: 'Remove', fontColor: 'Font Color', removeFormat: 'Remove Format',
-                createLink: 'Create Link', unlink: 'Unlink', align: 'Align',
-                alignLeft: 'Align Left', alignCenter: 'Align Center',
-                alignRight: 'Align Right', alignJustify: 'Align Justify',
-                unorderedList: 'Unordered List', orderedList: 'Ordered List',
-                insertImage: 'Insert Image', insertTable: 'Insert Table', tableOperations: 'Table Operations',
-                insertRowAbove: 'Insert Row Above', insertRowBelow: 'Insert Row Below',
-                insertColLeft: 'Insert Column Left', insertColRight: 'Insert Column Right',
-                deleteRow: 'Delete Row', deleteCol: 'Delete Column', deleteTable: 'Delete Table',
-                clearAll: 'Clear All', insertLink: 'Enter Link', linkPlaceholder: 'https://example.com',
-                cancel: 'Cancel', save: 'Save', rows: 'Rows:', cols: 'Columns:', infoTitle:'About',infoText:'Keyboard Shortcuts', by:'www.auktubli.com.',
-                clearAllConfirm: 'Are you sure you want to clear all content?', maxColsAlert: 'Maximum of 10 columns allowed', forQuote:'New quote line', forEnlarge:'Enlarge text font (line level)', forShrink:'Shrink text font (line level)', forDelete:'Remove image or table',
-                caption: 'Caption',
-                warning: 'Warning',
-                ok: 'OK',
-                storageWarning: 'The content of the editor is too big, so some of it won\'t be saved on page reload in local storage, especially uploaded images.',
-                selectWarning: 'Multi Selected!.',
-                insertEmoji: 'Insert Emoji'
-            }
+    getText() {
+        const text = this.editor.innerText !== undefined ? this.editor.innerText : this.editor.textContent;
+        return text.replace(/\u200B/g, '').replace(/\n{3,}/g, '\n\n').trim();
+    }
+    /**
+     * @method getJSON
+     * @description Returns a serializable snapshot of the editor content.
+     * @returns {{html: string, text: string, isEmpty: boolean, language: string, dir: string}}
+     */
+    getJSON() {
+        return {
+            html: this.getHTML(),
+            text: this.getText(),
+            isEmpty: this.isEmpty(),
+            language: this.language,
+            dir: this.dir
         };
-        this.i18n = translations[this.language] || translations.en;
     }
-
     /**
-        * @method createDivider
-        * @description Creates a vertical separator for the toolbar.
-        */
-    createDivider() {
-        const div = document.createElement('div');
-        div.className = 'h-6 w-px bg-gray-300 mx-1';
-        return div;
+     * @method isEmpty
+     * @description Checks whether the editor holds no text, images or tables.
+     * @returns {boolean}
+     */
+    isEmpty() {
+        const text = this.editor.textContent.replace(/[\u200B\s]/g, '');
+        return !text && !this.editor.querySelector('img, table');
     }
     /**
-        * @method createButton
-        * @description Creates a standard toolbar button.
-        */
-    createButton(attrs = {}) {
-        const button = document.createElement('button');
-        button.className = 'p-2 rounded-md hover:bg-gray-200';
-        if (attrs.title) button.title = attrs.title;
-        if (attrs.command) button.dataset.command = attrs.command;
-        if (attrs.innerHTML) button.innerHTML = attrs.innerHTML;
-        return button;
+     * @method measureText
+     * @description Counts the words, characters and paragraphs of the content, or of the part inside a range.
+     * Words are runs of letters, marks and digits, so Arabic diacritics and tatweel never split a word
+     * and punctuation such as '،' or '؟' is not one; '3.5' and '٣٫٥' are one word.
+     * @param {Range} [range] Only count the text inside this range.
+     * @returns {{words: number, characters: number, charactersNoSpaces: number, paragraphs: number}}
+     */
+    measureText(range) {
+        const wordPattern = /[\p{L}\p{M}\p{N}]+(?:(?:['\u2019\u200C-]|(?<=\p{N})[.,\u066B\u066C](?=\p{N}))[\p{L}\p{M}\p{N}]+)*/gu;
+        const stats = { words: 0, characters: 0, charactersNoSpaces: 0, paragraphs: 0 };
+        const paragraphs = new Set();
+        this.getSearchSegments().forEach(segment => {
+            const text = !range ? segment.text : segment.nodes.map(({ node }) => {
+                if (!range.intersectsNode(node)) return '';
+                const start = node === range.startContainer ? range.startOffset : 0;
+                const end = node === range.endContainer ? range.endOffset : node.length;
+                return node.textContent.slice(start, end);
+            }).join('');
+            const characters = Array.from(text.replace(/\u200B/g, ''));
+            const solid = characters.filter(char => !/\s/.test(char)).length;
+            stats.characters += characters.length;
+            stats.charactersNoSpaces += solid;
+            stats.words += (text.match(wordPattern) || []).length;
+            if (solid) paragraphs.add(segment.block);
+        });
+        stats.paragraphs = paragraphs.size;
+        return stats;
     }
     /**
-        * @method createFontNameSelect
-        * @description Creates the Font Family selection dropdown as a custom component for scrollability.
-        * Uses translated font names for display text.
-        */
-    createFontNameSelect() {
-        const container = document.createElement('div');
-        container.className = 'relative';
-        container.id = 'fontName';
-        container.dir = this.dir;
-        const button = document.createElement('button');
-        button.className = 'p-2 border border-gray-300 rounded-md text-sm flex items-center justify-between w-full';
-        button.style.height = '2.5rem';
-        button.style.maxWidth = "140px";
-        button.style.minWidth = "140px";
-        button.innerHTML = `${this.i18n.fontFamily}<svg class="w-4 h-4 ml-2" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"/></svg>`;
-        const menu = document.createElement('ul');
-        menu.className = 'hidden absolute top-full left-0 bg-white border border-gray-300 rounded-md shadow-lg z-10 overflow-y-auto';
-        menu.style.width = '100%';
-        menu.style.maxHeight = '270px';
-        container.appendChild(button);
-        container.appendChild(menu);
-        let fonts = [];
-        if (this.language === 'ar') {
-            fonts = [
-                {value: 'Amiri', label: this.i18n.fontAmiri},
-                {value: 'Noto Sans Arabic', label: this.i18n.fontNotoArabic},
-                {value: 'Scheherazade New', label: this.i18n.fontScheherazade},
-                {value: 'Reem Kufi', label: this.i18n.fontReemKufi},
-                {value: 'Aref Ruqaa', label: this.i18n.fontArefRuqaa},
-                {value: 'El Messiri', label: this.i18n.fontElMessiri},
-                {value: 'Cairo', label: this.i18n.fontCairo},
-                {value: 'Tajawal', label: this.i18n.fontTajawal},
-                {value: 'Lemonada', label: this.i18n.fontLemonada},
-                {value: 'Marhey', label: this.i18n.fontMarhey},
-                {value: 'Katibeh', label: this.i18n.fontKatibeh},
-                {value: 'Handjet', label: this.i18n.fontHandjet},
-                {value: 'Shekari', label: this.i18n.fontShekari} // additional handwritten
-            ];
-        } else {
-            fonts = [
-                {value: 'Inter', label: this.i18n.fontInter},
-                {value: 'Arial', label: this.i18n.fontArial},
-                {value: 'Times New Roman', label: this.i18n.fontTimes},
-                {value: 'Courier New', label: this.i18n.fontCourier},
-                {value: 'Georgia', label: this.i18n.fontGeorgia},
-                {value: 'Comic Sans MS', label: this.i18n.fontComic},
-                {value: 'Caveat', label: this.i18n.fontCaveat},
-                {value: 'Pacifico', label: this.i18n.fontPacifico},
-                {value: 'Dancing Script', label: this.i18n.fontDancingScript},
-                {value: 'Indie Flower', label: this.i18n.fontIndieFlower},
-                {value: 'Shadows Into Light', label: this.i18n.fontShadowsIntoLight},
-                {value: 'Handjet', label: this.i18n.fontHandjet}
-            ];
-        }
-        this.fontOptions = fonts;
-        fonts.forEach(f => {
-            const li = document.createElement('li');
-            li.textContent = f.label;
-            li.style.fontFamily = f.value;
-            li.style.padding = '8px 16px';
-            li.style.cursor = 'pointer';
-            li.dataset.value = f.value;
-            li.addEventListener('click', () => {
-                button.firstChild.textContent = f.label;
-                this.fontNameValue = f.value;
-                menu.classList.add('hidden');
-                const event = new Event('change');
-                container.dispatchEvent(event);
-            });
-            menu.appendChild(li);
-        });
-        button.addEventListener('click', (e) => {
-            e.preventDefault();
-            menu.classList.toggle('hidden');
-        });
-        document.addEventListener('click', (e) => {
-            if (!container.contains(e.target)) {
-                menu.classList.add('hidden');
-            }
-        });
-        this.fontNameButton = button;
-        this.fontNameValue = '';
-        return container;
+     * @method getSelectedRange
+     * @description Returns the current selection range when it is inside the editor and not collapsed.
+     * @returns {Range|null}
+     */
+    getSelectedRange() {
+        const sel = window.getSelection();
+        if (!sel.rangeCount || sel.isCollapsed) return null;
+        const range = sel.getRangeAt(0);
+        return this.editor.contains(range.commonAncestorContainer) ? range : null;
     }
     /**
-        * @method createFontSizeSelect
-        * @description Creates the Font Size selection dropdown.
-        */
-    createFontSizeSelect() {
-        const select = document.createElement('select');
-        select.id = 'fontSize';
-        select.style.height = "2.5rem";
-        select.className = 'p-2 border border-gray-300 rounded-md text-sm';
-        //select.style.fontFamily = "sans-serif";
-    
-        select.dir = this.dir;
-        select.innerHTML = `
-            <option value="">${this.i18n.fontSize}</option>
-            <option value="1">${this.i18n.size1}</option>
-            <option value="2">${this.i18n.size2}</option>
-            <option value="3">${this.i18n.size3}</option>
-            <option value="4">${this.i18n.size4}</option>
-            <option value="5">${this.i18n.size5}</option>
-            <option value="6">${this.i18n.size6}</option>
-            <option value="7">${this.i18n.size7}</option>
-        `;
-        return select;
+     * @method getStats
+     * @description Returns the statistics shown in the status bar.
+     * @returns {{words: number, characters: number, charactersNoSpaces: number, paragraphs: number, readingTime: number,
+     * selection: ?{words: number, characters: number, charactersNoSpaces: number, paragraphs: number}}}
+     * Characters include spaces but not line breaks; readingTime is in whole minutes (options.wordsPerMinute).
+     */
+    getStats() {
+        const stats = this.measureText();
+        const range = this.getSelectedRange();
+        this.characterCount = stats.characters;
+        stats.readingTime = Math.ceil(stats.words / this.wordsPerMinute);
+        stats.selection = range ? this.measureText(range) : null;
+        return stats;
     }
     /**
-        * @method createLinkModal
-        * @description Creates the modal dialog for inserting links.
-        */
-    createLinkModal() {
-        const div = document.createElement('div');
-        div.id = 'linkModal';
-        div.className = 'hidden fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50';
-        div.innerHTML = `
-            <div class="bg-white rounded-lg shadow-xl p-6 w-full max-w-sm" dir="${this.dir}">
-                <h3 class="text-lg font-medium mb-4">${this.i18n.insertLink}</h3>
-                <input type="text" dir="ltr" id="linkUrl" class="border border-gray-300 rounded-md w-full p-2 mb-4" placeholder="${this.i18n.linkPlaceholder}">
-                <div class="flex justify-end gap-2">
-                    <button id="cancelLink" class="px-4 py-2 rounded-md text-sm font-medium hover:bg-gray-100">${this.i18n.cancel}</button>
-                    <button id="saveLink" class="px-4 py-2 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700">${this.i18n.save}</button>
-                </div>
-            </div>
-        `;
-        return div;
+     * @method countCharacters
+     * @description Counts characters the way the status bar and options.maxLength do: spaces count, line breaks do not.
+     * @param {string} text
+     * @returns {number}
+     */
+    countCharacters(text) {
+        return Array.from(text.replace(/[\r\n\u200B]/g, '')).length;
     }
     /**
-        * @method createTableModal
-        * @description Creates the modal dialog for inserting tables.
-        */
-    createTableModal() {
-        const div = document.createElement('div');
-        div.id = 'tableModal';
-        div.className = 'hidden fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50';
-        div.innerHTML = `
-            <div class="bg-white rounded-lg shadow-xl p-6 w-full max-w-sm" dir="${this.dir}">
-                <h3 class="text-lg font-medium mb-4">${this.i18n.insertTable}</h3>
-                <label for="rowsInput">${this.i18n.rows}</label>
-                <input type="number" id="rowsInput" min="1" class="border border-gray-300 rounded-md w-full p-2 mb-4" value="3">
-                <label for="colsInput">${this.i18n.cols}</label>
-                <input type="number" id="colsInput" min="1" max="10" class="border border-gray-300 rounded-md w-full p-2 mb-4" value="3">
-                <div class="flex justify-end gap-2">
-                    <button id="cancelTable" class="px-4 py-2 rounded-md text-sm font-medium hover:bg-gray-100">${this.i18n.cancel}</button>
-                    <button id="saveTable" class="px-4 py-2 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700">${this.i18n.save}</button>
-                </div>
-            </div>
-        `;
-        return div;
+     * @method getCharacterCount
+     * @description Returns the character count of the content, measuring it only when the cached count is out of date.
+     * @returns {number}
+     */
+    getCharacterCount() {
+        if (this.characterCount === null) this.characterCount = this.measureText().characters;
+        return this.characterCount;
     }
     /**
-        * @method createStorageModal
-        * @description Creates the modal dialog for storage warning.
-        */
-    createStorageModal() {
-        const div = document.createElement('div');
-        div.id = 'storageModal';
-        div.className = 'hidden fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50';
-        div.innerHTML = `
-            <div class="bg-white rounded-lg shadow-xl p-6 w-full max-w-sm" dir="${this.dir}">
-                <h3 class="text-lg font-medium mb-4">${this.i18n.warning}</h3>
-                <p>${this.i18n.storageWarning}</p>
-                <div class="flex justify-end gap-2 mt-4">
-                    <button id="closeStorage" class="px-4 py-2 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700">${this.i18n.ok}</button>
-                </div>
-            </div>
-        `;
-        return div;
+     * @method getRemainingLength
+     * @description Returns how many characters can still be inserted under options.maxLength
+     * (the replaced text counts as room).
+     * @param {Range|null} [range] The text being replaced; the selection by default.
+     * @returns {number} Infinity when there is no limit.
+     */
+    getRemainingLength(range = this.getSelectedRange()) {
+        if (!this.maxLength) return Infinity;
+        const remaining = this.maxLength - this.getCharacterCount() + (range ? this.measureText(range).characters : 0);
+        return Math.max(0, remaining);
     }
     /**
-        * @method createAboutModal
-        * @description Creates the modal dialog for about info.
-        */
-    createInfoModal() {
-        const div = document.createElement('div');
-        div.id = 'infoModal';
-        div.className = 'hidden fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50';
-        div.innerHTML = `
-        
-            <div class="bg-white rounded-lg shadow-xl p-6 w-full max-w-md" dir="${this.dir}">
-            
-                <div class="flex items-center gap-3">
-                    <svg class="w-6 h-6 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
-                    <h3 class="text-lg font-medium ">${this.i18n.infoTitle}</h3>
-                </div>
-                <br/>
-                <div id="aboutText" class="flex items-center gap-3 mb-5 border-b pb-3 border-gray-300">
-                    <h3 class="text-lg font-medium text-gray-800">${this.i18n.infoText}</h3>
-                </div>
-                <div id="aboutContent" class="space-y-3 text-sm">
-                
-                    <div class="flex justify-between items-center">
-                        <span class="text-gray-600">${this.i18n.forQuote}</span>
-                        <div class="flex items-center gap-1" dir="ltr">
-                            <kbd class="px-2 py-1 bg-gray-100 border border-gray-300 rounded text-xs font-sans text-gray-500 font-semibold shadow-sm">Shift</kbd>
-                            <span class="text-gray-400 text-xs">+</span>
-                            <kbd class="px-2 py-1 bg-gray-100 border border-gray-300 rounded text-xs font-sans text-gray-500 font-semibold shadow-sm">Enter</kbd>
-                        </div>
-                    </div>
-                    <div class="flex justify-between items-center">
-                        <span class="text-gray-600">${this.i18n.forEnlarge}</span>
-                        <div class="flex items-center gap-1" dir="ltr">
-                            <kbd class="px-2 py-1 bg-gray-100 border border-gray-300 rounded text-xs font-sans text-gray-500 font-semibold shadow-sm">Ctrl</kbd>
-                            <span class="text-gray-400 text-xs">+</span>
-                            <kbd class="px-2 py-1 bg-gray-100 border border-gray-300 rounded text-xs font-sans text-gray-500 font-semibold shadow-sm">+</kbd>
-                        </div>
-                    </div>
-                    <div class="flex justify-between items-center">
-                        <span class="text-gray-600">${this.i18n.forShrink}</span>
-                        <div class="flex items-center gap-1" dir="ltr">
-                            <kbd class="px-2 py-1 bg-gray-100 border border-gray-300 rounded text-xs font-sans text-gray-500 font-semibold shadow-sm">Ctrl</kbd>
-                            <span class="text-gray-400 text-xs">+</span>
-                            <kbd class="px-2 py-1 bg-gray-100 border border-gray-300 rounded text-xs font-sans text-gray-500 font-semibold shadow-sm">-</kbd>
-                        </div>
-                    </div>
-                    <div class="flex justify-between items-center">
-                        <span class="text-gray-600">${this.i18n.forDelete}</span>
-                        <kbd class="px-2 py-1 bg-gray-100 border border-gray-300 rounded text-xs font-sans text-gray-500 font-semibold shadow-sm">Delete</kbd>
-                    </div>
-                </div>
-                <div class="flex justify-between gap-2 mt-6 pt-4 border-t border-gray-100">
-                    <p style="margin-top: 10px;"><a href="https://www.auktubli.com" target="blank" style="color: #007bff;">${this.i18n.by}</a></p><button id="closeInfo" class="px-4 py-2 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 transition-colors shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2">${this.i18n.ok || 'OK'}</button>
-                </div>
-            </div>
-        `;
-        return div;
+     * @method clampToMaxLength
+     * @description Cuts text to the room left under options.maxLength and emits 'maxLengthExceeded' when it does not fit.
+     * Line breaks are kept and not counted.
+     * @param {string} text The text about to be inserted.
+     * @param {Range|null} [range] The text it replaces; the selection by default.
+     * @returns {string} The part that fits ('' when the limit is reached).
+     */
+    clampToMaxLength(text, range) {
+        const remaining = this.getRemainingLength(range);
+        const characters = Array.from(text);
+        let count = 0;
+        let end = 0;
+        for (; end < characters.length; end++) {
+            if (/[\r\n\u200B]/.test(characters[end])) continue;
+            if (count === remaining) break;
+            count++;
+        }
+        if (end === characters.length) return text;
+        this.emit('maxLengthExceeded', { maxLength: this.maxLength, text });
+        return characters.slice(0, end).join('');
     }
     /**
-        * @method createMultiSizeModal
-        * @description Creates the modal dialog for multi size selected text warning.
-        */
-    createSelectModal() {
-        const div = document.createElement('div');
-        div.id = 'selectModal';
-        div.className = 'hidden fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50';
-        div.innerHTML = `
-            <div style="background-color: #dfedec;" class="rounded-lg shadow-xl p-6 w-full max-w-sm" dir="${this.dir}">
-                <h3 class="text-lg font-medium mb-4">${this.i18n.warning}</h3>
-                <p>${this.i18n.selectWarning}</p>
-                <div class="flex justify-end gap-2 mt-4">
-                    <button id="closeSelect" class="px-4 py-2 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700">${this.i18n.ok}</button>
-                </div>
-            </div>
-        `;
-        return div;
+     * @method fitToMaxLength
+     * @description Checks pasted or dropped HTML against options.maxLength. Content that does not fit is
+     * replaced by as much of its plain text as fits.
+     * @param {string} html The sanitized HTML about to be inserted.
+     * @param {string} [text] Its plain text version, when the clipboard has one.
+     * @returns {string} The HTML to insert ('' when nothing fits).
+     */
+    fitToMaxLength(html, text) {
+        if (!this.maxLength || !html) return html;
+        // Template content is inert: no images load while measuring
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const plain = template.content.textContent;
+        if (this.countCharacters(plain) <= this.getRemainingLength()) return html;
+        return this.textToHTML(this.clampToMaxLength(text || plain));
     }
-        /**
-        * @method getCurrentBlockElement
-        * @description Returns current element where caret is.
-        */
-    getCurrentBlockElement() {
-            const selection = window.getSelection();
-            
-            // 1. Safety check: Is anything selected?
-            if (!selection.rangeCount) return null;
-            // 2. Get the node where the selection starts
-            let node = selection.anchorNode;
-            // 3. Text Node Fix:
-            // If the node is text (nodeType 3), get its parent element.
-            // Example: <p>Hello|</p> -> node is "Hello", parent is <p>
-            if (node.nodeType === 3) {
-                node = node.parentNode;
-            }
-            // 4. Check for the "Root" (Nothing) case
-            // If the resulting node is the contenteditable div itself,
-            // it means the text is not wrapped in a p or div.
-            if (node.getAttribute('contenteditable') === 'true') {
-                return 'ROOT';
+    /**
+     * @method limitInput
+     * @description Keeps typed, autocorrected and dropped text within options.maxLength (beforeinput). Text that does not
+     * fit is cut to the room left and inserted in place of the browser's own insertion.
+     * @param {InputEvent} e
+     */
+    limitInput(e) {
+        // Composition input cannot be cancelled: limitComposition() trims it once it is committed
+        if (e.isComposing || e.inputType === 'insertCompositionText') {
+            this.characterCount = null;
+            return;
+        }
+        const text = !e.inputType.startsWith('insert') ? '' : typeof e.data === 'string' ? e.data
+            : e.dataTransfer ? e.dataTransfer.getData('text/plain') : '';
+        if (!text) {
+            // Deletions, formatting and new paragraphs: measured again when next needed
+            this.characterCount = null;
+            return;
+        }
+        // Where the text goes: the word being autocorrected or the drop point, else the selection
+        const target = e.getTargetRanges ? e.getTargetRanges()[0] : null;
+        let range = null;
+        if (target) {
+            range = document.createRange();
+            range.setStart(target.startContainer, target.startOffset);
+            range.setEnd(target.endContainer, target.endOffset);
+        }
+        const replaced = range ? (range.collapsed ? null : range) : this.getSelectedRange();
+        const fitted = this.clampToMaxLength(text, replaced);
+        if (fitted === text) {
+            // Plain typing keeps the count current without measuring the content again
+            if (this.characterCount !== null && !replaced && e.inputType === 'insertText') {
+                this.characterCount += this.countCharacters(text);
+                this.countedInput = true;
+            } else {
+                this.characterCount = null;
             }
-            // 5. Return the Tag Name (e.g., 'P', 'DIV', 'LI')
-            return node.tagName;
+            return;
+        }
+        e.preventDefault();
+        if (!fitted) return;
+        if (range) {
+            const sel = window.getSelection();
+            sel.removeAllRanges();
+            sel.addRange(range);
         }
+        this.characterCount = null;
+        document.execCommand('insertText', false, fitted);
+    }
     /**
-        * @method getNextBlockElement
-        * @description Returns next line element where caret is.
-        */
-    getNextBlockElement() {
-        const selection = window.getSelection();
-        if (!selection.rangeCount) return null;
-        // 1. Get the node where the caret is
-        let currentNode = selection.anchorNode;
-        // 2. Define your editor container (update ID as needed)
-        const editor = document.getElementById('editor');
-        // Safety check: Ensure selection is actually inside the editor
-        if (!editor.contains(currentNode)) return null;
-        // 3. Traverse UP to find the immediate child of the editor
-        // We want the top-level block (the P or DIV), not the <b> or <i> inside it.
-        while (currentNode && currentNode.parentNode !== editor) {
-            currentNode = currentNode.parentNode;
-        }
-        // 4. Now currentNode is the block (e.g., <p> or <div>).
-        // Get the next sibling element.
-        const nextElement = currentNode.nextElementSibling;
-        if (nextElement) {
-            return nextElement.tagName; // Returns 'DIV', 'P', 'UL', etc.
-        } else {
-            return 'NOTHING'; // It is the last element in the editor
-        }
+     * @method limitComposition
+     * @description Trims committed IME text (compositionend) that went over options.maxLength, removing its excess
+     * characters from before the caret.
+     * @param {CompositionEvent} e
+     */
+    limitComposition(e) {
+        this.characterCount = null;
+        const excess = this.getCharacterCount() - this.maxLength;
+        const sel = window.getSelection();
+        const node = sel.focusNode;
+        if (excess <= 0 || !e.data || !sel.isCollapsed || !node || node.nodeType !== Node.TEXT_NODE || !this.editor.contains(node)) return;
+        // Only the composed text is trimmed, never what was there before it
+        const before = Array.from(node.data.slice(0, sel.focusOffset));
+        const removed = Math.min(excess, this.countCharacters(e.data), before.length);
+        const start = before.slice(0, before.length - removed).join('').length;
+        node.deleteData(start, sel.focusOffset - start);
+        sel.collapse(node, start);
+        this.characterCount = null;
+        this.emit('maxLengthExceeded', { maxLength: this.maxLength, text: e.data });
+        this.debouncedPush();
+        this.saveAll();
+        this.notifyChange();
+        this.updateToolbarState();
     }
     /**
-        * @method addEventListeners
-        * @description Initializes all event listeners for the toolbar, editor, and modals.
-        */
-    addEventListeners() {
-        this.alignmentButton.addEventListener('click', e => {
-            e.preventDefault();
-            this.alignmentMenu.classList.toggle('hidden');
-        });
-        this.emojiButton.addEventListener('click', e => {
-            e.preventDefault();
-            this.emojiMenu.classList.toggle('hidden');
+     * @method createStatusBar
+     * @description Creates the statistics bar shown under the editor area when options.statusBar is set.
+     * @returns {HTMLElement}
+     */
+    createStatusBar() {
+        const bar = document.createElement('div');
+        bar.id = this.scopedId('statusBar');
+        bar.className = 'jcaret-status-bar flex flex-wrap items-center gap-x-4 gap-y-1 px-3 py-1.5 bg-gray-50 border-t border-gray-300 text-xs text-gray-600';
+        bar.dir = this.dir;
+        ['words', 'characters', 'charactersNoSpaces', 'paragraphs', 'readingTime', 'selection'].forEach(name => {
+            const item = document.createElement('span');
+            item.dataset.stat = name;
+            bar.appendChild(item);
         });
-        document.addEventListener('click', e => {
-            if (!this.alignmentButton.contains(e.target) && !this.alignmentMenu.contains(e.target)) {
-                this.alignmentMenu.classList.add('hidden');
-            }
-            if (!this.highlightButton.contains(e.target) && !this.highlightMenu.contains(e.target)) {
-                this.highlightMenu.classList.add('hidden');
-            }
-            if (!this.tableOperationsButton.contains(e.target) && !this.tableMenu.contains(e.target)) {
-                this.tableMenu.classList.add('hidden');
-            }
-            if (!this.emojiButton.contains(e.target) && !this.emojiMenu.contains(e.target)) {
-                this.emojiMenu.classList.add('hidden');
+        bar.lastChild.classList.add('text-indigo-600');
+        return bar;
+    }
+    /**
+     * @method updateStatusBar
+     * @description Refreshes the status bar counts; the character count turns red at options.maxLength.
+     */
+    updateStatusBar() {
+        if (!this.statusBar || this.destroyed) return;
+        const stats = this.getStats();
+        const item = name => this.statusBar.querySelector(`[data-stat="${name}"]`);
+        item('words').textContent = `${this.i18n.words}: ${stats.words}`;
+        const characters = item('characters');
+        const full = !!this.maxLength && stats.characters >= this.maxLength;
+        characters.textContent = `${this.i18n.characters}: ${stats.characters}` + (this.maxLength ? ` / ${this.maxLength}` : '');
+        characters.classList.toggle('text-red-600', full);
+        characters.classList.toggle('font-semibold', full);
+        characters.title = full ? this.i18n.maxLengthReached : '';
+        item('charactersNoSpaces').textContent = `${this.i18n.charactersNoSpaces}: ${stats.charactersNoSpaces}`;
+        item('paragraphs').textContent = `${this.i18n.paragraphs}: ${stats.paragraphs}`;
+        item('readingTime').textContent = this.i18n.readingTime.replace('{minutes}', stats.readingTime);
+        const selection = item('selection');
+        selection.classList.toggle('hidden', !stats.selection);
+        selection.textContent = stats.selection
+            ? this.i18n.selectionStats.replace('{words}', stats.selection.words).replace('{characters}', stats.selection.characters) : '';
+    }
+    /**
+     * @method cleanContent
+     * @description Strips editor-only artifacts from a copy of the editor content.
+     * @param {HTMLElement} root The element to clean (modified in place).
+     * @returns {HTMLElement} The cleaned element.
+     */
+    cleanContent(root) {
+        root.querySelectorAll('.resize-handle, .jcaret-crop-overlay').forEach(h => h.remove());
+        // Unfinished uploads: new images are left out, replaced images keep their previous source
+        root.querySelectorAll('figure[data-upload-id]').forEach(figure => {
+            const pending = this.pendingUploads[figure.dataset.uploadId];
+            const img = figure.querySelector('img');
+            if (!pending || !pending.previousSrc || !img) {
+                figure.remove();
+                return;
             }
+            img.src = pending.previousSrc;
+            figure.removeAttribute('data-upload-id');
+            figure.classList.remove('jcaret-uploading');
+            figure.querySelectorAll('.jcaret-upload-status').forEach(el => el.remove());
         });
-        this.highlightButton.addEventListener('click', e => {
-            e.preventDefault();
-            this.highlightMenu.classList.toggle('hidden');
+        root.querySelectorAll('.selected').forEach(el => {
+            el.classList.remove('selected');
+            if (!el.className) el.removeAttribute('class');
         });
-        this.highlightButton.addEventListener('mousedown', e => {
-            e.preventDefault();
-            this.saveSelection();
+        root.querySelectorAll('figure, figcaption, td, th').forEach(el => el.removeAttribute('contenteditable'));
+        // Syntax highlighting is display only
+        root.querySelectorAll('pre > code span').forEach(span => span.replaceWith(...span.childNodes));
+        root.querySelectorAll('pre > code').forEach(code => code.normalize());
+        this.runHook('serialize', root);
+        return root;
+    }
+    /**
+     * @method hydrateContent
+     * @description Restores the editing behaviour of loaded content: figures, captions and cells
+     * editability, block directions, code highlighting and an empty paragraph for blank content.
+     */
+    hydrateContent() {
+        if (!this.editor.innerHTML.trim()) {
+            this.editor.innerHTML = '<p><br></p>';
+        }
+        this.editor.querySelectorAll('.resize-handle').forEach(h => h.remove());
+        this.editor.querySelectorAll('figure').forEach(figure => {
+            figure.classList.remove('selected');
+            if (!figure.classList.contains('resizable')) figure.classList.add('resizable', 'center');
+            figure.contentEditable = 'false';
         });
-        this.highlightMenu.addEventListener('click', e => {
-            const btn = e.target.closest('button[data-color]');
-            if (btn) {
-                this.currentHighlightColor = btn.dataset.color;
-                const highlightBar = this.highlightContainer.querySelector('#highlightBar');
-                highlightBar.style.backgroundColor = this.currentHighlightColor === 'transparent' ? 'transparent' : this.currentHighlightColor;
-                this.highlightMenu.classList.add('hidden');
-                this.editor.focus();
-                this.restoreSelection();
-                document.execCommand('backColor', false, this.currentHighlightColor);
-            }
+        this.editor.querySelectorAll('figcaption, td, th').forEach(el => {
+            el.contentEditable = 'true';
         });
-        this.emojiMenu.addEventListener('click', e => {
-            const btn = e.target.closest('button[data-emoji]');
-            if (btn) {
-                this.emojiMenu.classList.add('hidden');
-                this.editor.focus();
-                document.execCommand('insertText', false, btn.dataset.emoji);
-            }
+        this.editor.querySelectorAll('pre > code').forEach(code => {
+            code.parentNode.dir = 'ltr';
+            this.highlightCode(code);
         });
-        this.tableOperationsButton.addEventListener('click', e => {
-            e.preventDefault();
-            this.tableMenu.classList.toggle('hidden');
-            if (!this.tableMenu.classList.contains('hidden')) {
-                this.updateTableMenu();
+        if (this.language === 'ar') this.updateDirections();
+    }
+    /**
+     * @method getMarkdown
+     * @description Returns the editor content as (GitHub flavored) Markdown: paragraphs, headings (h1–h6 and
+     * paragraphs in a large font size), fenced code blocks, inline code, bold/italic/strikethrough, blockquotes, nested lists, links, tables with captions and images
+     * with captions. Underline, superscript and subscript are kept as inline HTML.
+     * @returns {string}
+     */
+    getMarkdown() {
+        if (this.isEmpty()) return '';
+        const root = this.cleanContent(this.editor.cloneNode(true));
+        return this.markdownFromBlocks(root).join('\n\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+    }
+    /**
+     * @method setMarkdown
+     * @description Loads Markdown into the editor. Blocks with Arabic text are given dir="rtl".
+     * @param {string} markdown The Markdown source.
+     * @param {object} [options={}] Same options as setHTML().
+     */
+    setMarkdown(markdown, options = {}) {
+        this.setHTML(this.markdownToHTML(markdown || ''), options);
+    }
+    /**
+     * @method markdownFromBlocks
+     * @description Serializes the block children of an element to an array of Markdown blocks.
+     */
+    markdownFromBlocks(parent) {
+        const blocks = [];
+        let inline = document.createElement('p');
+        const flushInline = () => {
+            const text = this.markdownFromInline(inline).trim();
+            if (text) blocks.push(this.escapeMarkdownLineStart(text));
+            inline = document.createElement('p');
+        };
+        Array.from(parent.childNodes).forEach(node => {
+            const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName.toLowerCase() : '';
+            if (!['p', 'div', 'blockquote', 'ul', 'ol', 'figure', 'table', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre'].includes(tag)) {
+                inline.appendChild(node.cloneNode(true));
+                return;
+            }
+            flushInline();
+            if (tag === 'p' || tag === 'div' || /^h[1-6]$/.test(tag)) {
+                const level = /^h[1-6]$/.test(tag) ? parseInt(tag[1], 10) : this.getFontHeadingLevel(node);
+                const text = this.markdownFromInline(node).trim();
+                if (!text) return;
+                blocks.push(level ? `${'#'.repeat(level)} ${text.replace(/ {2}\n/g, ' ')}` : this.escapeMarkdownLineStart(text));
+            } else if (tag === 'pre') {
+                const code = node.querySelector('code');
+                const text = this.getCodeText(code || node).replace(/\u200B/g, '');
+                const language = code ? this.getCodeLanguage(code) : 'plaintext';
+                const fence = '`'.repeat(Math.max(3, ...(text.match(/`+/g) || []).map(run => run.length + 1)));
+                blocks.push(`${fence}${language === 'plaintext' ? '' : language}\n${text}\n${fence}`);
+            } else if (tag === 'blockquote') {
+                const inner = node.querySelector('ul, ol, figure, blockquote')
+                    ? this.markdownFromBlocks(node).join('\n\n')
+                    : this.markdownFromInline(node).trim();
+                if (inner) blocks.push(inner.split('\n').map(line => line ? `> ${line}` : '>').join('\n'));
+            } else if (tag === 'ul' || tag === 'ol') {
+                blocks.push(this.markdownFromList(node, ''));
+            } else if (tag === 'figure' || tag === 'table') {
+                const markdown = this.markdownFromFigure(node);
+                if (markdown) blocks.push(markdown);
             }
         });
-        this.imageUploadButton.addEventListener('click', e => {
-            e.preventDefault();
-            this.saveSelection();
-            this.imageUpload.click();
-        });
-        this.imageUpload.addEventListener('change', e => {
-            const file = e.target.files[0];
-            if (!file) return;
-            const oldContent = this.editor.innerHTML;
-            const reader = new FileReader();
-            reader.onload = ev => {
-                const tempImg = new Image();
-                tempImg.src = ev.target.result;
-                tempImg.onload = () => {
-                    const canvas = document.createElement('canvas');
-                    
-                    // 1. INCREASE MAX WIDTH
-                    // 800px is often too small for full-width desktop viewing. 
-                    // 1200px or 1600px is a better balance for quality vs. size.
-                    const maxWidth = 1200; 
-                    
-                    let width = tempImg.width;
-                    let height = tempImg.height;
-
-                    // Calculate new dimensions keeping aspect ratio
-                    if (width > maxWidth) {
-                        height *= maxWidth / width;
-                        width = maxWidth;
-                    }
-
-                    canvas.width = width;
-                    canvas.height = height;
-
-                    const ctx = canvas.getContext('2d');
-
-                    // 2. ENABLE SMOOTH SCALING
-                    // This ensures the browser uses high-quality algorithms when downscaling.
-                    ctx.imageSmoothingEnabled = true;
-                    ctx.imageSmoothingQuality = 'high';
-
-                    ctx.drawImage(tempImg, 0, 0, width, height);
-
-                    // 3. OPTIMIZE COMPRESSION FORMAT AND QUALITY
-                    // 'image/webp' usually offers better compression/quality ratio than jpeg.
-                    // Quality 0.75 (75%) removes metadata/bloat but keeps visual crispness.
-                    // If the browser doesn't support WebP, it silently falls back to PNG/JPEG.
-                    let compressedSrc = canvas.toDataURL('image/webp', 0.75);
-
-                    // Fallback: If WebP isn't supported or returns a larger string (rare), use JPEG at 0.7
-                    if (compressedSrc.length > ev.target.result.length && tempImg.src.startsWith('data:image/jpeg')) {
-                        compressedSrc = canvas.toDataURL('image/jpeg', 0.7);
-                    }
-
-                    // --- Rest of your logic remains the same ---
-                    const figure = document.createElement('figure');
-                    figure.className = 'resizable center';
-                    figure.contentEditable = 'false';
-                    figure.id = 'temp-new-image';
-
-                    const img = document.createElement('img');
-                    img.src = compressedSrc;
-                    img.alt = 'Uploaded Image';
-                    img.style.display = 'block';
-                    img.style.width = '100%';
-                    img.style.height = 'auto';
-
-                    figure.appendChild(img);
-
-                    const figcaption = document.createElement('figcaption');
-                    figcaption.className = 'caption';
-                    figcaption.contentEditable = 'true';
-                    figcaption.textContent = this.i18n.caption; 
-                    
-                    figure.appendChild(figcaption);
-                    this.editor.focus();
-                    this.restoreSelection();
-                    document.execCommand('insertHTML', false, figure.outerHTML);
-
-                    const newFigure = this.editor.querySelector('#temp-new-image');
-                    document.querySelector('button[data-command="justifyFull"]').style.display = "none";
-                    
-                    if (newFigure) {
-                        newFigure.removeAttribute('id');
-                        this.addResizeHandle(newFigure);
-                        this.selectedResizable = newFigure;
-                        
-                        const p = document.createElement('p');
-                        p.innerHTML = '<br>';
-                        newFigure.parentNode.insertBefore(p, newFigure.nextSibling);
-                        
-                        const sel = window.getSelection();
-                        const range = document.createRange();
-                        range.setStart(p, 0);
-                        range.collapse(true);
-                        sel.removeAllRanges();
-                        sel.addRange(range);
-                    }
-
-                    if (this.editor.innerHTML !== oldContent) {
-                        this.undoStack.push(oldContent);
-                        this.redoStack = [];
-                        this.lastContent = this.editor.innerHTML;
-                        this.saveAll();
-                    }
-                    
-                    this.updateToolbarState();
-                    this.imageUpload.value = '';
-                };
-            };
-            
-            reader.readAsDataURL(file);
+        flushInline();
+        return blocks;
+    }
+    /**
+     * @method getFontHeadingLevel
+     * @description Maps a paragraph written entirely in a large font size (7, 6 or 5) to heading level 1, 2 or 3.
+     */
+    getFontHeadingLevel(block) {
+        const text = block.textContent.trim();
+        if (!text) return 0;
+        const font = Array.from(block.querySelectorAll('font[size]')).find(f => f.textContent.trim() === text);
+        const size = font ? parseInt(font.getAttribute('size'), 10) : 0;
+        return size >= 5 ? 8 - size : 0;
+    }
+    /**
+     * @method markdownFromList
+     * @description Serializes a ul/ol (and its nested lists) to Markdown list items. Checklist items become - [ ] / - [x].
+     */
+    markdownFromList(list, indent) {
+        const ordered = list.tagName === 'OL';
+        const checklist = !ordered && list.classList.contains('checklist');
+        let number = parseInt(list.getAttribute('start'), 10) || 1;
+        const lines = [];
+        Array.from(list.children).forEach(li => {
+            if (li.tagName !== 'LI') return;
+            const marker = ordered ? `${number++}.` : '-';
+            const childIndent = indent + ' '.repeat(marker.length + 1);
+            const content = li.cloneNode(true);
+            const nested = Array.from(content.children).filter(el => el.tagName === 'UL' || el.tagName === 'OL');
+            nested.forEach(el => el.remove());
+            const text = this.markdownFromInline(content).trim().replace(/\n/g, `\n${childIndent}`);
+            const task = checklist ? (li.dataset.checked === 'true' ? '[x] ' : '[ ] ') : '';
+            lines.push(`${indent}${marker} ${task}${text}`);
+            nested.forEach(el => lines.push(this.markdownFromList(el, childIndent)));
         });
-        this.fontNameContainer.addEventListener('mousedown', () => this.saveSelection());
-        this.fontNameContainer.addEventListener('change', () => {
-            const oldContent = this.editor.innerHTML;
-            if (this.fontNameValue) {
-                this.editor.focus();
-                this.restoreSelection();
-                document.execCommand('fontName', false, this.fontNameValue);
-                if (this.editor.innerHTML !== oldContent) {
-                    this.undoStack.push(oldContent);
-                    this.redoStack = [];
-                    this.lastContent = this.editor.innerHTML;
-                    this.saveAll();
-                }
-                this.updateToolbarState();
+        return lines.join('\n');
+    }
+    /**
+     * @method markdownFromFigure
+     * @description Serializes an image figure to ![alt](src "caption") and a table figure to a GFM table
+     * followed by a "Table: caption" line.
+     */
+    markdownFromFigure(figure) {
+        const captionEl = figure.querySelector('figcaption');
+        const caption = captionEl ? captionEl.textContent.trim() : '';
+        const img = figure.tagName === 'FIGURE' ? figure.querySelector('img') : null;
+        const table = figure.tagName === 'TABLE' ? figure : figure.querySelector('table');
+        if (table) {
+            const rows = Array.from(table.rows).map(row => Array.from(row.cells).map(cell =>
+                this.markdownFromInline(cell).trim().replace(/ {2}\n/g, '<br>').replace(/\n/g, ' ')));
+            if (!rows.length) return '';
+            const width = Math.max(...rows.map(r => r.length));
+            rows.forEach(r => { while (r.length < width) r.push(''); });
+            const line = cells => `| ${cells.join(' | ')} |`;
+            const out = [line(rows[0]), line(rows[0].map(() => '---')), ...rows.slice(1).map(line)];
+            if (caption) out.push('', `Table: ${caption}`);
+            return out.join('\n');
+        }
+        if (img) {
+            const alt = (img.getAttribute('alt') || '').replace(/[\[\]]/g, '');
+            const title = caption ? ` "${caption.replace(/"/g, '\\"')}"` : '';
+            return `![${alt}](${(img.getAttribute('src') || '').replace(/ /g, '%20')}${title})`;
+        }
+        return '';
+    }
+    /**
+     * @method markdownFromInline
+     * @description Serializes inline content (text, marks, links, line breaks) to Markdown.
+     */
+    markdownFromInline(node) {
+        const wrap = (marker, text, closing = marker) => {
+            const m = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            return m[2] ? `${m[1]}${marker}${m[2]}${closing}${m[3]}` : text;
+        };
+        let out = '';
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                out += child.textContent.replace(/\u200B/g, '').replace(/\u00a0/g, ' ').replace(/\s*\n\s*/g, ' ')
+                    .replace(/([\\`*_[\]~<>|])/g, '\\$1');
+                return;
             }
-        });
-        this.fontSizeSelect.addEventListener('mousedown', () => this.saveSelection());
-        this.fontSizeSelect.addEventListener('change', () => {
-            const oldContent = this.editor.innerHTML;
-            if (this.fontSizeSelect.value) {
-                this.editor.focus();
-                this.restoreSelection();
-                const value = this.fontSizeSelect.value;
-                // Changed: Only execCommand for values 1-7; for 7, only apply style (no execCommand, as it's invalid)
-                if (value <= 7) {
-                    document.execCommand('fontSize', false, value);
-                }
-                if (this.editor.innerHTML !== oldContent) {
-                    this.undoStack.push(oldContent);
-                    this.redoStack = [];
-                    this.lastContent = this.editor.innerHTML;
-                    this.saveAll();
-                }
-                this.updateToolbarState();
+            if (child.nodeType !== Node.ELEMENT_NODE) return;
+            const tag = child.tagName.toLowerCase();
+            if (tag === 'br') {
+                out += '  \n';
+                return;
             }
-        });
-        
-        this.foreColorLabel.addEventListener('mousedown', () => this.saveSelection());
-        this.fontColorInput.addEventListener('mousedown', () => this.saveSelection());
-        this.fontColorInput.addEventListener('change', e => {
-            this.editor.focus();
-            this.restoreSelection();
-            const wasSelected = !window.getSelection().isCollapsed;
-            document.execCommand('foreColor', false, e.target.value);
-            if (wasSelected) {
-                const sel = window.getSelection();
-                sel.collapseToEnd();
-                document.execCommand('foreColor', false, e.target.value);
+            if (tag === 'img') {
+                out += `![${(child.getAttribute('alt') || '').replace(/[\[\]]/g, '')}](${child.getAttribute('src') || ''})`;
+                return;
             }
-            this.updateToolbarState();
-        });
-        this.toolbar.addEventListener('mousedown', e => {
-            let target = e.target;
-            if (target.nodeType === Node.TEXT_NODE) target = target.parentElement;
-            const btn = target.closest('button[data-command]');
-            if (btn && target.closest('#toolbar')) {
-                e.preventDefault();
-                this.saveSelection();
+            if (tag === 'code') {
+                // The fence is longer than any backtick run inside
+                const text = child.textContent.replace(/\u200B/g, '');
+                const ticks = '`'.repeat(Math.max(1, ...(text.match(/`+/g) || []).map(run => run.length + 1)));
+                const pad = /^`|`$/.test(text) ? ' ' : '';
+                if (text) out += `${ticks}${pad}${text}${pad}${ticks}`;
+                return;
             }
+            let inner = this.markdownFromInline(child);
+            const style = child.getAttribute('style') || '';
+            if (tag === 'b' || tag === 'strong' || /font-weight:\s*(bold|[6-9]00)/.test(style)) inner = wrap('**', inner);
+            if (tag === 'i' || tag === 'em' || /font-style:\s*italic/.test(style)) inner = wrap('*', inner);
+            if (tag === 's' || tag === 'strike' || tag === 'del' || /line-through/.test(style)) inner = wrap('~~', inner);
+            if (tag === 'u' || tag === 'sup' || tag === 'sub') inner = wrap(`<${tag}>`, inner, `</${tag}>`);
+            if (tag === 'a' && child.getAttribute('href')) {
+                // Parentheses go in a <...> destination so they read back unchanged
+                const href = child.getAttribute('href').replace(/ /g, '%20');
+                inner = `[${inner}](${/[()]/.test(href) ? `<${href.replace(/</g, '%3C').replace(/>/g, '%3E')}>` : href})`;
+            }
+            out += inner;
         });
-        this.toolbar.addEventListener('click', e => {
-            let target = e.target;
-            if (target.nodeType === Node.TEXT_NODE) target = target.parentElement;
-            const btn = target.closest('button');
-            if (!btn || !btn.dataset.command) return;
-            e.preventDefault();
-            const cmd = btn.dataset.command;
-            const val = btn.dataset.value || null;
-            this.editor.focus();
-            this.restoreSelection();
-            const oldContent = this.editor.innerHTML;
-            let changed = false;
-            if (cmd === 'showInfo'){
-                this.infoModal.classList.remove("hidden");
-            } else if (cmd === 'undo') {
-                if (this.undoStack.length > 0) {
-                    this.redoStack.push(this.editor.innerHTML);
-                    this.editor.innerHTML = this.undoStack.pop();
-                    this.lastContent = this.editor.innerHTML;
-                    this.saveAll();
-                    changed = true;
+        return out;
+    }
+    /**
+     * @method escapeMarkdownLineStart
+     * @description Escapes text that would otherwise start a heading, quote, list or table line.
+     */
+    escapeMarkdownLineStart(text) {
+        return text.replace(/^(\s*)(#|>|[-+]\s|\d+[.)]\s)/gm, '$1\\$2');
+    }
+    /**
+     * @method markdownToHTML
+     * @description Converts Markdown to the HTML jCaret produces.
+     * @param {string} markdown The Markdown source.
+     * @returns {string}
+     */
+    markdownToHTML(markdown) {
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        const isItem = line => /^\s*([-*+]|\d+[.)])\s+/.test(line);
+        const isTableStart = i => /\|/.test(lines[i]) && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1]) && /-/.test(lines[i + 1]);
+        const isFence = line => /^\s{0,3}(`{3,}|~{3,})/.test(line);
+        const startsBlock = i => /^\s{0,3}(#{1,6}\s|>)/.test(lines[i]) || isFence(lines[i]) || isItem(lines[i]) || isTableStart(i);
+        const dirAttr = text => this.isRTL(text) ? ' dir="rtl"' : '';
+        const html = [];
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim() || /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                i++;
+                continue;
+            }
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (isFence(line)) {
+                const [, fence, info] = line.trim().match(/^(`+|~+)\s*([\w+#-]*)/);
+                const code = [];
+                i++;
+                while (i < lines.length && !(lines[i].trim().startsWith(fence) && !lines[i].trim().slice(fence.length).trim())) {
+                    code.push(lines[i]);
+                    i++;
                 }
-            } else if (cmd === 'redo') {
-                if (this.redoStack.length > 0) {
-                    this.undoStack.push(this.editor.innerHTML);
-                    this.editor.innerHTML = this.redoStack.pop();
-                    this.lastContent = this.editor.innerHTML;
-                    this.saveAll();
-                    changed = true;
+                i++;
+                html.push(this.createCodeBlock(code.join('\n'), info.toLowerCase() || 'plaintext').outerHTML);
+            } else if (heading) {
+                html.push(this.markdownHeadingToHTML(heading[1].length, this.markdownInlineToHTML(heading[2]), dirAttr(heading[2])));
+                i++;
+            } else if (/^\s{0,3}>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+                    i++;
                 }
-            } else if (cmd === 'backColor') {
-                const cur = document.queryCommandValue('backColor').toLowerCase();
-                const on = (cur === 'rgb(255, 255, 0)' || cur === '#ffff00');
-                document.execCommand(cmd, false, on ? 'transparent' : val);
-                changed = true;
-            } else if (cmd === 'clearAll') {
-                if (confirm(this.i18n.clearAllConfirm)) { // Use translation
-                    this.undoStack.push(oldContent);
-                    this.redoStack = [];
-                    this.editor.innerHTML = '<p><br></p>';
-                    const sel = window.getSelection();
-                    const range = document.createRange();
-                    range.setStart(this.editor.firstChild, 0);
-                    range.collapse(true);
-                    sel.removeAllRanges();
-                    sel.addRange(range);
-                    this.resetEditorStyles();
-                    this.lastContent = this.editor.innerHTML;
-                    this.saveAll();
-                    changed = true;
+                html.push(`<blockquote${dirAttr(quoted.join(' '))}>${this.markdownToHTML(quoted.join('\n'))}</blockquote>`);
+            } else if (isItem(line)) {
+                const items = [];
+                while (i < lines.length && (isItem(lines[i]) || (lines[i].trim() && /^\s/.test(lines[i])) || (!lines[i].trim() && i + 1 < lines.length && (isItem(lines[i + 1]) || /^\s+\S/.test(lines[i + 1]))))) {
+                    if (lines[i].trim()) items.push(lines[i]);
+                    i++;
                 }
-            } else if (cmd === 'createLink') {
-                if (this.savedRange && this.savedRange.toString().length) {
-                    this.linkModal.classList.remove('hidden');
-                    this.linkModal.querySelector('#linkUrl').value = 'https://';
-                    this.linkModal.querySelector('#linkUrl').focus();
+                html.push(this.markdownListToHTML(items));
+            } else if (isTableStart(i)) {
+                const splitRow = row => row.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+                const rows = [splitRow(lines[i])];
+                i += 2;
+                while (i < lines.length && lines[i].trim() && /\|/.test(lines[i])) {
+                    rows.push(splitRow(lines[i]));
+                    i++;
                 }
-            } else if (cmd === 'insertBlockquote') {
-                if(this.language === 'en' && document.querySelector('button[data-command="justifyRight"]').classList.contains('is-active')) return;
-                const sel = window.getSelection();
-                if (!sel.rangeCount) return;
-                const range = sel.getRangeAt(0);
-                let container = range.commonAncestorContainer;
-                while (container && container.nodeType !== Node.ELEMENT_NODE) {
-                    container = container.parentNode;
+                let caption = '';
+                let next = i;
+                while (next < lines.length && !lines[next].trim()) next++;
+                const captionMatch = next < lines.length && lines[next].match(/^\s*(?:Table)?:\s+(.+)$/);
+                if (captionMatch) {
+                    caption = captionMatch[1].trim();
+                    i = next + 1;
                 }
-                const blockquote = container.closest('blockquote');
-                if (blockquote) {
-                    
-                    const fragment = document.createDocumentFragment();
-                    while (blockquote.firstChild) {
-                        fragment.appendChild(blockquote.firstChild);
-                    }
-                    blockquote.parentNode.replaceChild(fragment, blockquote);
-                    const firstChild = fragment.firstChild;
-                    if (firstChild) {
-                        const newRange = document.createRange();
-                        newRange.selectNodeContents(firstChild);
-                        newRange.collapse(false);
-                        sel.removeAllRanges();
-                        sel.addRange(newRange);
-                    }
+                const width = rows[0].length;
+                // The GFM header row becomes a header row of th cells
+                const body = rows.map((cells, r) => `<tr>${Array.from({ length: width }, (_, c) => {
+                    const tag = r === 0 ? 'th' : 'td';
+                    return `<${tag}${r === 0 ? ' scope="col"' : ''}${dirAttr(cells[c] || '')}>${this.markdownInlineToHTML(cells[c] || '') || '<br>'}</${tag}>`;
+                }).join('')}</tr>`).join('');
+                const figcaption = caption ? `<figcaption class="caption">${this.markdownInlineToHTML(caption)}</figcaption>` : '';
+                html.push(`<figure class="resizable center"><table>${body}</table>${figcaption}</figure>`);
+            } else {
+                const paragraph = [];
+                while (i < lines.length && lines[i].trim() && !(paragraph.length && startsBlock(i))) {
+                    paragraph.push(lines[i]);
+                    i++;
+                }
+                const text = paragraph.join('\n');
+                const image = text.trim().match(/^!\[([^\]]*)\]\((\S+?)(?:\s+"((?:[^"\\]|\\.)*)")?\)$/);
+                if (image) {
+                    const escapeAttr = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+                    const figcaption = image[3] ? `<figcaption class="caption">${this.markdownInlineToHTML(image[3].replace(/\\"/g, '"'))}</figcaption>` : '';
+                    html.push(`<figure class="resizable center"><img src="${escapeAttr(image[2])}" alt="${escapeAttr(image[1])}" style="display: block; width: 100%; height: auto;">${figcaption}</figure>`);
                 } else {
-                    const fragment = range.extractContents();
-                    const contentText = fragment.textContent.trim();
-                    if (!contentText) return;
-                    const dir = /[\u0600-\u06FF\u0750-\u077F]/.test(contentText) ? 'rtl' : 'ltr';
-                    const p = document.createElement('p');
-                    p.dir = dir;
-                    p.appendChild(fragment);
-                    const bq = document.createElement('blockquote');
-                    bq.appendChild(p);
-                    range.insertNode(bq);
-                    const newRange = document.createRange();
-                    newRange.selectNodeContents(p);
-                    newRange.collapse(false);
-                    sel.removeAllRanges();
-                    sel.addRange(newRange);
+                    html.push(`<p${dirAttr(text)}>${this.markdownInlineToHTML(text)}</p>`);
                 }
-                if(this.language === 'ar') this.updateDirections();
-                this.updateToolbarState();
-                changed = true;
-            } else if (cmd === 'insertUnorderedList' || cmd === 'insertOrderedList') {
-                let currentDir = this.dir; // default to editor's dir
-                const sel = window.getSelection();
-                if (sel.rangeCount) {
-                let container = sel.getRangeAt(0).commonAncestorContainer;
-                if (container.nodeType !== 1) container = container.parentElement;
-                const block = container.closest('p, blockquote, ol, ul, li, td');
-                if (block) {
-                    const style = window.getComputedStyle(block);
-                    const textAlign = style.textAlign;
-                    const direction = style.direction;
-                    let effectiveAlign;
-                    if (textAlign === 'left' || textAlign === 'right') {
-                        effectiveAlign = textAlign;
-                    } else if (textAlign === 'start') {
-                        effectiveAlign = direction === 'ltr' ? 'left' : 'right';
-                    } else if (textAlign === 'end') {
-                        effectiveAlign = direction === 'ltr' ? 'right' : 'left';
-                    } else {
-                    // For center, justify, etc., use current direction without changing
-                        currentDir = direction;
-                    }
-                    if (effectiveAlign === 'left') {
-                        currentDir = 'ltr';
-                    } else if (effectiveAlign === 'right') {
-                        currentDir = 'rtl';
-                    }
-                    
-                    if(this.language === "en" && ((currentDir === "rtl" || direction === "rtl"))){      
-                        return;
-                    }
-                    }
+            }
+        }
+        return html.join('') || '<p><br></p>';
+    }
+    /**
+     * @method markdownHeadingToHTML
+     * @description Renders a Markdown heading as the matching h1–h6 element.
+     */
+    markdownHeadingToHTML(level, inner, dir) {
+        return `<h${level}${dir}>${inner}</h${level}>`;
+    }
+    /**
+     * @method markdownListToHTML
+     * @description Builds nested ul/ol elements from Markdown list lines, nesting by indentation.
+     * Task items (- [ ] / - [x]) make their list a checklist.
+     */
+    markdownListToHTML(lines) {
+        const root = document.createElement('div');
+        const stack = [];
+        lines.forEach(line => {
+            const m = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+            if (!m) {
+                // Continuation of the previous item
+                const top = stack[stack.length - 1];
+                if (top && top.lastItem) top.lastItem.insertAdjacentHTML('beforeend', ' ' + this.markdownInlineToHTML(line.trim()));
+                return;
+            }
+            const indent = m[1].replace(/\t/g, '    ').length;
+            const ordered = /\d/.test(m[2]);
+            while (stack.length && indent < stack[stack.length - 1].indent) stack.pop();
+            let top = stack[stack.length - 1];
+            if (!top || indent > top.indent || top.ordered !== ordered) {
+                if (top && indent === top.indent) stack.pop();
+                const list = document.createElement(ordered ? 'ol' : 'ul');
+                if (ordered && parseInt(m[2], 10) !== 1) list.setAttribute('start', parseInt(m[2], 10));
+                const parent = stack[stack.length - 1];
+                (parent && parent.lastItem ? parent.lastItem : root).appendChild(list);
+                top = { indent, ordered, list, lastItem: null };
+                stack.push(top);
+            }
+            const task = !ordered && m[3].match(/^\[([ xX])\](?:\s+|$)(.*)$/);
+            const li = document.createElement('li');
+            li.innerHTML = this.markdownInlineToHTML(task ? task[2] : m[3]) || '<br>';
+            if (task) {
+                li.dataset.checked = task[1] === ' ' ? 'false' : 'true';
+                top.list.classList.add('checklist');
+            }
+            top.list.appendChild(li);
+            top.lastItem = li;
+        });
+        root.querySelectorAll('.checklist > li:not([data-checked])').forEach(li => { li.dataset.checked = 'false'; });
+        root.querySelectorAll('ul, ol').forEach(list => {
+            if (this.isRTL(list.textContent)) list.dir = 'rtl';
+        });
+        root.querySelectorAll('li').forEach(li => {
+            if (this.isRTL(li.textContent)) li.dir = 'rtl';
+        });
+        return root.innerHTML;
+    }
+    /**
+     * @method markdownInlineToHTML
+     * @description Converts inline Markdown (emphasis, strikethrough, code spans, links, images, hard breaks and
+     * <u>/<sup>/<sub>) to HTML. Other raw HTML is escaped.
+     */
+    markdownInlineToHTML(text) {
+        // Protected segments (backslash escapes) are swapped out for placeholders while the markup is parsed
+        const protectedParts = [];
+        const protect = html => `\u0000${protectedParts.push(html) - 1}\u0000`;
+        const escapeHTML = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        // Runs on already escaped text, so only quotes are left to escape
+        const escapeAttr = value => value.replace(/"/g, '&quot;');
+        // Code spans are literal: no escapes or emphasis inside
+        let html = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => protect(`<code>${escapeHTML(code.replace(/^ ([\s\S]*) $/, '$1'))}</code>`));
+        html = html.replace(/\\([\\`*_{}[\]()#+\-.!|~<>"])/g, (_, c) => protect(escapeHTML(c)));
+        html = escapeHTML(html);
+        html = html.replace(/&lt;(\/?)(u|sup|sub|br)\s*\/?&gt;/gi, (_, slash, tag) => `<${slash}${tag.toLowerCase()}>`);
+        // Destinations are <...> (spaces allowed) or unspaced text whose parentheses are balanced, e.g. wiki/Foo_(bar)
+        const destination = url => escapeAttr(url.replace(/^&lt;(.*)&gt;$/, '$1').replace(/ /g, '%20'));
+        html = html.replace(/!\[([^\]]*)\]\((&lt;(?:(?!&[lg]t;).)*&gt;|(?:[^\s()]|\([^\s()]*\))+)(?:\s+"[^"]*")?\)/g,
+            (_, alt, src) => protect(`<img src="${destination(src)}" alt="${escapeAttr(alt)}">`));
+        // The opening tag is protected so the emphasis passes below cannot rewrite * or _ inside the href
+        html = html.replace(/\[([^\]]+)\]\((&lt;(?:(?!&[lg]t;).)*&gt;|(?:[^\s()]|\([^\s()]*\))+)(?:\s+"[^"]*")?\)/g,
+            (_, label, href) => `${protect(`<a href="${destination(href)}">`)}${label}</a>`);
+        html = html.replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<b>$2</b>');
+        html = html.replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<i>$1</i>');
+        html = html.replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<i>$2</i>');
+        html = html.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>');
+        html = html.replace(/( {2,}|\\)\n/g, '<br>').replace(/\n/g, ' ');
+        return html.replace(/\u0000(\d+)\u0000/g, (_, index) => protectedParts[index]);
+    }
+    /**
+     * @method toJSON
+     * @description Returns the content as a document following jCaret.schema.
+     * @returns {object}
+     */
+    toJSON() {
+        const root = this.cleanContent(this.editor.cloneNode(true));
+        return { type: 'doc', version: jCaret.schema.version, content: this.isEmpty() ? [] : this.blocksToJSON(root) };
+    }
+    /**
+     * @method fromJSON
+     * @description Loads a document following jCaret.schema. Throws when the document is invalid.
+     * @param {object} doc The document to load.
+     * @param {object} [options={}] Same options as setHTML().
+     */
+    fromJSON(doc, options = {}) {
+        const errors = jCaret.validateJSON(doc);
+        if (errors.length) {
+            const error = new Error(`Invalid jCaret document: ${errors[0]}`);
+            error.errors = errors;
+            throw error;
+        }
+        this.setHTML(this.jsonToHTML(doc), options);
+    }
+    /**
+     * @method blocksToJSON
+     * @description Converts the block children of an element to document nodes. Loose inline content is wrapped in a paragraph.
+     */
+    blocksToJSON(parent) {
+        const blocks = [];
+        let inline = document.createElement('p');
+        const flushInline = () => {
+            const content = this.inlineToJSON(inline);
+            if (content.length) blocks.push({ type: 'paragraph', content });
+            inline = document.createElement('p');
+        };
+        const direction = el => {
+            const dir = el.getAttribute('dir');
+            return dir === 'rtl' || dir === 'ltr' ? { dir } : {};
+        };
+        const block = (type, attrs, fields) => Object.keys(attrs).length ? { type, attrs, ...fields } : { type, ...fields };
+        const figureAttrs = figure => {
+            const attrs = {};
+            const align = ['left', 'center', 'right', 'full'].find(name => figure.classList.contains(name));
+            if (align) attrs.align = align;
+            if (figure.style && figure.style.width) attrs.width = figure.style.width;
+            const caption = figure.querySelector('figcaption');
+            if (caption && caption.textContent.trim()) attrs.caption = caption.textContent.trim();
+            return attrs;
+        };
+        Array.from(parent.childNodes).forEach(node => {
+            const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName.toLowerCase() : '';
+            if (!['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'blockquote', 'ul', 'ol', 'figure', 'table', 'img'].includes(tag)) {
+                inline.appendChild(node.cloneNode(true));
+                return;
+            }
+            flushInline();
+            if (tag === 'p' || tag === 'div' || /^h[1-6]$/.test(tag)) {
+                const attrs = direction(node);
+                const align = node.style.textAlign;
+                if (['left', 'center', 'right', 'justify'].includes(align)) attrs.align = align;
+                if (tag[0] === 'h') {
+                    blocks.push({ type: 'heading', attrs: { level: parseInt(tag[1], 10), ...attrs }, content: this.inlineToJSON(node) });
+                } else {
+                    blocks.push(block('paragraph', attrs, { content: this.inlineToJSON(node) }));
                 }
-                //const cr = this.getCurrentBlockElement();
-                document.execCommand(cmd, false, null);
-                if (sel.rangeCount) {
-                let li = sel.getRangeAt(0).commonAncestorContainer;
-                while (li && li.nodeName !== 'LI') {
-                    if (li.nodeType !== 1) li = li.parentElement;
-                    else break;
+            } else if (tag === 'pre') {
+                // Code keeps its line breaks and indentation, so it is stored as plain text
+                const code = node.querySelector('code');
+                const text = this.getCodeText(code || node).replace(/\u200B/g, '');
+                const attrs = direction(node);
+                if (code) attrs.language = this.getCodeLanguage(code);
+                blocks.push(block('codeBlock', attrs, { content: text ? [{ type: 'text', text }] : [] }));
+            } else if (tag === 'blockquote') {
+                blocks.push(block('blockquote', direction(node), { content: this.inlineToJSON(node) }));
+            } else if (tag === 'ul' || tag === 'ol') {
+                blocks.push(this.listToJSON(node));
+            } else {
+                const figure = tag === 'figure' ? node : document.createElement('figure');
+                const table = tag === 'table' ? node : figure.querySelector('table');
+                const img = tag === 'img' ? node : figure.querySelector('img');
+                if (table) {
+                    blocks.push(block('table', figureAttrs(figure), {
+                        content: Array.from(table.rows).map(row => ({
+                            type: 'tableRow',
+                            content: Array.from(row.cells).map(cell => {
+                                const attrs = {};
+                                if (cell.tagName === 'TH') attrs.header = true;
+                                if (cell.getAttribute('scope') === 'row' || cell.getAttribute('scope') === 'col') attrs.scope = cell.getAttribute('scope');
+                                if (cell.colSpan > 1) attrs.colspan = cell.colSpan;
+                                if (cell.rowSpan > 1) attrs.rowspan = cell.rowSpan;
+                                if (cell.style.width) attrs.width = cell.style.width;
+                                if (cell.style.backgroundColor) attrs.background = cell.style.backgroundColor;
+                                if (['top', 'middle', 'bottom'].includes(cell.style.verticalAlign)) attrs.valign = cell.style.verticalAlign;
+                                if (['left', 'center', 'right', 'justify'].includes(cell.style.textAlign)) attrs.align = cell.style.textAlign;
+                                const json = { type: 'tableCell', content: this.inlineToJSON(cell) };
+                                if (Object.keys(attrs).length) json.attrs = attrs;
+                                return json;
+                            })
+                        }))
+                    }));
+                } else if (img && img.getAttribute('src')) {
+                    const attrs = { src: img.getAttribute('src'), ...figureAttrs(figure) };
+                    if (img.getAttribute('alt')) attrs.alt = img.getAttribute('alt');
+                    ['srcset', 'sizes'].forEach(name => {
+                        if (img.getAttribute(name)) attrs[name] = img.getAttribute(name);
+                    });
+                    if (parseInt(img.getAttribute('width'), 10)) attrs.imageWidth = parseInt(img.getAttribute('width'), 10);
+                    if (parseInt(img.getAttribute('height'), 10)) attrs.imageHeight = parseInt(img.getAttribute('height'), 10);
+                    blocks.push({ type: 'image', attrs });
                 }
-                if (li && li.nodeName === 'LI') {
-                    // Set direction on the parent list (ul or ol) to support RTL lists
-                    let list = li.parentElement;
-                    if (list && (list.nodeName === 'UL' || list.nodeName === 'OL')) {
-                    list.dir = currentDir;
-                    }
-                    const tempChar = currentDir === 'rtl' ? 'ا' : 'a';
-                    const tempText = document.createTextNode(tempChar);
-                    li.insertBefore(tempText, li.firstChild);
-                    //this.updateDirections();
-                    tempText.remove();
-                    if (li.innerHTML === '') li.innerHTML = '<br>';
+            }
+        });
+        flushInline();
+        return blocks;
+    }
+    /**
+     * @method listToJSON
+     * @description Converts a ul/ol element (and its nested lists) to a list node.
+     */
+    listToJSON(list) {
+        const attrs = { ordered: list.tagName === 'OL' };
+        const start = parseInt(list.getAttribute('start'), 10);
+        if (attrs.ordered && start && start !== 1) attrs.start = start;
+        if (list.getAttribute('dir') === 'rtl' || list.getAttribute('dir') === 'ltr') attrs.dir = list.getAttribute('dir');
+        const style = list.style.listStyleType;
+        if ([...jCaret.listStyles.ordered, ...jCaret.listStyles.bulleted].includes(style)) attrs.style = style;
+        if (!attrs.ordered && list.classList.contains('checklist')) attrs.checklist = true;
+        const content = Array.from(list.children).filter(li => li.tagName === 'LI').map(li => {
+            const item = { type: 'listItem', content: [] };
+            if (li.getAttribute('dir') === 'rtl' || li.getAttribute('dir') === 'ltr') item.attrs = { dir: li.getAttribute('dir') };
+            if (attrs.checklist) item.attrs = Object.assign(item.attrs || {}, { checked: li.dataset.checked === 'true' });
+            let inline = document.createElement('span');
+            const flushInline = () => {
+                item.content.push(...this.inlineToJSON(inline));
+                inline = document.createElement('span');
+            };
+            Array.from(li.childNodes).forEach(child => {
+                if (child.nodeType === Node.ELEMENT_NODE && (child.tagName === 'UL' || child.tagName === 'OL')) {
+                    flushInline();
+                    item.content.push(this.listToJSON(child));
+                } else {
+                    inline.appendChild(child.cloneNode(true));
                 }
+            });
+            flushInline();
+            return item;
+        });
+        return { type: 'list', attrs, content };
+    }
+    /**
+     * @method inlineToJSON
+     * @description Converts inline content to text nodes with marks and hard breaks. Adjacent text with the same marks is merged.
+     * @param {Node} node The element whose children are converted.
+     * @param {object[]} [marks=[]] Marks inherited from the ancestors.
+     * @param {object[]} [out=[]] The array the nodes are appended to.
+     * @returns {object[]}
+     */
+    inlineToJSON(node, marks = [], out = []) {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                const text = child.textContent.replace(/\u200B/g, '').replace(/\s*\n\s*/g, ' ');
+                if (!text) return;
+                const last = out[out.length - 1];
+                if (last && last.type === 'text' && JSON.stringify(last.marks || []) === JSON.stringify(marks)) {
+                    last.text += text;
+                } else {
+                    out.push(marks.length ? { type: 'text', text, marks } : { type: 'text', text });
                 }
-                
-                if(this.language === 'ar') this.updateDirections();
-                changed = true;
-            } else if (['justifyLeft','justifyCenter','justifyRight','justifyFull'].includes(cmd)) {
-                this.alignmentMenu.classList.add('hidden');
-                const sel = window.getSelection();
-                if (sel.rangeCount) {
-                    let container = sel.getRangeAt(0).commonAncestorContainer;
-                    if (container.nodeType === Node.TEXT_NODE) container = container.parentElement;
-                    const td = container.closest('td');
-                    if (td) {
-                        if (sel.isCollapsed) {
-                            // Apply to table alignment
-                            this.selectedResizable = td.closest('.resizable');
-                            if (this.selectedResizable) {
-                                const wasFull = this.selectedResizable.classList.contains('full');
-                                const willBeFull = cmd === 'justifyFull';
-                                if (!wasFull && willBeFull) {
-                                    const currentWidth = this.selectedResizable.style.width || getComputedStyle(this.selectedResizable).width;
-                                    this.selectedResizable.setAttribute('data-resize-width', currentWidth);
-                                }
-                                this.selectedResizable.classList.remove('left', 'center', 'right', 'full');
-                                if (cmd === 'justifyLeft') {this.selectedResizable.classList.add('right');td.focus();}
-                                else if (cmd === 'justifyCenter') {this.selectedResizable.classList.add('center');}
-                                else if (cmd === 'justifyRight') {this.selectedResizable.classList.add('left');}
-                                else if (cmd === 'justifyFull') { this.selectedResizable.classList.add('full');}
-                                if (willBeFull) {
-                                    this.selectedResizable.style.width = '100%';
-                                } else if (wasFull && !willBeFull) {
-                                    const storedWidth = this.selectedResizable.getAttribute('data-resize-width');
-                                    if (storedWidth) {
-                                        this.selectedResizable.style.width = storedWidth;
-                                    } else {
-                                        this.selectedResizable.style.width = '';
-                                    }
-                                }
-                                
-                                this.removeResizeHandles(this.selectedResizable);
-                                this.addResizeHandle(this.selectedResizable);
-                                changed = true;
-                                this.undoStack.push(oldContent);
-                                this.redoStack = [];
-                                this.lastContent = this.editor.innerHTML;
-                                this.saveAll();
-                            }
-                        } else {
-                            // Apply to selected content in cell
-                            document.execCommand(cmd, false, null);
-                            changed = true;
-                        }
-                        this.updateToolbarState();
-                        return;
-                    }
+                return;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE) return;
+            const tag = child.tagName.toLowerCase();
+            if (tag === 'br') {
+                // A trailing <br> only keeps an empty block open
+                if (child !== node.lastChild) out.push({ type: 'hardBreak' });
+                return;
+            }
+            if (tag === 'ul' || tag === 'ol' || tag === 'table' || tag === 'img' || tag === 'figure') return;
+            const childMarks = marks.slice();
+            const addMark = (type, attrs) => {
+                const index = childMarks.findIndex(mark => mark.type === type);
+                if (index !== -1) childMarks.splice(index, 1);
+                childMarks.push(attrs ? { type, attrs } : { type });
+            };
+            const style = child.style || {};
+            if (tag === 'b' || tag === 'strong' || /^(bold|[6-9]00)$/.test(style.fontWeight)) addMark('bold');
+            if (tag === 'i' || tag === 'em' || style.fontStyle === 'italic') addMark('italic');
+            if (tag === 'u' || /underline/.test(style.textDecoration)) addMark('underline');
+            if (tag === 's' || tag === 'strike' || tag === 'del' || /line-through/.test(style.textDecoration)) addMark('strike');
+            if (tag === 'sup') addMark('superscript');
+            if (tag === 'sub') addMark('subscript');
+            if (tag === 'code') addMark('code');
+            if (tag === 'a' && child.getAttribute('href')) addMark('link', { href: child.getAttribute('href') });
+            if (tag === 'font' && child.getAttribute('face')) addMark('font', { family: child.getAttribute('face') });
+            if (tag === 'font' && child.getAttribute('size')) addMark('size', { size: child.getAttribute('size') });
+            if (tag === 'font' && child.getAttribute('color')) addMark('color', { color: child.getAttribute('color') });
+            if (style.fontFamily) addMark('font', { family: style.fontFamily });
+            if (style.fontSize) addMark('size', { size: style.fontSize });
+            if (style.color) addMark('color', { color: style.color });
+            if (style.backgroundColor) addMark('highlight', { color: style.backgroundColor });
+            this.inlineToJSON(child, childMarks, out);
+        });
+        return out;
+    }
+    /**
+     * @method jsonToHTML
+     * @description Renders a (validated) document as editor HTML.
+     * @param {object} doc The document to render.
+     * @returns {string}
+     */
+    jsonToHTML(doc) {
+        const escapeHTML = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const dirAttr = attrs => attrs && attrs.dir ? ` dir="${attrs.dir}"` : '';
+        // Outermost first, so links wrap styled spans and styled spans wrap b/i/u/s/sup/sub
+        const markOrder = ['link', 'font', 'size', 'color', 'highlight', 'bold', 'italic', 'underline', 'strike', 'superscript', 'subscript', 'code'];
+        const renderMark = (mark, html) => {
+            const attrs = mark.attrs || {};
+            switch (mark.type) {
+                case 'link': return `<a href="${escapeHTML(attrs.href)}">${html}</a>`;
+                case 'font': return `<font face="${escapeHTML(attrs.family)}">${html}</font>`;
+                case 'size': return /^[1-7]$/.test(attrs.size)
+                    ? `<font size="${attrs.size}">${html}</font>`
+                    : `<span style="font-size: ${escapeHTML(attrs.size)}">${html}</span>`;
+                case 'color': return `<font color="${escapeHTML(attrs.color)}">${html}</font>`;
+                case 'highlight': return `<span style="background-color: ${escapeHTML(attrs.color)}">${html}</span>`;
+                case 'bold': return `<b>${html}</b>`;
+                case 'italic': return `<i>${html}</i>`;
+                case 'underline': return `<u>${html}</u>`;
+                case 'strike': return `<s>${html}</s>`;
+                case 'superscript': return `<sup>${html}</sup>`;
+                case 'subscript': return `<sub>${html}</sub>`;
+                case 'code': return `<code>${html}</code>`;
+                default: return html;
+            }
+        };
+        const renderInline = content => (content || []).map(node => {
+            if (node.type === 'hardBreak') return '<br>';
+            if (node.type === 'list') return renderBlock(node);
+            const marks = (node.marks || []).slice().sort((a, b) => markOrder.indexOf(b.type) - markOrder.indexOf(a.type));
+            return marks.reduce((html, mark) => renderMark(mark, html), escapeHTML(node.text));
+        }).join('');
+        const renderFigure = (node, inner) => {
+            const attrs = node.attrs || {};
+            const width = attrs.width ? ` style="width: ${escapeHTML(attrs.width)}"` : '';
+            const caption = attrs.caption ? `<figcaption class="caption">${escapeHTML(attrs.caption)}</figcaption>` : '';
+            return `<figure class="resizable ${attrs.align || 'center'}"${width}>${inner}${caption}</figure>`;
+        };
+        const renderBlock = node => {
+            const attrs = node.attrs || {};
+            switch (node.type) {
+                case 'paragraph': {
+                    const align = attrs.align ? ` style="text-align: ${attrs.align}"` : '';
+                    return `<p${dirAttr(attrs)}${align}>${renderInline(node.content) || '<br>'}</p>`;
                 }
-                if (this.selectedResizable) {
-                    const wasFull = this.selectedResizable.classList.contains('full');
-                    const willBeFull = cmd === 'justifyFull';
-                    if (!wasFull && willBeFull) {
-                        const currentWidth = this.selectedResizable.style.width || getComputedStyle(this.selectedResizable).width;
-                        this.selectedResizable.setAttribute('data-resize-width', currentWidth);
-                    }
-                    this.selectedResizable.classList.remove('left', 'center', 'right', 'full');
-                    if (cmd === 'justifyLeft') this.selectedResizable.classList.add('right');
-                    else if (cmd === 'justifyCenter') this.selectedResizable.classList.add('center');
-                    else if (cmd === 'justifyRight') this.selectedResizable.classList.add('left');
-                    else if (cmd === 'justifyFull') this.selectedResizable.classList.add('full');
-                    if (willBeFull) {
-                        this.selectedResizable.style.width = '100%';
-                    } else if (wasFull && !willBeFull) {
-                        const storedWidth = this.selectedResizable.getAttribute('data-resize-width');
-                        if (storedWidth) {
-                            this.selectedResizable.style.width = storedWidth;
-                        } else {
-                            this.selectedResizable.style.width = '';
-                        }
-                    }
-                    this.removeResizeHandles(this.selectedResizable);
-                    this.addResizeHandle(this.selectedResizable);
-                    changed = true;
-                } else {
-                    document.execCommand(cmd, false, null);
-                    changed = true;
+                case 'heading': {
+                    const align = attrs.align ? ` style="text-align: ${attrs.align}"` : '';
+                    return `<h${attrs.level}${dirAttr(attrs)}${align}>${renderInline(node.content) || '<br>'}</h${attrs.level}>`;
                 }
-            } else if (cmd === 'insertTable') {
-                this.saveSelection();
-                this.tableModal.classList.remove('hidden');
-                this.tableModal.querySelector('#rowsInput').value = '3';
-                this.tableModal.querySelector('#colsInput').value = '3';
-                this.tableModal.querySelector('#rowsInput').focus();
-            } else if (cmd === 'insertRowAbove' || cmd === 'insertRowBelow' || cmd === 'insertColumnLeft' || cmd === 'insertColumnRight' || cmd === 'deleteTable' || cmd === 'deleteRow' || cmd === 'deleteColumn') {
-                this.tableMenu.classList.add('hidden');
-                const sel = window.getSelection();
-                if (!sel.rangeCount) return;
-                let node = sel.anchorNode;
-                while (node && node.nodeName !== 'TD') node = node.parentNode;
-                if (!node) {
-                    if (cmd === 'deleteTable' && this.selectedResizable && this.selectedResizable.querySelector('table')) {
-                        this.selectedResizable.remove();
-                        this.selectedResizable = null;
-                        changed = true;
-                    }
-                    return;
+                case 'codeBlock': {
+                    const text = (node.content || []).map(text => escapeHTML(text.text)).join('');
+                    // A trailing br shows the last line when it is empty
+                    const end = !text || text.endsWith('\n') ? '<br>' : '';
+                    return attrs.language
+                        ? `<pre dir="ltr"><code class="language-${escapeHTML(attrs.language)}">${text}${end}</code></pre>`
+                        : `<pre${dirAttr(attrs)}>${text}${end}</pre>`;
                 }
-                const tr = node.parentNode;
-                const table = tr.parentNode;
-                const colIndex = node.cellIndex;
-                if (cmd === 'insertRowAbove') {
-                    const newTr = tr.cloneNode(true);
-                    Array.from(newTr.children).forEach(td => td.innerHTML = '<br>');
-                    tr.before(newTr);
-                    changed = true;
-                } else if (cmd === 'insertRowBelow') {
-                    const newTr = tr.cloneNode(true);
-                    Array.from(newTr.children).forEach(td => td.innerHTML = '<br>');
-                    tr.after(newTr);
-                    changed = true;
-                } else if (cmd === 'insertColumnLeft' || cmd === 'insertColumnRight') {
-                    const rows = table.querySelectorAll('tr');
-                    if (rows[0].children.length >= 10) {
-                        alert(this.i18n.maxColsAlert); // Use translation
-                        return;
-                    }
-                    rows.forEach(row => {
-                        const newTd = row.children[colIndex].cloneNode(false);
-                        newTd.innerHTML = '<br>';
-                        if (cmd === 'insertColumnLeft' && this.language === 'en') {
-                            row.children[colIndex].before(newTd);
-                        } else if(cmd === 'insertColumnRight' && this.language === 'en') {
-                            row.children[colIndex].after(newTd);
-                        }
-                        if (cmd === 'insertColumnLeft' && this.language === 'ar') {
-                            row.children[colIndex].after(newTd);
-                        } else if(cmd === 'insertColumnRight' && this.language === 'ar') {
-                            row.children[colIndex].before(newTd);
-                        }
-                    });
-                    changed = true;
-                } else if (cmd === 'deleteRow') {
-                    tr.remove();
-                    if (table.rows.length === 0) {
-                        table.closest('.resizable').remove();
-                        this.selectedResizable = null;
-                    }
-                    changed = true;
-                } else if (cmd === 'deleteColumn') {
-                    const rows = table.querySelectorAll('tr');
-                    rows.forEach(row => {
-                        if (row.children[colIndex]) row.children[colIndex].remove();
-                    });
-                    if (rows.length > 0 && rows[0].children.length === 0) {
-                        table.closest('.resizable').remove();
-                        this.selectedResizable = null;
-                    }
-                    changed = true;
-                } else if (cmd === 'deleteTable') {
-                    table.closest('.resizable').remove();
-                    this.selectedResizable = null;
-                    changed = true;
+                case 'blockquote':
+                    return `<blockquote${dirAttr(attrs)}>${renderInline(node.content) || '<br>'}</blockquote>`;
+                case 'list': {
+                    const tag = attrs.ordered ? 'ol' : 'ul';
+                    const start = attrs.ordered && attrs.start ? ` start="${attrs.start}"` : '';
+                    const style = attrs.style ? ` style="list-style-type: ${attrs.style};"` : '';
+                    const checklist = !attrs.ordered && attrs.checklist;
+                    const checked = item => checklist ? ` data-checked="${!!(item.attrs && item.attrs.checked)}"` : '';
+                    const items = (node.content || []).map(item => `<li${dirAttr(item.attrs)}${checked(item)}>${renderInline(item.content) || '<br>'}</li>`).join('');
+                    return `<${tag}${dirAttr(attrs)}${checklist ? ' class="checklist"' : ''}${start}${style}>${items}</${tag}>`;
                 }
-            } else {
-                document.execCommand(cmd, false, val);
-                changed = true;
+                case 'image':
+                    return renderFigure(node, `<img src="${escapeHTML(attrs.src)}" alt="${escapeHTML(attrs.alt || '')}"` +
+                        (attrs.imageWidth ? ` width="${attrs.imageWidth}"` : '') + (attrs.imageHeight ? ` height="${attrs.imageHeight}"` : '') +
+                        (attrs.srcset ? ` srcset="${escapeHTML(attrs.srcset)}"` : '') + (attrs.sizes ? ` sizes="${escapeHTML(attrs.sizes)}"` : '') +
+                        ' style="display: block; width: 100%; height: auto;">');
+                case 'table': {
+                    const rows = (node.content || []).map(row => `<tr>${(row.content || []).map(cell => {
+                        const cellAttrs = cell.attrs || {};
+                        const tag = cellAttrs.header ? 'th' : 'td';
+                        const styles = [
+                            cellAttrs.width ? `width: ${escapeHTML(cellAttrs.width)};` : '',
+                            cellAttrs.background ? `background-color: ${escapeHTML(cellAttrs.background)};` : '',
+                            cellAttrs.valign ? `vertical-align: ${cellAttrs.valign};` : '',
+                            cellAttrs.align ? `text-align: ${cellAttrs.align};` : ''
+                        ].filter(Boolean).join(' ');
+                        return `<${tag}` + (cellAttrs.scope ? ` scope="${cellAttrs.scope}"` : '') +
+                            (cellAttrs.colspan > 1 ? ` colspan="${cellAttrs.colspan}"` : '') + (cellAttrs.rowspan > 1 ? ` rowspan="${cellAttrs.rowspan}"` : '') +
+                            (styles ? ` style="${styles}"` : '') + `>${renderInline(cell.content) || '<br>'}</${tag}>`;
+                    }).join('')}</tr>`).join('');
+                    return renderFigure(node, `<table><tbody>${rows}</tbody></table>`);
+                }
+                default:
+                    return '';
             }
-            if (changed && this.editor.innerHTML !== oldContent && cmd !== 'undo' && cmd !== 'redo') {
-                this.undoStack.push(oldContent);
-                this.redoStack = [];
-                this.lastContent = this.editor.innerHTML;
-                this.saveAll();
+        };
+        return (doc.content || []).map(renderBlock).join('') || '<p><br></p>';
+    }
+    /**
+     * @method on
+     * @description Registers a handler for an editor event. Supported events: 'change', 'selectionchange',
+     * 'focus', 'blur', 'imageInserted', 'tableInserted', 'linkCreated', 'undo', 'redo', 'clear',
+     * 'storageQuotaExceeded', 'maxLengthExceeded' and 'destroy'. Every event is also dispatched on the container as a 'jcaret:<event>' CustomEvent.
+     * @param {string} event The event name.
+     * @param {function} handler Called with the event detail; `this` is the editor.
+     * @returns {jCaret} The editor, for chaining.
+     */
+    on(event, handler) {
+        (this.eventHandlers[event] = this.eventHandlers[event] || []).push(handler);
+        return this;
+    }
+    /**
+     * @method off
+     * @description Removes a handler registered with on(). Without a handler, removes every handler of
+     * the event; without arguments, removes all handlers.
+     * @param {string} [event] The event name.
+     * @param {function} [handler] The handler to remove.
+     * @returns {jCaret} The editor, for chaining.
+     */
+    off(event, handler) {
+        if (!event) {
+            this.eventHandlers = {};
+        } else if (!handler) {
+            delete this.eventHandlers[event];
+        } else if (this.eventHandlers[event]) {
+            this.eventHandlers[event] = this.eventHandlers[event].filter(h => h !== handler);
+        }
+        return this;
+    }
+    /**
+     * @method emit
+     * @description Calls the handlers of an event and dispatches the matching 'jcaret:<event>' DOM event on the container.
+     * @param {string} event The event name.
+     * @param {object} [detail={}] Event data; `editor` is added automatically.
+     */
+    emit(event, detail = {}) {
+        detail = Object.assign({ editor: this }, detail);
+        (this.eventHandlers[event] || []).slice().forEach(handler => {
+            try {
+                handler.call(this, detail);
+            } catch (error) {
+                console.error(`jCaret: error in '${event}' handler:`, error);
             }
-            this.updateToolbarState();
         });
-        this.linkModal.querySelector('#saveLink').addEventListener('click', () => {
-            this.linkModal.classList.add('hidden');
-            const url = this.linkModal.querySelector('#linkUrl').value.trim();
-            const oldContent = this.editor.innerHTML;
-            if (url && this.savedRange) {
-                this.editor.focus();
-                this.restoreSelection();
-                document.execCommand('createLink', false, url);
-                if (this.editor.innerHTML !== oldContent) {
-                    this.undoStack.push(oldContent);
-                    this.redoStack = [];
-                    this.lastContent = this.editor.innerHTML;
-                    this.saveAll();
-                }
-                document.execCommand("removeFormat",false,null);
-                this.updateToolbarState();
+        this.container.dispatchEvent(new CustomEvent(`jcaret:${event}`, { detail, bubbles: true }));
+    }
+    /**
+     * @method listen
+     * @description Adds a DOM listener that destroy() removes again. Used for every listener on
+     * shared targets (document, window) that would otherwise outlive the editor.
+     * @param {EventTarget} target The element or document to listen on.
+     * @param {string} type The event type.
+     * @param {function} handler The listener.
+     * @param {object|boolean} [options] addEventListener options.
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+    /**
+     * @method unlisten
+     * @description Removes a listener added with listen() before destroy(), for listeners that only live during an interaction.
+     * @param {EventTarget} target The element or document it was added to.
+     * @param {string} type The event type.
+     * @param {function} handler The listener.
+     * @param {object|boolean} [options] The options it was added with.
+     */
+    unlisten(target, type, handler, options) {
+        target.removeEventListener(type, handler, options);
+        this.listeners = this.listeners.filter(l => l.target !== target || l.type !== type || l.handler !== handler);
+    }
+    /**
+     * @method destroy
+     * @description Tears the editor down: removes its document listeners, modals, toolbar, editor area and
+     * dynamic styles, cancels pending work and restores the container and document attributes.
+     * @param {object} [options={}]
+     * @param {boolean} [options.restoreContent=true] Leave the container's original contents in place.
+     * When false, the container is left holding the editor's final HTML instead.
+     */
+    destroy(options = {}) {
+        if (this.destroyed) return;
+        const finalHTML = options.restoreContent === false ? this.getHTML() : null;
+        this.emit('destroy');
+        this.debouncedPush.cancel();
+        this.debouncedStatusBar.cancel();
+        this.listeners.forEach(({ target, type, handler, options }) => target.removeEventListener(type, handler, options));
+        this.listeners = [];
+        this.plugins.forEach(plugin => plugin.destroy && plugin.destroy(this));
+        this.uploadObjectURLs.forEach(url => URL.revokeObjectURL(url));
+        this.uploadObjectURLs = [];
+        this.pendingUploads = {};
+        this.uploadResults = {};
+        [this.linkModal, this.storageModal, this.infoModal, this.selectModal, ...Object.values(this.pluginModals)].forEach(modal => modal.remove());
+        this.toolbar.remove();
+        this.editorWrapper.remove();
+        if (this.statusBar) this.statusBar.remove();
+        this.dynamicStyle.remove();
+        if (finalHTML !== null) this.container.innerHTML = finalHTML;
+        const restoreAttribute = (el, name, value) => {
+            if (value === null) el.removeAttribute(name);
+            else el.setAttribute(name, value);
+        };
+        restoreAttribute(this.container, 'style', this.originalState.containerStyle);
+        restoreAttribute(this.container, 'lang', this.originalState.containerLang);
+        restoreAttribute(this.container, 'dir', this.originalState.containerDir);
+        this.eventHandlers = {};
+        this.savedRange = null;
+        this.selectedResizable = null;
+        this.currentResizable = null;
+        this.destroyed = true;
+    }
+    /**
+     * @method notifyChange
+     * @description Emits 'change' when the content differs from the last notified content.
+     */
+    notifyChange() {
+        const content = this.editor.innerHTML;
+        if (content === this.lastEmittedContent) return;
+        this.lastEmittedContent = content;
+        this.emit('change');
+    }
+    /**
+     * @method appendDynamicStyles
+     * @description Creates and appends a style block for rules that depend on the constructor options (height, language).
+     */
+    appendDynamicStyles() {
+        const style = document.createElement('style');
+        style.id = this.scopedId('dynamic-style');
+        const editorSelector = `#${this.scopedId('editor')}`;
+
+        let heightRules = '';
+        if (this.heightMode === 'min') {
+            // Min-height mode: allows the editor to grow
+            heightRules = `
+                min-height: ${this.height};
+                height: auto;
+                max-height: none;
+            `;
+        } else {
+            // Fixed height mode (default): uses height and max-height
+            heightRules = `
+                height: ${this.height};
+                max-height: ${this.height};
+            `;
+        }
+        // Dynamic rules for RTL/LTR blockquote and list styling
+        const langBorder = this.language === 'ar' ? 'right' : 'left';
+        const oppLangBorder = this.language === 'ar' ? 'left' : 'right';
+        const langPadding = this.language === 'ar' ? 'right' : 'left';
+        const oppLangPadding = this.language === 'ar' ? 'left' : 'right';
+        const langAlign = this.language === 'ar' ? 'right' : 'left';
+        style.textContent = `
+            /* Dynamic height rules based on heightMode option */
+            ${editorSelector} {
+                ${heightRules}
+                direction: ${this.dir};
+                text-align: ${langAlign};
             }
-            this.savedRange = null;
-            this.editor.focus();
-        });
-        this.linkModal.querySelector('#cancelLink').addEventListener('click', () => {
-            this.linkModal.classList.add('hidden');
-            this.linkModal.querySelector('#linkUrl').value = '';
-            this.savedRange = null;
-            this.editor.focus();
-        });
-        this.tableModal.querySelector('#saveTable').addEventListener('click', () => {
-            let rows = parseInt(this.tableModal.querySelector('#rowsInput').value);
-            let cols = parseInt(this.tableModal.querySelector('#colsInput').value);
-            rows = Math.max(1, isNaN(rows) ? 1 : rows);
-            cols = Math.min(10, Math.max(1, isNaN(cols) ? 1 : cols));
-            this.tableModal.classList.add('hidden');
-            this.editor.focus();
-            this.restoreSelection();
-            let tableHTML = '<table>';
-            for (let i = 0; i < rows; i++) {
-                tableHTML += '<tr>';
-                for (let j = 0; j < cols; j++) {
-                    tableHTML += '<td contenteditable="true" style="min-width:70px; min-height:30px;"><br></td>';
-                }
-                tableHTML += '</tr>';
-            }
-            tableHTML += '</table>';
-            const figureHTML = `<figure class="resizable center" contenteditable="false" id="temp-new-table">${tableHTML}<figcaption class="caption" contenteditable="true">${this.i18n.caption}</figcaption></figure>`; // Use translation
-            document.execCommand('insertHTML', false, figureHTML);
-            const newFigure = this.editor.querySelector('#temp-new-table');
-            if (newFigure) {
-                newFigure.removeAttribute('id');
-                this.addResizeHandle(newFigure);
-                this.selectedResizable = newFigure;
-                const p = document.createElement('p');
-                p.innerHTML = '<br>';
-                newFigure.parentNode.insertBefore(p, newFigure.nextSibling);
-                const sel = window.getSelection();
-                const range = document.createRange();
-                range.setStart(p, 0);
-                range.collapse(true);
-                sel.removeAllRanges();
-                sel.addRange(range);
+
+            /* Dynamic blockquote rules based on language direction */
+            ${editorSelector} blockquote {
+                border-${langBorder}: 4px solid #ddd;
+                border-${oppLangBorder}: none;
+                padding: 0 15px;
+                color: #777;
+                margin: 1em 0;
+                position: relative;
+                direction: ${this.dir};
             }
-            const oldContent = this.editor.innerHTML;
-            if (oldContent !== this.lastContent) {
-                this.undoStack.push(this.lastContent);
-                this.redoStack = [];
-                this.lastContent = oldContent;
-                this.saveAll();
+            ${editorSelector} blockquote::before {
+                content: "”";
+                font-size: 4em;
+                line-height: .1em;
+                margin-${oppLangBorder}: .25em;
+                vertical-align: -.4em;
+                color: #ccc;
             }
-            document.querySelector('button[data-command="justifyFull"]').style.display = "none";
-            this.updateToolbarState();
-        });
-        const uListBtn = document.querySelector('button[data-command="insertUnorderedList"]');
-        const oListBtn = document.querySelector('button[data-command="insertOrderedList"]');
-        uListBtn.addEventListener("click", function() {
-            // Check if the button is CURRENTLY active (meaning we are about to turn the list OFF)
-            if (uListBtn.classList.contains("is-active")) {
-                setTimeout(() => {
-                    const selection = window.getSelection();
-                    if (!selection.rangeCount) return;
-                    let node = selection.anchorNode;
-                    
-                    // Handle text nodes
-                    if (node.nodeType === 3) node = node.parentNode;
-                    
-                    // 2. NOW we look for the P (because the list is gone now)
-                    const pElement = node.closest('p');
-                    
-                    if (pElement) {
-                        // ... (Your existing unwrapping and normalization logic)
-                        const spans = pElement.querySelectorAll('span');
+            /* Dynamic list rules based on language direction */
+            ${editorSelector} ol[dir="${this.dir}"],
+            ${editorSelector} ul[dir="${this.dir}"] {
+                padding-${langPadding}: 40px;
+                padding-${oppLangPadding}: 0;
+            }
+            /* Dynamic table cell rules for direction and default alignment */
+            ${editorSelector} td,
+            ${editorSelector} th {
+                direction: initial;
+                text-align: initial;
+            }
+            ${editorSelector} figcaption.caption{
+                text-align: ${langAlign};
+            }
+        `;
+        document.head.appendChild(style);
+        this.dynamicStyle = style;
+    }
+    /**
+     * @method setTranslations
+     * @description Sets the translation object based on the configured language.
+     * Includes English names for fonts in the 'en' version.
+     */
+    setTranslations() {
+        const translations = {
+            ar: {
+                undo: 'تراجع', redo: 'إعادة', fontFamily: 'عائلة الخط',
+                fontAmiri: 'أميري', fontNotoArabic: 'نوتو عربي', fontShekari: 'يد عربي', fontScheherazade: 'شهرزاد الجديدة',
+                fontReemKufi: 'ريم كوفي', fontArefRuqaa: 'رقعة',
+                fontElMessiri: 'المسيري',
+                fontCairo: 'القاهرة', fontTajawal: 'تاجوال', fontLemonada: 'ليمونادا', fontMarhey: 'مرهي', fontKatibeh: 'كاتبة', fontHandjet: 'هاندجيت',
+                fontSize: 'حجم الخط',
+                size1: 'أصغر (حجم 1)', size2: 'صغير (حجم 2)', size3: 'عادي (حجم 3)',
+                size4: 'كبير (حجم 4)', size5: 'أكبر (حجم 5)', size6: 'هائل (حجم 6)',
+                size7: 'عملاق (حجم 7)',
+                blockFormat: 'نوع الفقرة', paragraph: 'فقرة', heading1: 'عنوان 1', heading2: 'عنوان 2', heading3: 'عنوان 3', heading4: 'عنوان 4',
+                preformatted: 'نص منسق مسبقاً',
+                inlineCode: 'كود ضمن السطر', codeBlock: 'كتلة كود', codeLanguage: 'لغة الكود', plainText: 'نص عادي',
+                bold: 'غامق', italic: 'مائل',
+                underline: 'تسطير', strikethrough: 'يتوسطه خط', superscript: 'أعلى',
+                subscript: 'أسفل', blockquote: 'اقتباس', highlight: 'تمييز',
+                yellow: 'أصفر', blue: 'أزرق', green: 'أخضر', pink: 'وردي',
+                remove: 'إزالة', fontColor: 'لون الخط', removeFormat: 'إزالة التنسيق',
+                createLink: 'إنشاء رابط', unlink: 'إزالة الرابط', align: 'محاذاة',
+                alignLeft: 'محاذاة إلى اليسار', alignCenter: 'محاذاة إلى الوسط',
+                alignRight: 'محاذاة إلى اليمين', alignJustify: 'محاذاة كاملة',
+                unorderedList: 'قائمة غير مرتبة', orderedList: 'قائمة مرتبة',
+                checklist: 'قائمة مهام', indentList: 'زيادة المسافة البادئة', outdentList: 'إنقاص المسافة البادئة', toggleChecked: 'تحديد المهمة أو إلغاء تحديدها',
+                listOptions: 'خيارات القائمة', listStyle: 'نمط الترقيم', listStart: 'يبدأ من', numberedStyles: 'ترقيم', bulletStyles: 'تعداد نقطي',
+                styleDisc: 'دائرة ممتلئة', styleCircle: 'دائرة فارغة', styleSquare: 'مربع',
+                find: 'بحث', replace: 'استبدال', replaceWith: 'استبدال بـ', replaceAll: 'استبدال الكل', findPrevious: 'النتيجة السابقة',
+                findNext: 'النتيجة التالية', closeFind: 'إغلاق', matchCase: 'مطابقة حالة الأحرف', wholeWord: 'كلمة كاملة', useRegex: 'تعبير نمطي',
+                normalizeArabic: 'تجاهل التشكيل وأشكال الألف والتاء المربوطة', findCount: '{current} من {total}', noMatches: 'لا توجد نتائج',
+                replacedCount: 'تم استبدال {count}',
+                words: 'الكلمات', characters: 'الأحرف', charactersNoSpaces: 'بدون مسافات', paragraphs: 'الفقرات',
+                readingTime: 'القراءة: {minutes} د', selectionStats: 'المحدد: {words} كلمة، {characters} حرف',
+                maxLengthReached: 'تم بلوغ الحد الأقصى لعدد الأحرف',
+                insertImage: 'إدراج صورة', insertTable: 'إدراج جدول', tableOperations: 'عمليات الجدول',
+                insertRowAbove: 'إدراج صف أعلى', insertRowBelow: 'إدراج صف أسفل',
+                insertColLeft: 'إدراج عمود يسار', insertColRight: 'إدراج عمود يمين',
+                deleteRow: 'حذف الصف', deleteCol: 'حذف العمود', deleteTable: 'حذف الجدول',
+                clearAll: 'مسح الكل', insertLink: 'أدخل الرابط', linkPlaceholder: 'https://example.com',
+                cancel: 'إلغاء', save: 'حفظ', rows: 'الصفوف:', cols: 'الأعمدة:', infoTitle:'حول', infoText:'إختصارات لوحة المفاتيح', by:'www.auktubli.com',
+                clearAllConfirm: 'هل أنت متأكد من مسح كل المحتوى؟', maxColsAlert: 'الحد الأقصى {max} أعمدة', forQuote:'سطر إقتباس جديد', forEnlarge:'تكبير الخط على مستوى السطر', forShrink:'تصغير الخظ على مستوى السطر', forDelete:'حذف الصورة أو الجدول المحدد (داخل الخلية يُحذف نصها فقط)', forPastePlain:'لصق كنص عادي', invalidLink: 'هذا الرابط غير مسموح به',
+                caption: 'تسمية توضيحية',
+                uploadingImage: 'جارٍ رفع الصورة', uploadFailed: 'فشل رفع الصورة', retry: 'إعادة المحاولة', remove: 'إزالة',
+                imageProperties: 'خصائص الصورة', altText: 'النص البديل', altPlaceholder: 'صف الصورة لمن لا يستطيع رؤيتها', showCaption: 'إظهار التسمية التوضيحية',
+                rotateLeft: 'تدوير لليسار', rotateRight: 'تدوير لليمين', flipHorizontal: 'قلب أفقي', flipVertical: 'قلب عمودي',
+                crop: 'قص', applyCrop: 'تطبيق القص', cropHint: 'اسحب على الصورة لتحديد منطقة القص', replaceImage: 'استبدال الصورة',
+                imageEditFailed: 'تعذر تعديل هذه الصورة',
+                mergeCellRight: 'دمج مع الخلية اليمنى', mergeCellDown: 'دمج مع الخلية السفلى', splitCell: 'تقسيم الخلية',
+                toggleHeaderRow: 'صف العناوين', toggleHeaderColumn: 'عمود العناوين', cellBackground: 'لون خلفية الخلية', clearCellBackground: 'إزالة لون الخلفية',
+                cellAlignTop: 'محاذاة للأعلى', cellAlignMiddle: 'محاذاة للوسط', cellAlignBottom: 'محاذاة للأسفل',
+                tableData: 'أو الصق بيانات CSV/TSV:', importCSV: 'أو استورد ملف CSV:', firstRowHeader: 'الصف الأول عناوين', downloadCSV: 'تنزيل الجدول كملف CSV',
+                tableFileError: 'تعذرت قراءة الملف',
+                imageFromDevice: 'رفع من الجهاز', imageFromURL: 'صورة من رابط', imageURL: 'رابط الصورة', imageWidth: 'العرض (بكسل)', imageHeight: 'الارتفاع (بكسل)',
+                invalidImageURL: 'رابط الصورة غير صالح أو غير مسموح به',
+                warning: 'تحذير',
+                ok: 'موافق',
+                storageWarning: 'حجم محتوى المحرر كبير جدًا، لذا لن يتم حفظ بعضه عند إعادة تحميل الصفحة في التخزين المحلي، خاصة الصور المرفوعة.',
+                selectWarning: 'النص المحدد متعدد!.',
+                insertEmoji: 'إدراج إيموجي'
+            },
+            en: {
+                undo: 'Undo', redo: 'Redo', fontFamily: 'Font Family',
+                // English font names for the English version
+                fontInter: 'Inter', fontArial: 'Arial', fontTimes: 'Times New Roman',
+                fontCourier: 'Courier New', fontGeorgia: 'Georgia', fontComic: 'Comic Sans MS',
+                fontCaveat: 'Caveat', fontPacifico: 'Pacifico', fontDancingScript: 'Dancing Script',
+                fontIndieFlower: 'Indie Flower', fontShadowsIntoLight: 'Shadows Into Light',
+                fontHandjet: 'Handjet',
+                fontSize: 'Font Size',
+                size1: 'Smallest (Size 1)', size2: 'Small (Size 2)', size3: 'Normal (Size 3)',
+                size4: 'Large (Size 4)', size5: 'Larger (Size 5)', size6: 'Huge (Size 6)',
+                size7: 'Largest (Size 7)',
+                blockFormat: 'Block format', paragraph: 'Paragraph', heading1: 'Heading 1', heading2: 'Heading 2', heading3: 'Heading 3', heading4: 'Heading 4',
+                preformatted: 'Preformatted',
+                inlineCode: 'Inline code', codeBlock: 'Code block', codeLanguage: 'Code language', plainText: 'Plain text',
+                bold: 'Bold', italic: 'Italic',
+                underline: 'Underline', strikethrough: 'Strikethrough', superscript: 'Superscript',
+                subscript: 'Subscript', blockquote: 'Blockquote', highlight: 'Highlight',
+                yellow: 'Yellow', blue: 'Blue', green: 'Green', pink: 'Pink',
+                remove: 'Remove', fontColor: 'Font Color', removeFormat: 'Remove Format',
+                createLink: 'Create Link', unlink: 'Unlink', align: 'Align',
+                alignLeft: 'Align Left', alignCenter: 'Align Center',
+                alignRight: 'Align Right', alignJustify: 'Align Justify',
+                unorderedList: 'Unordered List', orderedList: 'Ordered List',
+                checklist: 'Checklist', indentList: 'Increase Indent', outdentList: 'Decrease Indent', toggleChecked: 'Check or uncheck a task',
+                listOptions: 'List Options', listStyle: 'List style', listStart: 'Start at', numberedStyles: 'Numbered', bulletStyles: 'Bulleted',
+                styleDisc: 'Disc', styleCircle: 'Circle', styleSquare: 'Square',
+                find: 'Find', replace: 'Replace', replaceWith: 'Replace with', replaceAll: 'Replace all', findPrevious: 'Previous match',
+                findNext: 'Next match', closeFind: 'Close', matchCase: 'Match case', wholeWord: 'Whole word', useRegex: 'Regular expression',
+                normalizeArabic: 'Ignore Arabic diacritics and letter forms', findCount: '{current} of {total}', noMatches: 'No results',
+                replacedCount: '{count} replaced',
+                words: 'Words', characters: 'Characters', charactersNoSpaces: 'Without spaces', paragraphs: 'Paragraphs',
+                readingTime: '{minutes} min read', selectionStats: 'Selected: {words} words, {characters} characters',
+                maxLengthReached: 'Character limit reached',
+                insertImage: 'Insert Image', insertTable: 'Insert Table', tableOperations: 'Table Operations',
+                insertRowAbove: 'Insert Row Above', insertRowBelow: 'Insert Row Below',
+                insertColLeft: 'Insert Column Left', insertColRight: 'Insert Column Right',
+                deleteRow: 'Delete Row', deleteCol: 'Delete Column', deleteTable: 'Delete Table',
+                clearAll: 'Clear All', insertLink: 'Enter Link', linkPlaceholder: 'https://example.com',
+                cancel: 'Cancel', save: 'Save', rows: 'Rows:', cols: 'Columns:', infoTitle:'About',infoText:'Keyboard Shortcuts', by:'www.auktubli.com.',
+                clearAllConfirm: 'Are you sure you want to clear all content?', maxColsAlert: 'Maximum of {max} columns allowed', forQuote:'New quote line', forEnlarge:'Enlarge text font (line level)', forShrink:'Shrink text font (line level)', forDelete:'Remove the selected image or table (inside a cell it only deletes text)', forPastePlain:'Paste as plain text', invalidLink: 'This link is not allowed',
+                caption: 'Caption',
+                uploadingImage: 'Uploading image', uploadFailed: 'Image upload failed', retry: 'Retry', remove: 'Remove',
+                imageProperties: 'Image properties', altText: 'Alt text', altPlaceholder: 'Describe the image for people who cannot see it', showCaption: 'Show caption',
+                rotateLeft: 'Rotate left', rotateRight: 'Rotate right', flipHorizontal: 'Flip horizontal', flipVertical: 'Flip vertical',
+                crop: 'Crop', applyCrop: 'Apply crop', cropHint: 'Drag on the image to select the crop area', replaceImage: 'Replace image',
+                imageEditFailed: 'This image cannot be edited',
+                mergeCellRight: 'Merge with right cell', mergeCellDown: 'Merge with cell below', splitCell: 'Split cell',
+                toggleHeaderRow: 'Header row', toggleHeaderColumn: 'Header column', cellBackground: 'Cell background', clearCellBackground: 'Clear cell background',
+                cellAlignTop: 'Align top', cellAlignMiddle: 'Align middle', cellAlignBottom: 'Align bottom',
+                tableData: 'Or paste CSV/TSV data:', importCSV: 'Or import a CSV file:', firstRowHeader: 'First row is a header', downloadCSV: 'Download table as CSV',
+                tableFileError: 'The file could not be read',
+                imageFromDevice: 'Upload from device', imageFromURL: 'Image from URL', imageURL: 'Image URL', imageWidth: 'Width (px)', imageHeight: 'Height (px)',
+                invalidImageURL: 'This image URL is invalid or not allowed',
+                warning: 'Warning',
+                ok: 'OK',
+                storageWarning: 'The content of the editor is too big, so some of it won\'t be saved on page reload in local storage, especially uploaded images.',
+                selectWarning: 'Multi Selected!.',
+                insertEmoji: 'Insert Emoji'
+            }
+        };
+        this.i18n = translations[this.language] || translations.en;
+    }
+
+    /**
+        * @method scopedId
+        * @description Returns an element id unique to this editor instance.
+        * @param {string} name The unscoped id (e.g. 'linkUrl').
+        */
+    scopedId(name) {
+        return this.idPrefix + name;
+    }
+    /**
+        * @method byId
+        * @description Looks up one of this instance's elements by its unscoped id.
+        * @param {string} name The unscoped id (e.g. 'linkUrl').
+        */
+    byId(name) {
+        return document.getElementById(this.scopedId(name));
+    }
+    /**
+        * @method resolvePlugins
+        * @description Lists the plugins of this instance: options.corePlugins, then jCaret.use() plugins, then options.plugins.
+        * A later plugin with the same name replaces an earlier one.
+        */
+    resolvePlugins(options) {
+        const coreNames = options.corePlugins || Object.keys(jCaret.corePlugins);
+        const all = coreNames.map(name => jCaret.corePlugins[name]).filter(Boolean)
+            .concat(jCaret.plugins, options.plugins || []);
+        const byName = new Map();
+        all.forEach(plugin => {
+            if (!plugin || !plugin.name) throw new Error('Plugin name is required');
+            byName.delete(plugin.name);
+            byName.set(plugin.name, plugin);
+        });
+        return Array.from(byName.values());
+    }
+    /**
+        * @method applyPlugin
+        * @description Registers a plugin's translations, commands and hooks. Toolbar items, modals and init() follow
+        * once the toolbar, editor and listeners exist.
+        */
+    applyPlugin(plugin) {
+        if (plugin.i18n) Object.assign(this.i18n, plugin.i18n.en || {}, plugin.i18n[this.language] || {});
+        Object.assign(this.commands, plugin.commands || {});
+        Object.keys(plugin.hooks || {}).forEach(name => {
+            (this.hooks[name] = this.hooks[name] || []).push(plugin.hooks[name]);
+        });
+    }
+    /**
+        * @method addPluginToolbarItems
+        * @description Creates a plugin's toolbar items: factories return an element, objects are registerButton() definitions.
+        */
+    addPluginToolbarItems(plugin) {
+        Object.keys(plugin.toolbar || {}).forEach(name => {
+            const item = plugin.toolbar[name];
+            if (typeof item === 'function') {
+                this.toolbarItems[name] = item(this);
+            } else {
+                this.customButtons[name] = { command: item.command, isActive: item.isActive };
+                this.toolbarItems[name] = this.createButton({ command: name, title: item.title, innerHTML: item.icon });
+            }
+        });
+    }
+    /**
+        * @method runHook
+        * @description Passes a value through every plugin handler of a hook. Handlers may return a replacement value.
+        * @param {string} name The hook name ('paste', 'files', 'serialize', 'toolbarState', 'command').
+        * @param {*} value The value handed to the first handler.
+        * @returns {*} The final value.
+        */
+    runHook(name, value) {
+        return (this.hooks[name] || []).reduce((current, handler) => {
+            const result = handler(current, this);
+            return result === undefined ? current : result;
+        }, value);
+    }
+    /**
+        * @method runCommandHook
+        * @description Offers a command to the 'command' hook before the editor runs it. A handler that applies the
+        * command itself sets handled (and changed when the content changed) on the {cmd, value} object it gets.
+        * @returns {boolean} Whether a plugin handled the command; the change is then recorded as one undo step.
+        */
+    runCommandHook(cmd, value = null) {
+        const command = this.runHook('command', { cmd, value, handled: false, changed: false });
+        if (!command.handled) return false;
+        if (command.changed) this.pushUndoState(this.lastContent);
+        this.updateToolbarState();
+        return true;
+    }
+    /**
+        * @method renderToolbar
+        * @description (Re)builds the toolbar from the layout. Unknown names are skipped, so a layout can list
+        * buttons that are registered later; added items (registerButton(), plugins) missing from the layout go at the end.
+        * @param {Array} [layout=this.toolbarLayout]
+        */
+    renderToolbar(layout = this.toolbarLayout) {
+        this.toolbarLayout = layout;
+        Array.from(this.toolbar.children).forEach(child => {
+            if (child !== this.imageUpload) child.remove();
+        });
+        const placed = new Set();
+        const build = (items, parent) => {
+            items.forEach(item => {
+                if (Array.isArray(item)) {
+                    const group = document.createElement('div');
+                    group.className = 'jcaret-toolbar-group flex items-center gap-1';
+                    build(item, group);
+                    if (group.children.length) parent.appendChild(group);
+                } else if (item === '|') {
+                    parent.appendChild(this.createDivider());
+                } else if (this.toolbarItems[item]) {
+                    parent.appendChild(this.toolbarItems[item]);
+                    placed.add(item);
+                }
+            });
+        };
+        build(layout, this.toolbar);
+        Object.keys(this.toolbarItems).forEach(name => {
+            if (!placed.has(name) && !jCaret.defaultToolbar.includes(name)) this.toolbar.appendChild(this.toolbarItems[name]);
+        });
+    }
+    /**
+        * @method registerButton
+        * @description Adds a custom toolbar button. It runs through exec(), so it works with keymap entries and records an undo step.
+        * @param {object} def
+        * @param {string} def.name Unique item name, used in the toolbar layout and as the command name.
+        * @param {string} def.icon Button HTML (usually an SVG).
+        * @param {string} [def.title] Tooltip.
+        * @param {string|Function} def.command A built-in command name, or a function (editor, value) => void run on the restored selection.
+        * @param {Function} [def.isActive] (editor) => boolean, evaluated in updateToolbarState() to toggle the active state.
+        * @returns {HTMLButtonElement}
+        */
+    registerButton({ name, icon, title, command, isActive }) {
+        if (!name) {
+            throw new Error('Toolbar button name is required');
+        }
+        if (this.toolbarItems[name]) {
+            throw new Error(`Toolbar item "${name}" already exists`);
+        }
+        const button = this.createButton({ command: name, title, innerHTML: icon });
+        this.customButtons[name] = { command, isActive };
+        this.toolbarItems[name] = button;
+        this.renderToolbar();
+        this.updateToolbarState();
+        return button;
+    }
+    /**
+        * @method getCommandButton
+        * @description Finds the button for a command among all toolbar items, including ones left out of the layout.
+        * @param {string} command
+        * @returns {HTMLButtonElement|null}
+        */
+    getCommandButton(command) {
+        for (const item of Object.values(this.toolbarItems)) {
+            if (item.dataset && item.dataset.command === command) return item;
+            const button = item.querySelector && item.querySelector(`button[data-command="${command}"]`);
+            if (button) return button;
+        }
+        return null;
+    }
+    /**
+        * @method createImageButton
+        * @description Creates the image button, its menu (upload from device or insert by URL) and the hidden file input (image plugin).
+        */
+    createImageButton() {
+        this.imageContainer = document.createElement('div');
+        this.imageContainer.className = 'relative';
+        this.imageUploadButton = document.createElement('button');
+        this.imageUploadButton.id = this.scopedId('imageUploadButton');
+        this.imageUploadButton.title = this.i18n.insertImage;
+        this.imageUploadButton.className = 'p-2 rounded-md hover:bg-gray-200';
+        this.imageUploadButton.innerHTML = '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M2.25 15.75l5.159-5.159a2.25 2.25 0 013.182 0l5.159 5.159m-1.5-1.5l1.409-1.409a2.25 2.25 0 013.182 0l2.909 2.909m-18 3.75h16.5a1.5 1.5 0 001.5-1.5V6a1.5 1.5 0 00-1.5-1.5H3.75A1.5 1.5 0 002.25 6v12a1.5 1.5 0 001.5 1.5zm10.5-11.25h.008v.008h-.008V8.25zm.375 0a.375.375 0 11-.75 0 .375.375 0 01.75 0z"/></svg>';
+        this.imageContainer.appendChild(this.imageUploadButton);
+        this.imageMenu = document.createElement('div');
+        this.imageMenu.id = this.scopedId('imageMenu');
+        this.imageMenu.className = 'hidden absolute top-full left-0 bg-white border border-gray-300 rounded-md shadow-lg z-10 flex flex-col py-1 text-sm whitespace-nowrap';
+        this.imageMenu.dir = this.dir;
+        this.imageMenu.innerHTML = `
+            <button type="button" data-image-source="upload" class="px-4 py-2 text-start hover:bg-gray-100">${this.i18n.imageFromDevice}</button>
+            <button type="button" data-image-source="url" class="px-4 py-2 text-start hover:bg-gray-100">${this.i18n.imageFromURL}</button>
+        `;
+        this.imageContainer.appendChild(this.imageMenu);
+        this.imageUpload = document.createElement('input');
+        this.imageUpload.type = 'file';
+        this.imageUpload.id = this.scopedId('imageUpload');
+        this.imageUpload.accept = 'image/*';
+        this.imageUpload.style.display = 'none';
+        // The hidden file input stays in the toolbar whatever the layout
+        this.toolbar.appendChild(this.imageUpload);
+        return this.imageContainer;
+    }
+    /**
+        * @method createEmojiPicker
+        * @description Creates the emoji button and its menu (emoji plugin).
+        */
+    createEmojiPicker() {
+        this.emojiContainer = document.createElement('div');
+        this.emojiContainer.className = 'relative';
+        this.emojiButton = document.createElement('button');
+        this.emojiButton.id = this.scopedId('emojiButton');
+        this.emojiButton.title = this.i18n.insertEmoji;
+        this.emojiButton.className = 'p-2 rounded-md hover:bg-gray-200';
+        this.emojiButton.innerHTML = '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M15.182 15.182a4.5 4.5 0 01-6.364 0M21 12a9 9 0 11-18 0 9 9 0 0118 0zM9.75 9.75c0 .414-.168.75-.375.75S9 10.164 9 9.75 9.168 9 9.375 9s.375.336.375.75zm-.375 0h.008v.015h-.008V9.75zm5.625 0c0 .414-.168.75-.375.75s-.375-.336-.375-.75.168-.75.375-.75.375.336.375.75zm-.375 0h.008v.015h-.008V9.75z" /></svg>';
+        this.emojiContainer.appendChild(this.emojiButton);
+        this.emojiMenu = document.createElement('div');
+        this.emojiMenu.id = this.scopedId('emojiMenu');
+        this.emojiMenu.style.minWidth = "190px";
+        this.emojiMenu.className = 'hidden absolute top-full right-0 bg-white border border-gray-300 rounded-md shadow-lg z-10 grid grid-cols-5 p-2 gap-2';
+        this.emojiContainer.appendChild(this.emojiMenu);
+        const emojis = ['😀', '😁', '😂', '🤣', '😃', '😄', '😅', '😆', '😉', '😊', '😋', '😎', '😍', '😘', '🥰', '😗', '😙', '😚', '🙂', '🤗'];
+        emojis.forEach(emoji => {
+            const btn = document.createElement('button');
+            btn.className = 'text-2xl';
+            btn.textContent = emoji;
+            btn.dataset.emoji = emoji;
+            this.emojiMenu.appendChild(btn);
+        });
+        return this.emojiContainer;
+    }
+    /**
+        * @method createInsertTableButton
+        * @description Creates the insert table button (table plugin).
+        */
+    createInsertTableButton() {
+        this.insertTableBtn = this.createButton({ command: 'insertTable', title: this.i18n.insertTable, innerHTML: '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 3v18"/><rect width="18" height="18" x="3" y="3" rx="2"/><path d="M3 9h18"/><path d="M3 15h18"/></svg>' });
+        return this.insertTableBtn;
+    }
+    /**
+        * @method createTableOperations
+        * @description Creates the table operations button and menu (table plugin).
+        */
+    createTableOperations() {
+        this.tableOpsContainer = document.createElement('div');
+        this.tableOpsContainer.className = 'relative';
+        this.tableOperationsButton = document.createElement('button');
+        this.tableOperationsButton.id = this.scopedId('tableOperationsButton');
+        this.tableOperationsButton.title = this.i18n.tableOperations;
+        this.tableOperationsButton.className = 'p-2 rounded-md hover:bg-gray-200';
+        this.tableOperationsButton.innerHTML = '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 3.75v4.5m0-4.5h4.5m-4.5 0L9 9M3.75 20.25v-4.5m0 4.5h4.5m-4.5 0L9 15M20.25 3.75h-4.5m4.5 0v4.5m0-4.5L15 9m5.25 11.25h-4.5m4.5 0v-4.5m0 4.5L15 15" /></svg>';
+        this.tableOpsContainer.appendChild(this.tableOperationsButton);
+        this.tableMenu = document.createElement('div');
+        this.tableMenu.id = this.scopedId('tableMenu');
+        this.tableMenu.className = 'jcaret-table-menu hidden absolute top-full left-0 bg-white border border-gray-300 rounded-md shadow-lg z-10 grid grid-cols-4 gap-1 p-1';
+        this.tableOpsContainer.appendChild(this.tableMenu);
+        this.tableMenu.appendChild(this.createButton({ command: 'insertRowAbove', title: this.i18n.insertRowAbove, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M12 4.5v15m-7.5-7.5h15" transform="rotate(180 12 12)"/></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'insertRowBelow', title: this.i18n.insertRowBelow, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M12 4.5v15m-7.5-7.5h15" /></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'insertColumnLeft', title: this.i18n.insertColLeft, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M4.5 12h15m-7.5-7.5v15" transform="rotate(180 12 12)"/></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'insertColumnRight', title: this.i18n.insertColRight, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M4.5 12h15m-7.5-7.5v15" /></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'deleteRow', title: this.i18n.deleteRow, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M20 12H4" /></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'deleteColumn', title: this.i18n.deleteCol, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M12 4v16" /></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'deleteTable', title: this.i18n.deleteTable, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M14.74 9l-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052 .682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 01-2.244 2.077H8.084a2.25 2.25 0 01-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 00-3.478-.397m-12 .562c.34-.059 .68-.114 1.022-.165m0 0a48.11 48.11 0 013.478-.397m7.5 0v-.916c0-1.18-.91-2.164-2.09-2.201a51.964 51.964 0 00-3.32 0c-1.18.037-2.09 1.022-2.09 2.201v.916m7.5 0a48.667 48.667 0 00-7.5 0"/></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'mergeCellRight', title: this.i18n.mergeCellRight, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 5.25h16.5v13.5H3.75zM9 12h6m0 0l-2.25-2.25M15 12l-2.25 2.25"/></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'mergeCellDown', title: this.i18n.mergeCellDown, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M5.25 3.75h13.5v16.5H5.25zM12 9v6m0 0l-2.25-2.25M12 15l2.25-2.25"/></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'splitCell', title: this.i18n.splitCell, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 5.25h16.5v13.5H3.75zM12 5.25v13.5"/></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'toggleHeaderRow', title: this.i18n.toggleHeaderRow, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 5.25h16.5v13.5H3.75zM3.75 9.75h16.5M3.75 7.5h16.5"/></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'toggleHeaderColumn', title: this.i18n.toggleHeaderColumn, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 5.25h16.5v13.5H3.75zM8.25 5.25v13.5M6 5.25v13.5"/></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'cellAlignTop', title: this.i18n.cellAlignTop, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M4.5 3.75h15M12 20.25V7.5m0 0l-3 3m3-3l3 3"/></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'cellAlignMiddle', title: this.i18n.cellAlignMiddle, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M4.5 12h15M12 3.75v5.25m0 0l-2.25-2.25M12 9l2.25-2.25M12 20.25V15m0 0l-2.25 2.25M12 15l2.25 2.25"/></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'cellAlignBottom', title: this.i18n.cellAlignBottom, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M4.5 20.25h15M12 3.75v12.75m0 0l-3-3m3 3l3-3"/></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'cellBackground', title: this.i18n.clearCellBackground, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3.75 5.25h16.5v13.5H3.75zM4.5 18l15-12"/></svg>' }));
+        this.tableMenu.appendChild(this.createButton({ command: 'downloadTableCSV', title: this.i18n.downloadCSV, innerHTML: '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5M16.5 12L12 16.5m0 0L7.5 12m4.5 4.5V3"/></svg>' }));
+        // Cell background: a color input behind a label, like the font color button
+        const backgroundLabel = document.createElement('label');
+        backgroundLabel.htmlFor = this.scopedId('cellBackgroundInput');
+        backgroundLabel.title = this.i18n.cellBackground;
+        backgroundLabel.className = 'p-2 rounded-md hover:bg-gray-200 cursor-pointer';
+        backgroundLabel.innerHTML = '<svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M9.53 16.122a3 3 0 00-5.78 1.128 2.25 2.25 0 01-2.4 2.245 4.5 4.5 0 008.4-2.245c0-.399-.078-.78-.22-1.128zm0 0a15.998 15.998 0 003.388-1.62m-5.043-.025a15.994 15.994 0 011.622-3.395m3.42 3.42a15.995 15.995 0 004.764-4.648l3.876-5.814a1.151 1.151 0 00-1.597-1.597L14.146 6.32a15.996 15.996 0 00-4.649 4.763m3.42 3.42a6.776 6.776 0 00-3.428-3.42"/></svg>';
+        this.cellBackgroundInput = document.createElement('input');
+        this.cellBackgroundInput.type = 'color';
+        this.cellBackgroundInput.id = this.scopedId('cellBackgroundInput');
+        this.cellBackgroundInput.className = 'jcaret-font-color-input';
+        this.cellBackgroundInput.value = '#fef3c7';
+        backgroundLabel.appendChild(this.cellBackgroundInput);
+        this.tableMenu.appendChild(backgroundLabel);
+        return this.tableOpsContainer;
+    }
+    /**
+        * @method createDivider
+        * @description Creates a vertical separator for the toolbar.
+        */
+    createDivider() {
+        const div = document.createElement('div');
+        div.className = 'h-6 w-px bg-gray-300 mx-1';
+        return div;
+    }
+    /**
+        * @method createButton
+        * @description Creates a standard toolbar button.
+        */
+    createButton(attrs = {}) {
+        const button = document.createElement('button');
+        button.className = 'p-2 rounded-md hover:bg-gray-200';
+        if (attrs.title) button.title = attrs.title;
+        if (attrs.command) button.dataset.command = attrs.command;
+        if (attrs.innerHTML) button.innerHTML = attrs.innerHTML;
+        return button;
+    }
+    /**
+        * @method createFontNameSelect
+        * @description Creates the Font Family selection dropdown as a custom component for scrollability.
+        * Uses translated font names for display text.
+        */
+    createFontNameSelect() {
+        const container = document.createElement('div');
+        container.className = 'relative';
+        container.id = this.scopedId('fontName');
+        container.dir = this.dir;
+        const button = document.createElement('button');
+        button.className = 'p-2 border border-gray-300 rounded-md text-sm flex items-center justify-between w-full';
+        button.style.height = '2.5rem';
+        button.style.maxWidth = "140px";
+        button.style.minWidth = "140px";
+        button.innerHTML = `${this.i18n.fontFamily}<svg class="w-4 h-4 ml-2" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"/></svg>`;
+        const menu = document.createElement('ul');
+        menu.className = 'hidden absolute top-full left-0 bg-white border border-gray-300 rounded-md shadow-lg z-10 overflow-y-auto';
+        menu.style.width = '100%';
+        menu.style.maxHeight = '270px';
+        container.appendChild(button);
+        container.appendChild(menu);
+        let fonts = [];
+        if (this.language === 'ar') {
+            fonts = [
+                {value: 'Amiri', label: this.i18n.fontAmiri},
+                {value: 'Noto Sans Arabic', label: this.i18n.fontNotoArabic},
+                {value: 'Scheherazade New', label: this.i18n.fontScheherazade},
+                {value: 'Reem Kufi', label: this.i18n.fontReemKufi},
+                {value: 'Aref Ruqaa', label: this.i18n.fontArefRuqaa},
+                {value: 'El Messiri', label: this.i18n.fontElMessiri},
+                {value: 'Cairo', label: this.i18n.fontCairo},
+                {value: 'Tajawal', label: this.i18n.fontTajawal},
+                {value: 'Lemonada', label: this.i18n.fontLemonada},
+                {value: 'Marhey', label: this.i18n.fontMarhey},
+                {value: 'Katibeh', label: this.i18n.fontKatibeh},
+                {value: 'Handjet', label: this.i18n.fontHandjet},
+                {value: 'Shekari', label: this.i18n.fontShekari} // additional handwritten
+            ];
+        } else {
+            fonts = [
+                {value: 'Inter', label: this.i18n.fontInter},
+                {value: 'Arial', label: this.i18n.fontArial},
+                {value: 'Times New Roman', label: this.i18n.fontTimes},
+                {value: 'Courier New', label: this.i18n.fontCourier},
+                {value: 'Georgia', label: this.i18n.fontGeorgia},
+                {value: 'Comic Sans MS', label: this.i18n.fontComic},
+                {value: 'Caveat', label: this.i18n.fontCaveat},
+                {value: 'Pacifico', label: this.i18n.fontPacifico},
+                {value: 'Dancing Script', label: this.i18n.fontDancingScript},
+                {value: 'Indie Flower', label: this.i18n.fontIndieFlower},
+                {value: 'Shadows Into Light', label: this.i18n.fontShadowsIntoLight},
+                {value: 'Handjet', label: this.i18n.fontHandjet}
+            ];
+        }
+        this.fontOptions = fonts;
+        fonts.forEach(f => {
+            const li = document.createElement('li');
+            li.textContent = f.label;
+            li.style.fontFamily = f.value;
+            li.style.padding = '8px 16px';
+            li.style.cursor = 'pointer';
+            li.dataset.value = f.value;
+            li.addEventListener('click', () => {
+                button.firstChild.textContent = f.label;
+                this.fontNameValue = f.value;
+                menu.classList.add('hidden');
+                const event = new Event('change');
+                container.dispatchEvent(event);
+            });
+            menu.appendChild(li);
+        });
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            menu.classList.toggle('hidden');
+        });
+        this.listen(document, 'click', (e) => {
+            if (!container.contains(e.target)) {
+                menu.classList.add('hidden');
+            }
+        });
+        this.fontNameButton = button;
+        this.fontNameValue = '';
+        return container;
+    }
+    /**
+        * @method createFontSizeSelect
+        * @description Creates the Font Size selection dropdown.
+        */
+    createFontSizeSelect() {
+        const select = document.createElement('select');
+        select.id = this.scopedId('fontSize');
+        select.style.height = "2.5rem";
+        select.className = 'p-2 border border-gray-300 rounded-md text-sm';
+        //select.style.fontFamily = "sans-serif";
+    
+        select.dir = this.dir;
+        select.innerHTML = `
+            <option value="">${this.i18n.fontSize}</option>
+            <option value="1">${this.i18n.size1}</option>
+            <option value="2">${this.i18n.size2}</option>
+            <option value="3">${this.i18n.size3}</option>
+            <option value="4">${this.i18n.size4}</option>
+            <option value="5">${this.i18n.size5}</option>
+            <option value="6">${this.i18n.size6}</option>
+            <option value="7">${this.i18n.size7}</option>
+        `;
+        return select;
+    }
+    /**
+        * @method createBlockFormatSelect
+        * @description Creates the dropdown for the block format: paragraph, headings 1–4 or preformatted text.
+        */
+    createBlockFormatSelect() {
+        const select = document.createElement('select');
+        select.id = this.scopedId('blockFormat');
+        select.style.height = "2.5rem";
+        select.className = 'p-2 border border-gray-300 rounded-md text-sm';
+        select.title = this.i18n.blockFormat;
+        select.dir = this.dir;
+        select.innerHTML = `
+            <option value="p">${this.i18n.paragraph}</option>
+            <option value="h1">${this.i18n.heading1}</option>
+            <option value="h2">${this.i18n.heading2}</option>
+            <option value="h3">${this.i18n.heading3}</option>
+            <option value="h4">${this.i18n.heading4}</option>
+            <option value="pre">${this.i18n.preformatted}</option>
+        `;
+        return select;
+    }
+    /**
+        * @method createListOptionsMenu
+        * @description Creates the list options menu: the marker style and the start number of the current list.
+        */
+    createListOptionsMenu() {
+        const menu = document.createElement('div');
+        menu.id = this.scopedId('listOptionsMenu');
+        menu.className = 'hidden absolute top-full left-0 bg-white border border-gray-300 rounded-md shadow-lg z-10 flex flex-col gap-2 p-2';
+        menu.dir = this.dir;
+        const labels = {
+            decimal: '1, 2, 3', 'lower-alpha': 'a, b, c', 'upper-alpha': 'A, B, C', 'lower-roman': 'i, ii, iii', 'upper-roman': 'I, II, III',
+            'arabic-indic': '١، ٢، ٣', disc: this.i18n.styleDisc, circle: this.i18n.styleCircle, square: this.i18n.styleSquare
+        };
+        const options = styles => styles.map(style => `<option value="${style}">${labels[style]}</option>`).join('');
+        menu.innerHTML = `
+            <label class="flex items-center justify-between gap-2 text-sm whitespace-nowrap">${this.i18n.listStyle}
+                <select id="${this.scopedId('listStyle')}" class="p-1 border border-gray-300 rounded-md text-sm">
+                    <optgroup label="${this.i18n.numberedStyles}">${options(jCaret.listStyles.ordered)}</optgroup>
+                    <optgroup label="${this.i18n.bulletStyles}">${options(jCaret.listStyles.bulleted)}</optgroup>
+                </select>
+            </label>
+            <label class="flex items-center justify-between gap-2 text-sm whitespace-nowrap">${this.i18n.listStart}
+                <input type="number" min="1" id="${this.scopedId('listStart')}" class="w-20 p-1 border border-gray-300 rounded-md text-sm">
+            </label>
+        `;
+        return menu;
+    }
+    /**
+        * @method createLinkModal
+        * @description Creates the modal dialog for inserting links.
+        */
+    createLinkModal() {
+        const div = document.createElement('div');
+        div.id = this.scopedId('linkModal');
+        div.className = 'hidden fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50';
+        div.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl p-6 w-full max-w-sm" dir="${this.dir}">
+                <h3 class="text-lg font-medium mb-4">${this.i18n.insertLink}</h3>
+                <input type="text" dir="ltr" id="${this.scopedId('linkUrl')}" class="border border-gray-300 rounded-md w-full p-2 mb-4" placeholder="${this.i18n.linkPlaceholder}">
+                <div class="flex justify-end gap-2">
+                    <button id="${this.scopedId('cancelLink')}" class="px-4 py-2 rounded-md text-sm font-medium hover:bg-gray-100">${this.i18n.cancel}</button>
+                    <button id="${this.scopedId('saveLink')}" class="px-4 py-2 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700">${this.i18n.save}</button>
+                </div>
+            </div>
+        `;
+        return div;
+    }
+    /**
+        * @method createTableModal
+        * @description Creates the modal dialog for inserting tables.
+        */
+    createTableModal() {
+        const div = document.createElement('div');
+        div.id = this.scopedId('tableModal');
+        div.className = 'hidden fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50';
+        div.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl p-6 w-full max-w-sm" dir="${this.dir}">
+                <h3 class="text-lg font-medium mb-4">${this.i18n.insertTable}</h3>
+                <label for="${this.scopedId('rowsInput')}">${this.i18n.rows}</label>
+                <input type="number" id="${this.scopedId('rowsInput')}" min="1" class="border border-gray-300 rounded-md w-full p-2 mb-4" value="3">
+                <label for="${this.scopedId('colsInput')}">${this.i18n.cols}</label>
+                <input type="number" id="${this.scopedId('colsInput')}" min="1" max="${this.maxTableColumns}" class="border border-gray-300 rounded-md w-full p-2 mb-4" value="3">
+                <label for="${this.scopedId('tableData')}">${this.i18n.tableData}</label>
+                <textarea id="${this.scopedId('tableData')}" dir="auto" rows="4" class="border border-gray-300 rounded-md w-full p-2 mb-4 font-mono text-sm"></textarea>
+                <label for="${this.scopedId('tableFile')}">${this.i18n.importCSV}</label>
+                <input type="file" id="${this.scopedId('tableFile')}" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain" class="w-full mb-4 text-sm">
+                <p id="${this.scopedId('tableFileError')}" class="hidden text-red-600 text-sm -mt-2 mb-4">${this.i18n.tableFileError}</p>
+                <label class="flex items-center gap-2 mb-4"><input type="checkbox" id="${this.scopedId('tableHeader')}"> ${this.i18n.firstRowHeader}</label>
+                <div class="flex justify-end gap-2">
+                    <button id="${this.scopedId('cancelTable')}" class="px-4 py-2 rounded-md text-sm font-medium hover:bg-gray-100">${this.i18n.cancel}</button>
+                    <button id="${this.scopedId('saveTable')}" class="px-4 py-2 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700">${this.i18n.save}</button>
+                </div>
+            </div>
+        `;
+        return div;
+    }
+    /**
+        * @method createImageURLModal
+        * @description Creates the modal dialog for inserting an image by URL (image plugin).
+        */
+    createImageURLModal() {
+        const div = document.createElement('div');
+        div.id = this.scopedId('imageURLModal');
+        div.className = 'hidden fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50';
+        div.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl p-6 w-full max-w-md" dir="${this.dir}">
+                <h3 class="text-lg font-medium mb-4">${this.i18n.imageFromURL}</h3>
+                <label for="${this.scopedId('imageURL')}">${this.i18n.imageURL}</label>
+                <input type="text" dir="ltr" id="${this.scopedId('imageURL')}" class="border border-gray-300 rounded-md w-full p-2 mb-4" placeholder="https://cdn.example.com/photo.jpg">
+                <label for="${this.scopedId('imageURLAlt')}">${this.i18n.altText}</label>
+                <input type="text" id="${this.scopedId('imageURLAlt')}" class="border border-gray-300 rounded-md w-full p-2 mb-4" placeholder="${this.i18n.altPlaceholder}">
+                <div class="flex gap-2">
+                    <div class="flex-1">
+                        <label for="${this.scopedId('imageURLWidth')}">${this.i18n.imageWidth}</label>
+                        <input type="number" min="1" id="${this.scopedId('imageURLWidth')}" class="border border-gray-300 rounded-md w-full p-2 mb-4">
+                    </div>
+                    <div class="flex-1">
+                        <label for="${this.scopedId('imageURLHeight')}">${this.i18n.imageHeight}</label>
+                        <input type="number" min="1" id="${this.scopedId('imageURLHeight')}" class="border border-gray-300 rounded-md w-full p-2 mb-4">
+                    </div>
+                </div>
+                <label for="${this.scopedId('imageURLSrcset')}">srcset</label>
+                <textarea dir="ltr" rows="2" id="${this.scopedId('imageURLSrcset')}" class="border border-gray-300 rounded-md w-full p-2 mb-4" placeholder="photo-480.jpg 480w, photo-1080.jpg 1080w"></textarea>
+                <label for="${this.scopedId('imageURLSizes')}">sizes</label>
+                <input type="text" dir="ltr" id="${this.scopedId('imageURLSizes')}" class="border border-gray-300 rounded-md w-full p-2 mb-4" placeholder="(max-width: 600px) 480px, 800px">
+                <div class="flex justify-end gap-2">
+                    <button id="${this.scopedId('cancelImageURL')}" class="px-4 py-2 rounded-md text-sm font-medium hover:bg-gray-100">${this.i18n.cancel}</button>
+                    <button id="${this.scopedId('saveImageURL')}" class="px-4 py-2 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700">${this.i18n.save}</button>
+                </div>
+            </div>
+        `;
+        return div;
+    }
+    /**
+        * @method createStorageModal
+        * @description Creates the modal dialog for storage warning.
+        */
+    createStorageModal() {
+        const div = document.createElement('div');
+        div.id = this.scopedId('storageModal');
+        div.className = 'hidden fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50';
+        div.innerHTML = `
+            <div class="bg-white rounded-lg shadow-xl p-6 w-full max-w-sm" dir="${this.dir}">
+                <h3 class="text-lg font-medium mb-4">${this.i18n.warning}</h3>
+                <p>${this.i18n.storageWarning}</p>
+                <div class="flex justify-end gap-2 mt-4">
+                    <button id="${this.scopedId('closeStorage')}" class="px-4 py-2 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700">${this.i18n.ok}</button>
+                </div>
+            </div>
+        `;
+        return div;
+    }
+    /**
+        * @method createAboutModal
+        * @description Creates the modal dialog for about info.
+        */
+    createInfoModal() {
+        const div = document.createElement('div');
+        div.id = this.scopedId('infoModal');
+        div.className = 'jcaret-info-modal hidden fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50';
+        div.innerHTML = `
+        
+            <div class="bg-white rounded-lg shadow-xl p-6 w-full max-w-md" dir="${this.dir}">
+            
+                <div class="flex items-center gap-3">
+                    <svg class="w-6 h-6 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
+                    <h3 class="text-lg font-medium ">${this.i18n.infoTitle}</h3>
+                </div>
+                <br/>
+                <div class="jcaret-about-text flex items-center gap-3 mb-5 border-b pb-3 border-gray-300">
+                    <h3 class="text-lg font-medium text-gray-800">${this.i18n.infoText}</h3>
+                </div>
+                <div class="jcaret-about-content space-y-3 text-sm max-h-80 overflow-y-auto">
+                    ${this.renderShortcutList()}
+                </div>
+                <div class="flex justify-between gap-2 mt-6 pt-4 border-t border-gray-100">
+                    <p style="margin-top: 10px;"><a href="https://www.auktubli.com" target="blank" style="color: #007bff;">${this.i18n.by}</a></p><button id="${this.scopedId('closeInfo')}" class="px-4 py-2 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 transition-colors shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2">${this.i18n.ok || 'OK'}</button>
+                </div>
+            </div>
+        `;
+        return div;
+    }
+    /**
+        * @method createMultiSizeModal
+        * @description Creates the modal dialog for multi size selected text warning.
+        */
+    createSelectModal() {
+        const div = document.createElement('div');
+        div.id = this.scopedId('selectModal');
+        div.className = 'hidden fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50';
+        div.innerHTML = `
+            <div style="background-color: #dfedec;" class="rounded-lg shadow-xl p-6 w-full max-w-sm" dir="${this.dir}">
+                <h3 class="text-lg font-medium mb-4">${this.i18n.warning}</h3>
+                <p>${this.i18n.selectWarning}</p>
+                <div class="flex justify-end gap-2 mt-4">
+                    <button id="${this.scopedId('closeSelect')}" class="px-4 py-2 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700">${this.i18n.ok}</button>
+                </div>
+            </div>
+        `;
+        return div;
+    }
+        /**
+        * @method getCurrentBlockElement
+        * @description Returns current element where caret is.
+        */
+    getCurrentBlockElement() {
+            const selection = window.getSelection();
+            
+            // 1. Safety check: Is anything selected?
+            if (!selection.rangeCount) return null;
+            // 2. Get the node where the selection starts
+            let node = selection.anchorNode;
+            // 3. Text Node Fix:
+            // If the node is text (nodeType 3), get its parent element.
+            // Example: <p>Hello|</p> -> node is "Hello", parent is <p>
+            if (node.nodeType === 3) {
+                node = node.parentNode;
+            }
+            // 4. Check for the "Root" (Nothing) case
+            // If the resulting node is the contenteditable div itself,
+            // it means the text is not wrapped in a p or div.
+            if (node.getAttribute('contenteditable') === 'true') {
+                return 'ROOT';
+            }
+            // 5. Return the Tag Name (e.g., 'P', 'DIV', 'LI')
+            return node.tagName;
+        }
+    /**
+        * @method getNextBlockElement
+        * @description Returns next line element where caret is.
+        */
+    getNextBlockElement() {
+        const selection = window.getSelection();
+        if (!selection.rangeCount) return null;
+        // 1. Get the node where the caret is
+        let currentNode = selection.anchorNode;
+        // 2. The editor root of this instance
+        const editor = this.editor;
+        // Safety check: Ensure selection is actually inside the editor
+        if (!editor.contains(currentNode)) return null;
+        // 3. Traverse UP to find the immediate child of the editor
+        // We want the top-level block (the P or DIV), not the <b> or <i> inside it.
+        while (currentNode && currentNode.parentNode !== editor) {
+            currentNode = currentNode.parentNode;
+        }
+        // 4. Now currentNode is the block (e.g., <p> or <div>).
+        // Get the next sibling element.
+        const nextElement = currentNode.nextElementSibling;
+        if (nextElement) {
+            return nextElement.tagName; // Returns 'DIV', 'P', 'UL', etc.
+        } else {
+            return 'NOTHING'; // It is the last element in the editor
+        }
+    }
+    /**
+        * @method addEventListeners
+        * @description Initializes all event listeners for the toolbar, editor, and modals.
+        */
+    addEventListeners() {
+        this.alignmentButton.addEventListener('click', e => {
+            e.preventDefault();
+            this.alignmentMenu.classList.toggle('hidden');
+        });
+        this.listen(document, 'click', e => {
+            if (!this.alignmentButton.contains(e.target) && !this.alignmentMenu.contains(e.target)) {
+                this.alignmentMenu.classList.add('hidden');
+            }
+            if (!this.listOptionsButton.contains(e.target) && !this.listOptionsMenu.contains(e.target)) {
+                this.listOptionsMenu.classList.add('hidden');
+            }
+            if (!this.highlightButton.contains(e.target) && !this.highlightMenu.contains(e.target)) {
+                this.highlightMenu.classList.add('hidden');
+            }
+        });
+        this.highlightButton.addEventListener('click', e => {
+            e.preventDefault();
+            this.highlightMenu.classList.toggle('hidden');
+        });
+        this.highlightButton.addEventListener('mousedown', e => {
+            e.preventDefault();
+            this.saveSelection();
+        });
+        this.highlightMenu.addEventListener('click', e => {
+            const btn = e.target.closest('button[data-color]');
+            if (btn) {
+                this.currentHighlightColor = btn.dataset.color;
+                const highlightBar = this.highlightBar;
+                highlightBar.style.backgroundColor = this.currentHighlightColor === 'transparent' ? 'transparent' : this.currentHighlightColor;
+                this.highlightMenu.classList.add('hidden');
+                this.editor.focus();
+                this.restoreSelection();
+                if (this.runCommandHook('backColor', this.currentHighlightColor)) return;
+                document.execCommand('backColor', false, this.currentHighlightColor);
+            }
+        });
+        this.fontNameContainer.addEventListener('mousedown', () => this.saveSelection());
+        this.fontNameContainer.addEventListener('change', () => {
+            const oldContent = this.editor.innerHTML;
+            if (this.fontNameValue) {
+                this.editor.focus();
+                this.restoreSelection();
+                if (this.runCommandHook('fontName', this.fontNameValue)) return;
+                document.execCommand('fontName', false, this.fontNameValue);
+                this.pushUndoState(oldContent);
+                this.updateToolbarState();
+            }
+        });
+        this.blockFormatSelect.addEventListener('mousedown', () => this.saveSelection());
+        this.blockFormatSelect.addEventListener('change', () => this.exec('formatBlock', this.blockFormatSelect.value));
+        this.fontSizeSelect.addEventListener('mousedown', () => this.saveSelection());
+        this.fontSizeSelect.addEventListener('change', () => {
+            const oldContent = this.editor.innerHTML;
+            if (this.fontSizeSelect.value) {
+                this.editor.focus();
+                this.restoreSelection();
+                const value = this.fontSizeSelect.value;
+                if (this.runCommandHook('fontSize', value)) return;
+                // Changed: Only execCommand for values 1-7; for 7, only apply style (no execCommand, as it's invalid)
+                if (value <= 7) {
+                    document.execCommand('fontSize', false, value);
+                }
+                this.pushUndoState(oldContent);
+                this.updateToolbarState();
+            }
+        });
+        
+        this.foreColorLabel.addEventListener('mousedown', () => this.saveSelection());
+        this.fontColorInput.addEventListener('mousedown', () => this.saveSelection());
+        this.fontColorInput.addEventListener('input', () => {
+            this.foreColorBar.style.backgroundColor = this.fontColorInput.value;
+        });
+        this.fontColorInput.addEventListener('change', e => {
+            this.editor.focus();
+            this.restoreSelection();
+            if (this.runCommandHook('foreColor', e.target.value)) return;
+            const wasSelected = !window.getSelection().isCollapsed;
+            document.execCommand('foreColor', false, e.target.value);
+            if (wasSelected) {
+                const sel = window.getSelection();
+                sel.collapseToEnd();
+                document.execCommand('foreColor', false, e.target.value);
+            }
+            this.updateToolbarState();
+        });
+        this.toolbar.addEventListener('mousedown', e => {
+            let target = e.target;
+            if (target.nodeType === Node.TEXT_NODE) target = target.parentElement;
+            const btn = target.closest('button[data-command]');
+            if (btn && this.toolbar.contains(target)) {
+                e.preventDefault();
+                this.saveSelection();
+            }
+        });
+        this.toolbar.addEventListener('click', e => {
+            let target = e.target;
+            if (target.nodeType === Node.TEXT_NODE) target = target.parentElement;
+            const btn = target.closest('button');
+            if (!btn || !btn.dataset.command) return;
+            e.preventDefault();
+            this.exec(btn.dataset.command, btn.dataset.value || null);
+        });
+        this.byId('saveLink').addEventListener('click', () => {
+            const url = this.byId('linkUrl').value.trim();
+            if (url && !this.isSafeURL(url, 'link')) {
+                this.byId('linkUrl').classList.add('border-red-500');
+                this.byId('linkUrl').title = this.i18n.invalidLink;
+                this.byId('linkUrl').focus();
+                return;
+            }
+            this.byId('linkUrl').classList.remove('border-red-500');
+            this.byId('linkUrl').title = '';
+            this.linkModal.classList.add('hidden');
+            const oldContent = this.editor.innerHTML;
+            if (url && this.savedRange && !this.savedRange.collapsed) {
+                this.editor.focus();
+                this.restoreSelection();
+                document.execCommand('createLink', false, url);
+                // Re-saving the same address on the same text changes nothing
+                if (this.editor.innerHTML !== oldContent) {
+                    this.pushUndoState(oldContent);
+                    this.emit('linkCreated', { url });
+                }
+                document.execCommand("removeFormat",false,null);
+                this.updateToolbarState();
+            }
+            this.savedRange = null;
+            this.editor.focus();
+        });
+        this.byId('cancelLink').addEventListener('click', () => {
+            this.linkModal.classList.add('hidden');
+            this.byId('linkUrl').classList.remove('border-red-500');
+            this.byId('linkUrl').value = '';
+            this.savedRange = null;
+            this.editor.focus();
+        });
+        const uListBtn = this.getCommandButton('insertUnorderedList');
+        const oListBtn = this.getCommandButton('insertOrderedList');
+        uListBtn.addEventListener("click", function() {
+            // Check if the button is CURRENTLY active (meaning we are about to turn the list OFF)
+            if (uListBtn.classList.contains("is-active")) {
+                setTimeout(() => {
+                    const selection = window.getSelection();
+                    if (!selection.rangeCount) return;
+                    let node = selection.anchorNode;
+                    
+                    // Handle text nodes
+                    if (node.nodeType === 3) node = node.parentNode;
+                    
+                    // 2. NOW we look for the P (because the list is gone now)
+                    const pElement = node.closest('p');
+                    
+                    if (pElement) {
+                        // ... (Your existing unwrapping and normalization logic)
+                        const spans = pElement.querySelectorAll('span');
+                        spans.forEach(span => {
+                            span.replaceWith(...span.childNodes);
+                        });
+                        pElement.normalize(); // 5. Merge text nodes
+                        // --- 6. NEW CODE TO PUSH CARET TO END ---
+                        const range = document.createRange();
+                        
+                        // Set the range end (and start) to the end of the P element's content.
+                        // pElement.childNodes.length ensures the offset is after the last child.
+                        range.setStart(pElement, pElement.childNodes.length);
+                        range.collapse(true); // Collapse range to a single point (the caret)
+                        // Apply the new range to the selection
+                        selection.removeAllRanges();
+                        selection.addRange(range);
+                        // ----------------------------------------
+                    }
+                }, 0);
+            }
+        });
+        oListBtn.addEventListener("click", function() {
+            // Check if the button is CURRENTLY active (meaning we are about to turn the list OFF)
+            if (oListBtn.classList.contains("is-active")) {
+                setTimeout(() => {
+                    const selection = window.getSelection();
+                    if (!selection.rangeCount) return;
+                    let node = selection.anchorNode;
+                    
+                    // Handle text nodes
+                    if (node.nodeType === 3) node = node.parentNode;
+                    
+                    // 2. NOW we look for the P (because the list is gone now)
+                    const pElement = node.closest('p');
+                    
+                    if (pElement) {
+                        // ... (Your existing unwrapping and normalization logic)
+                        const spans = pElement.querySelectorAll('span');
                         spans.forEach(span => {
                             span.replaceWith(...span.childNodes);
                         });
@@ -1453,186 +2875,2592 @@ class jCaret {
                         selection.addRange(range);
                         // ----------------------------------------
                     }
-                }, 0);
+                }, 0);
+            }
+        });
+        this.listOptionsButton.addEventListener('mousedown', e => {
+            e.preventDefault();
+            this.saveSelection();
+        });
+        this.listOptionsButton.addEventListener('click', e => {
+            e.preventDefault();
+            this.listOptionsMenu.classList.toggle('hidden');
+        });
+        this.listStyleSelect.addEventListener('change', () => this.exec('listStyle', this.listStyleSelect.value));
+        this.listStartInput.addEventListener('change', () => this.exec('listStart', this.listStartInput.value));
+        this.editor.addEventListener('mousedown', e => this.onChecklistMouseDown(e));
+        this.byId('closeStorage').addEventListener('click', () => {
+            this.storageModal.classList.add('hidden');
+        });
+        this.byId('closeInfo').addEventListener('click', () => {
+            this.infoModal.classList.add('hidden');
+        });
+        this.byId('closeSelect').addEventListener('click', () => {
+            this.selectModal.classList.add('hidden');
+        });
+        this.editor.addEventListener('beforeinput', e => {
+            if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+                // Keep the browser's own undo stack out of the way of ours
+                e.preventDefault();
+                if (e.inputType === 'historyUndo') this.undo();
+                else this.redo();
+                return;
+            }
+            // Typing is grouped into one undo step until a pause, a switch between inserting and deleting,
+            // a new line, or a few seconds of continuous typing
+            const kind = e.inputType.startsWith('delete') ? 'delete' : e.inputType.startsWith('insert') ? 'insert' : 'format';
+            const breaksGroup = kind !== this.typingKind || e.inputType === 'insertParagraph' || e.inputType === 'insertLineBreak'
+                || Date.now() - this.typingStart > 5000;
+            if (breaksGroup) {
+                this.debouncedPush.cancel();
+                this.pushUndoState(this.lastContent);
+                this.typingKind = kind;
+                this.typingStart = Date.now();
+            }
+            if (this.maxLength) this.limitInput(e);
+        });
+        this.editor.addEventListener('compositionend', e => {
+            if (this.maxLength) this.limitComposition(e);
+        });
+        let isFormatting = false; // The Lock
+        this.editor.addEventListener('input', (event) => {
+            // Input that limitInput() did not count (execCommand, emoji...) makes the character count stale
+            if (!this.countedInput) this.characterCount = null;
+            this.countedInput = false;
+            if (isFormatting) {
+                return;
+            }
+            isFormatting = true;
+            try {
+                if (this.editor.textContent.trim() === '') {
+                    setTimeout(() => { // Queue asynchronously to avoid recursion
+                        if (this.destroyed) return;
+                        document.execCommand('foreColor', false, '#000000');
+                        this.fontColorInput.value = "#000000";
+                        this.foreColorBar.style.backgroundColor = "#000000";
+                        document.execCommand('backColor', false, '#ffffff');
+                        this.highlightBar.style.backgroundColor = '#ffffff';
+                        document.execCommand('fontName', false, '');
+                        document.execCommand('fontSize', false, '3');
+                        document.execCommand('removeFormat', false, null);
+                        const p = this.editor.querySelector('p');
+                        if (!(p && p.children.length === 1 && p.querySelector('br'))) {
+                            this.editor.innerHTML = '<p><br></p>';
+                        }
+                    }, 0);
+                }
+                //this.updateDirections();
+                this.updateToolbarState();
+                this.debouncedPush();
+                this.saveAll();
+                this.notifyChange();
+            } finally {
+                isFormatting = false;
+            }
+        });
+        this.editor.addEventListener('click', () => this.saveAll());
+        this.editor.addEventListener('keyup', () => this.updateToolbarState());
+        this.editor.addEventListener('mouseup', () => this.updateToolbarState());
+        this.listen(document, 'selectionchange', () => {
+            // Only follow selections inside this instance's editor
+            const sel = window.getSelection();
+            if (sel.rangeCount && this.editor.contains(sel.anchorNode)) {
+                // The caret of the last committed state is where undo of the next change returns to
+                if (this.editor.innerHTML === this.lastContent) this.lastSelection = this.getSelectionOffsets();
+                this.updateToolbarState();
+                this.emit('selectionchange', { range: sel.getRangeAt(0), isCollapsed: sel.isCollapsed });
+            }
+        });
+        this.editor.addEventListener('focus', () => this.emit('focus'));
+        this.editor.addEventListener('click', e => {
+            if (e.target.tagName.toLowerCase() === 'a' && e.target.href) {
+                window.open(e.target.href, '_blank');
+                e.preventDefault();
+            }
+            const resizables = this.editor.querySelectorAll('.resizable');
+            resizables.forEach(d => {
+                this.removeResizeHandles(d);
+            });
+            const resizable = e.target.closest('.resizable');
+            if (resizable) {
+                this.selectedResizable = resizable;
+                this.addResizeHandle(this.selectedResizable);
+                this.getCommandButton('justifyFull').style.display = "none";
+            } else {
+                this.getCommandButton('justifyFull').style.display = "block";
+                this.selectedResizable = null;
+            }
+            this.updateToolbarState();
+        });
+        this.listen(document, 'mousedown', e => this.onMouseDown(e));
+        this.listen(document, 'touchstart', e => this.onTouchStart(e), { passive: false });
+        // Move/end handlers stay registered and do nothing unless a resize is in progress
+        this.listen(document, 'mousemove', e => this.onMouseMove(e));
+        this.listen(document, 'mouseup', e => this.onMouseUp(e));
+        this.listen(document, 'touchmove', e => this.onTouchMove(e), { passive: false });
+        this.listen(document, 'touchend', e => this.onTouchEnd(e));
+        this.editor.addEventListener('keydown', e => this.onKeyDown(e));
+        this.editor.addEventListener('paste', e => this.onPaste(e));
+        // Drags that start inside the editor keep the browser's native move behaviour
+        this.editor.addEventListener('dragstart', () => { this.isInternalDrag = true; });
+        this.editor.addEventListener('dragend', () => { this.isInternalDrag = false; });
+        this.editor.addEventListener('drop', e => this.onDrop(e));
+        this.editor.addEventListener('blur', () => {
+            this.pastePlainText = false;
+            this.fontSizeSelect.selectedIndex = 0;
+            this.emit('blur');
+        });
+    }
+    /**
+        * @method addImageListeners
+        * @description Wires the image upload button and file input (image plugin).
+        */
+    addImageListeners() {
+        this.imageUploadButton.addEventListener('click', e => {
+            e.preventDefault();
+            this.saveSelection();
+            this.imageMenu.classList.toggle('hidden');
+        });
+        this.listen(document, 'click', e => {
+            if (!this.imageUploadButton.contains(e.target) && !this.imageMenu.contains(e.target)) {
+                this.imageMenu.classList.add('hidden');
+            }
+        });
+        this.imageMenu.addEventListener('click', e => {
+            const btn = e.target.closest('[data-image-source]');
+            if (!btn) return;
+            this.imageMenu.classList.add('hidden');
+            if (btn.dataset.imageSource === 'upload') this.imageUpload.click();
+            else this.openImageURLModal();
+        });
+        this.byId('saveImageURL').addEventListener('click', () => this.insertImageFromModal());
+        this.byId('cancelImageURL').addEventListener('click', () => {
+            this.imageURLModal.classList.add('hidden');
+            this.editor.focus();
+            this.restoreSelection();
+        });
+        this.imageURLModal.addEventListener('keydown', e => {
+            if (e.key === 'Enter' && e.target.tagName !== 'TEXTAREA') {
+                e.preventDefault();
+                this.insertImageFromModal();
+            } else if (e.key === 'Escape') {
+                this.byId('cancelImageURL').click();
+            }
+        });
+        this.imageUpload.addEventListener('change', e => {
+            const file = e.target.files[0];
+            this.imageUpload.value = '';
+            if (file) this.insertImageFile(file);
+        });
+        // Retry / remove buttons of failed uploads
+        this.editor.addEventListener('click', e => {
+            const btn = e.target.closest('[data-upload-action]');
+            if (!btn) return;
+            e.preventDefault();
+            const figure = btn.closest('figure[data-upload-id]');
+            if (btn.dataset.uploadAction === 'retry') {
+                this.uploadImage(figure.dataset.uploadId);
+            } else {
+                // The pending upload is kept: undoing the removal brings back the retry UI
+                const pending = this.pendingUploads[figure.dataset.uploadId];
+                if (pending && pending.previousSrc) {
+                    // A failed replacement goes back to the previous image
+                    figure.querySelector('img').src = pending.previousSrc;
+                    figure.removeAttribute('data-upload-id');
+                    figure.classList.remove('jcaret-uploading');
+                    btn.closest('.jcaret-upload-status').remove();
+                } else {
+                    figure.remove();
+                    this.selectedResizable = null;
+                }
+                this.pushUndoState(this.lastContent);
+                this.updateToolbarState();
+            }
+        });
+        this.addImagePanelListeners();
+    }
+    /**
+        * @method compressImage
+        * @description Downscales an image file to at most 1200px wide and re-encodes it (WebP, or JPEG when that is smaller).
+        * @param {File|Blob} file
+        * @returns {Promise<string>} The compressed image as a data URL.
+        */
+    compressImage(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onerror = () => reject(reader.error);
+            reader.onload = ev => {
+                const tempImg = new Image();
+                tempImg.onerror = () => reject(new Error('Could not read the image'));
+                tempImg.src = ev.target.result;
+                tempImg.onload = () => {
+                    const canvas = document.createElement('canvas');
+                    
+                    // 1. INCREASE MAX WIDTH
+                    // 800px is often too small for full-width desktop viewing. 
+                    // 1200px or 1600px is a better balance for quality vs. size.
+                    const maxWidth = 1200; 
+                    
+                    let width = tempImg.width;
+                    let height = tempImg.height;
+
+                    // Calculate new dimensions keeping aspect ratio
+                    if (width > maxWidth) {
+                        height *= maxWidth / width;
+                        width = maxWidth;
+                    }
+
+                    canvas.width = width;
+                    canvas.height = height;
+
+                    const ctx = canvas.getContext('2d');
+
+                    // 2. ENABLE SMOOTH SCALING
+                    // This ensures the browser uses high-quality algorithms when downscaling.
+                    ctx.imageSmoothingEnabled = true;
+                    ctx.imageSmoothingQuality = 'high';
+
+                    ctx.drawImage(tempImg, 0, 0, width, height);
+
+                    // 3. OPTIMIZE COMPRESSION FORMAT AND QUALITY
+                    // 'image/webp' usually offers better compression/quality ratio than jpeg.
+                    // Quality 0.75 (75%) removes metadata/bloat but keeps visual crispness.
+                    // If the browser doesn't support WebP, it silently falls back to PNG/JPEG.
+                    let compressedSrc = canvas.toDataURL('image/webp', 0.75);
+
+                    // Fallback: If WebP isn't supported or returns a larger string (rare), use JPEG at 0.7
+                    if (compressedSrc.length > ev.target.result.length && tempImg.src.startsWith('data:image/jpeg')) {
+                        compressedSrc = canvas.toDataURL('image/jpeg', 0.7);
+                    }
+                    resolve(compressedSrc);
+                };
+            };
+            reader.readAsDataURL(file);
+        });
+    }
+    /**
+        * @method dataURLToBlob
+        * @description Converts a base64 data URL to a Blob.
+        */
+    dataURLToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new Blob([bytes], { type: header.slice(5).split(';')[0] });
+    }
+    /**
+        * @method insertImageFile
+        * @description Compresses an image file and inserts it at the saved selection (see insertImageFiles()).
+        * @param {File|Blob} file
+        * @returns {Promise<HTMLElement|null>} The inserted figure.
+        */
+    async insertImageFile(file) {
+        const figures = await this.insertImageFiles([file]);
+        return figures[0] || null;
+    }
+    /**
+        * @method insertImageFiles
+        * @description Compresses image files and inserts them one after another at the saved selection. With the imageUpload
+        * option each compressed Blob is uploaded while a placeholder shows the progress; otherwise the images are embedded
+        * as data URLs in a single undo step.
+        * @param {Array<File|Blob>} files
+        * @returns {Promise<HTMLElement[]>} The inserted figures, once every upload has settled.
+        */
+    async insertImageFiles(files) {
+        const sources = await Promise.all(files.map(file => this.compressImage(file).catch(error => {
+            this.emit('imageUploadError', { file, error });
+            return null;
+        })));
+        if (this.destroyed) return [];
+        const figures = [];
+        const uploads = [];
+        sources.forEach((dataUrl, i) => {
+            if (!dataUrl) return;
+            let figure;
+            if (this.uploadHandler) {
+                const { id, preview } = this.createUploadPreview(dataUrl, files[i]);
+                figure = this.insertImageFigure(preview);
+                if (figure) {
+                    figure.dataset.uploadId = id;
+                    figure.classList.add('jcaret-uploading');
+                    uploads.push(id);
+                }
+            } else {
+                figure = this.insertImageFigure(dataUrl);
+            }
+            if (!figure) return;
+            figures.push(figure);
+            // The next image goes after this one
+            this.saveSelection();
+        });
+        if (!this.uploadHandler) {
+            this.pushUndoState(this.lastContent);
+            figures.forEach(figure => this.emit('imageInserted', { figure, image: figure.querySelector('img') }));
+        }
+        this.updateToolbarState();
+        await Promise.all(uploads.map(id => this.uploadImage(id)));
+        return figures;
+    }
+    /**
+        * @method createUploadPreview
+        * @description Registers a compressed image for upload and returns a blob URL previewing it meanwhile.
+        * Figures still uploading are left out of getHTML() and storage.
+        * @returns {{id: string, preview: string}}
+        */
+    createUploadPreview(dataUrl, file, previousSrc = null) {
+        const blob = this.dataURLToBlob(dataUrl);
+        const id = String(++this.uploadCount);
+        const preview = URL.createObjectURL(blob);
+        this.uploadObjectURLs.push(preview);
+        this.pendingUploads[id] = { blob, file, previousSrc };
+        return { id, preview };
+    }
+    /**
+        * @method openImageURLModal
+        * @description Opens the insert image by URL dialog with empty fields (image plugin).
+        */
+    openImageURLModal() {
+        ['imageURL', 'imageURLAlt', 'imageURLWidth', 'imageURLHeight', 'imageURLSrcset', 'imageURLSizes'].forEach(id => {
+            this.byId(id).value = '';
+            this.byId(id).classList.remove('border-red-500');
+            this.byId(id).title = '';
+        });
+        this.imageURLModal.classList.remove('hidden');
+        this.byId('imageURL').focus();
+    }
+    /**
+        * @method insertImageFromModal
+        * @description Validates the insert image by URL dialog and inserts the image, or marks the invalid fields.
+        */
+    insertImageFromModal() {
+        const field = id => this.byId(id).value.trim();
+        const attrs = {
+            alt: field('imageURLAlt'),
+            width: parseInt(field('imageURLWidth'), 10) || null,
+            height: parseInt(field('imageURLHeight'), 10) || null,
+            srcset: field('imageURLSrcset').replace(/\s+/g, ' '),
+            sizes: field('imageURLSizes')
+        };
+        const url = field('imageURL');
+        const invalid = [];
+        if (!url || !this.isURL(url) || !this.isSafeURL(url, 'image')) invalid.push('imageURL');
+        if (attrs.srcset && !this.isSafeSrcset(attrs.srcset)) invalid.push('imageURLSrcset');
+        ['imageURL', 'imageURLSrcset'].forEach(id => {
+            this.byId(id).classList.toggle('border-red-500', invalid.includes(id));
+            this.byId(id).title = invalid.includes(id) ? this.i18n.invalidImageURL : '';
+        });
+        if (invalid.length) {
+            this.byId(invalid[0]).focus();
+            return;
+        }
+        this.imageURLModal.classList.add('hidden');
+        this.insertImageURL(url, attrs);
+    }
+    /**
+        * @method insertImageURL
+        * @description Inserts an image that stays at its URL (no re-encoding) at the saved selection.
+        * @param {string} url The image URL; it must pass isSafeURL(url, 'image').
+        * @param {object} [attrs] { alt, width, height, srcset, sizes }. width and height are the image's pixel size;
+        * width also becomes the figure's initial width.
+        * @returns {HTMLElement|null} The inserted figure.
+        */
+    insertImageURL(url, attrs = {}) {
+        if (!this.isSafeURL(url, 'image')) throw new Error('Image URL is not allowed');
+        if (attrs.srcset && !this.isSafeSrcset(attrs.srcset)) throw new Error('Image srcset is not allowed');
+        this.debouncedPush.cancel();
+        this.pushUndoState(this.lastContent);
+        const figure = this.insertImageFigure(url, attrs);
+        if (!figure) return null;
+        this.pushUndoState(this.lastContent);
+        this.emit('imageInserted', { figure, image: figure.querySelector('img'), url });
+        this.updateToolbarState();
+        return figure;
+    }
+    /**
+        * @method isSafeSrcset
+        * @description Checks every candidate URL of a srcset value with isSafeURL().
+        */
+    isSafeSrcset(srcset) {
+        // Parsed like the HTML candidate grammar: a URL runs to the next whitespace (so it may hold commas, as data URLs do),
+        // trailing commas end the candidate, otherwise its descriptor runs to the next comma
+        let rest = srcset;
+        while ((rest = rest.replace(/^[\s,]+/, ''))) {
+            let url = rest.match(/^\S+/)[0];
+            let descriptors = '';
+            rest = rest.slice(url.length);
+            if (url.endsWith(',')) {
+                url = url.replace(/,+$/, '');
+            } else {
+                const end = rest.indexOf(',');
+                descriptors = end === -1 ? rest : rest.slice(0, end);
+                rest = end === -1 ? '' : rest.slice(end + 1);
+            }
+            const [descriptor, extra] = descriptors.trim().split(/\s+/);
+            if (!this.isSafeURL(url, 'image') || extra || (descriptor && !/^\d+(\.\d+)?[wx]$/.test(descriptor))) return false;
+        }
+        return true;
+    }
+    /**
+        * @method getTransferFiles
+        * @description Returns the files of a drop or paste. Clipboard data that also carries text (e.g. cells copied
+        * from a spreadsheet with a rendered picture) is treated as text instead.
+        */
+    getTransferFiles(dataTransfer) {
+        const files = Array.from(dataTransfer.files || []);
+        return files.length && !dataTransfer.getData('text/plain') ? files : [];
+    }
+    /**
+        * @method insertFiles
+        * @description Hands dropped or pasted files to the 'files' hook at the current selection. The image plugin takes
+        * the images; other plugins may take the rest, and files nobody takes are ignored.
+        */
+    insertFiles(files) {
+        this.debouncedPush.cancel();
+        this.pushUndoState(this.lastContent);
+        this.saveSelection();
+        this.runHook('files', files);
+    }
+    /**
+        * @method uploadImage
+        * @description Sends a pending image to the imageUpload handler and swaps the placeholder for the returned URL,
+        * or shows the retry UI when the upload fails.
+        * @param {string} id The upload id stored on the placeholder figure.
+        */
+    async uploadImage(id) {
+        const pending = this.pendingUploads[id];
+        const findFigure = () => this.editor.querySelector(`figure[data-upload-id="${id}"]`);
+        if (!pending || !findFigure()) return;
+        pending.failed = false;
+        this.setUploadStatus(findFigure(), 'progress', 0);
+        try {
+            const url = await this.uploadHandler(pending.blob, {
+                file: pending.file,
+                onProgress: progress => {
+                    const figure = findFigure();
+                    if (figure) this.setUploadStatus(figure, 'progress', progress);
+                }
+            });
+            if (typeof url !== 'string' || !url) throw new Error('imageUpload must resolve to an image URL');
+            const figure = findFigure();
+            if (!figure || this.destroyed) return;
+            const img = figure.querySelector('img');
+            img.src = url;
+            figure.removeAttribute('data-upload-id');
+            figure.classList.remove('jcaret-uploading');
+            figure.querySelectorAll('.jcaret-upload-status').forEach(el => el.remove());
+            delete this.pendingUploads[id];
+            this.uploadResults[id] = url;
+            this.pushUndoState(this.lastContent);
+            this.emit('imageInserted', { figure, image: img, url });
+        } catch (error) {
+            pending.failed = true;
+            const figure = findFigure();
+            if (!figure || this.destroyed) return;
+            this.setUploadStatus(figure, 'error');
+            this.emit('imageUploadError', { figure, file: pending.file, error });
+        }
+    }
+    /**
+        * @method setUploadStatus
+        * @description Renders the progress bar or the error/retry overlay of an uploading image.
+        * @param {HTMLElement} figure The placeholder figure.
+        * @param {'progress'|'error'} state
+        * @param {number} [progress] Upload progress from 0 to 1.
+        */
+    setUploadStatus(figure, state, progress = 0) {
+        let status = figure.querySelector('.jcaret-upload-status');
+        if (!status) {
+            status = document.createElement('div');
+            status.className = 'jcaret-upload-status absolute inset-0 flex flex-col items-center justify-center gap-2 text-sm text-gray-700';
+            status.contentEditable = 'false';
+            figure.insertBefore(status, figure.querySelector('figcaption'));
+        }
+        if (state === 'error') {
+            status.innerHTML = `
+                <span class="text-red-600 font-semibold">${this.i18n.uploadFailed}</span>
+                <div class="flex gap-2">
+                    <button type="button" data-upload-action="retry" class="px-3 py-1 bg-indigo-600 text-white rounded-md hover:bg-indigo-700">${this.i18n.retry}</button>
+                    <button type="button" data-upload-action="remove" class="px-3 py-1 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">${this.i18n.remove}</button>
+                </div>
+            `;
+            return;
+        }
+        const percent = Math.round(Math.min(Math.max(progress, 0), 1) * 100);
+        status.innerHTML = `
+            <div class="w-2/3 h-2 bg-gray-200 rounded-full overflow-hidden"><div class="h-full bg-indigo-600" style="width: ${percent}%"></div></div>
+            <span>${this.i18n.uploadingImage} ${percent}%</span>
+        `;
+    }
+    /**
+        * @method settleUploads
+        * @description Brings upload placeholders in restored history content up to date: finished uploads get their
+        * final URL, failed ones their retry UI, and placeholders of uploads that no longer exist are dropped.
+        * @param {string} html Editor content.
+        * @returns {string} The settled content (the same string when nothing changed).
+        */
+    settleUploads(html) {
+        if (!html.includes('data-upload-id')) return html;
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        let changed = false;
+        template.content.querySelectorAll('figure[data-upload-id]').forEach(figure => {
+            const id = figure.dataset.uploadId;
+            const pending = this.pendingUploads[id];
+            if (pending) {
+                // Still uploading: uploadImage() finds the figure again when it settles
+                if (pending.failed && !figure.querySelector('[data-upload-action]')) {
+                    this.setUploadStatus(figure, 'error');
+                    changed = true;
+                }
+                return;
+            }
+            changed = true;
+            const img = figure.querySelector('img');
+            if (!this.uploadResults[id] || !img) {
+                figure.remove();
+                return;
+            }
+            img.src = this.uploadResults[id];
+            figure.removeAttribute('data-upload-id');
+            figure.classList.remove('jcaret-uploading');
+            figure.querySelectorAll('.jcaret-upload-status').forEach(el => el.remove());
+        });
+        return changed ? template.innerHTML : html;
+    }
+    /**
+        * @method insertImageFigure
+        * @description Inserts an image figure with a caption at the saved selection and moves the caret to a new paragraph after it.
+        * @param {string} src
+        * @param {object} [attrs] { alt, width, height, srcset, sizes }
+        * @returns {HTMLElement|null} The inserted figure.
+        */
+    insertImageFigure(src, attrs = {}) {
+        const figure = document.createElement('figure');
+        figure.className = 'resizable center';
+        figure.contentEditable = 'false';
+        figure.id = this.scopedId('temp-new-image');
+
+        const img = document.createElement('img');
+        img.src = src;
+        // Empty until the author describes the image in the image panel
+        img.alt = attrs.alt || '';
+        if (attrs.width) img.setAttribute('width', attrs.width);
+        if (attrs.height) img.setAttribute('height', attrs.height);
+        if (attrs.srcset) img.setAttribute('srcset', attrs.srcset);
+        if (attrs.sizes) img.setAttribute('sizes', attrs.sizes);
+        if (attrs.width) figure.style.width = `${attrs.width}px`;
+        img.style.display = 'block';
+        img.style.width = '100%';
+        img.style.height = 'auto';
+
+        figure.appendChild(img);
+
+        const figcaption = document.createElement('figcaption');
+        figcaption.className = 'caption';
+        figcaption.contentEditable = 'true';
+        figcaption.textContent = this.i18n.caption; 
+        
+        figure.appendChild(figcaption);
+        this.editor.focus();
+        this.restoreSelection();
+        document.execCommand('insertHTML', false, figure.outerHTML);
+
+        const newFigure = this.byId('temp-new-image');
+        this.getCommandButton('justifyFull').style.display = "none";
+        
+        if (newFigure) {
+            newFigure.removeAttribute('id');
+            this.addResizeHandle(newFigure);
+            this.selectedResizable = newFigure;
+            
+            const p = document.createElement('p');
+            p.innerHTML = '<br>';
+            newFigure.parentNode.insertBefore(p, newFigure.nextSibling);
+            
+            const sel = window.getSelection();
+            const range = document.createRange();
+            range.setStart(p, 0);
+            range.collapse(true);
+            sel.removeAllRanges();
+            sel.addRange(range);
+        }
+        return newFigure;
+    }
+    /**
+        * @method createImagePanel
+        * @description Creates the properties popover shown under a selected image: alt text, caption toggle,
+        * rotate, flip, crop and replace (image plugin).
+        */
+    createImagePanel() {
+        const div = document.createElement('div');
+        div.id = this.scopedId('imagePanel');
+        div.className = 'jcaret-image-panel hidden absolute z-40 bg-white border border-gray-300 rounded-lg shadow-lg p-3 w-72 text-sm';
+        div.dir = this.dir;
+        div.innerHTML = `
+            <h3 class="font-medium mb-2">${this.i18n.imageProperties}</h3>
+            <label for="${this.scopedId('imageAlt')}">${this.i18n.altText}</label>
+            <input type="text" id="${this.scopedId('imageAlt')}" class="border border-gray-300 rounded-md w-full p-2 mb-2" placeholder="${this.i18n.altPlaceholder}">
+            <label class="flex items-center gap-2 mb-2"><input type="checkbox" id="${this.scopedId('imageCaption')}"> ${this.i18n.showCaption}</label>
+            <div class="flex flex-wrap gap-1" dir="ltr">
+                <button type="button" data-image-action="rotateLeft" title="${this.i18n.rotateLeft}" class="p-2 rounded-md hover:bg-gray-200"><svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M9 15L3 9m0 0l6-6M3 9h11a7 7 0 010 14h-2"/></svg></button>
+                <button type="button" data-image-action="rotateRight" title="${this.i18n.rotateRight}" class="p-2 rounded-md hover:bg-gray-200"><svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M15 15l6-6m0 0l-6-6m6 6H10a7 7 0 000 14h2"/></svg></button>
+                <button type="button" data-image-action="flipHorizontal" title="${this.i18n.flipHorizontal}" class="p-2 rounded-md hover:bg-gray-200"><svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M12 3v18M8 7L3 12l5 5V7zm8 0l5 5-5 5V7z"/></svg></button>
+                <button type="button" data-image-action="flipVertical" title="${this.i18n.flipVertical}" class="p-2 rounded-md hover:bg-gray-200"><svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3 12h18M7 8l5-5 5 5H7zm0 8l5 5 5-5H7z"/></svg></button>
+                <button type="button" data-image-action="crop" title="${this.i18n.crop}" class="p-2 rounded-md hover:bg-gray-200"><svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M6 2v14a2 2 0 002 2h14M2 6h14a2 2 0 012 2v14"/></svg></button>
+                <button type="button" data-image-action="replace" title="${this.i18n.replaceImage}" class="p-2 rounded-md hover:bg-gray-200"><svg class="w-5 h-5 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5m-13.5-9L12 3m0 0l4.5 4.5M12 3v13.5"/></svg></button>
+            </div>
+            <div id="${this.scopedId('cropActions')}" class="hidden mt-2">
+                <p class="text-gray-500 mb-2">${this.i18n.cropHint}</p>
+                <div class="flex justify-end gap-2">
+                    <button type="button" data-image-action="cancelCrop" class="px-3 py-1 rounded-md hover:bg-gray-100">${this.i18n.cancel}</button>
+                    <button type="button" data-image-action="applyCrop" class="px-3 py-1 rounded-md bg-blue-600 text-white hover:bg-blue-700">${this.i18n.applyCrop}</button>
+                </div>
+            </div>
+            <p id="${this.scopedId('imageError')}" class="hidden text-red-600 mt-2">${this.i18n.imageEditFailed}</p>
+            <input type="file" id="${this.scopedId('imageReplace')}" accept="image/*" style="display: none;">
+        `;
+        this.editorWrapper.classList.add('relative');
+        this.editorWrapper.appendChild(div);
+        return div;
+    }
+    /**
+        * @method updateImagePanel
+        * @description Shows the image panel under the selected image figure, or hides it.
+        */
+    updateImagePanel() {
+        const figure = this.selectedResizable;
+        const img = figure && this.editor.contains(figure) ? figure.querySelector('img') : null;
+        if (!img) {
+            if (this.imagePanelFigure) this.stopCrop();
+            this.imagePanelFigure = null;
+            this.imagePanel.classList.add('hidden');
+            return;
+        }
+        if (this.imagePanelFigure !== figure) {
+            if (this.imagePanelFigure) this.stopCrop();
+            this.imagePanelFigure = figure;
+            this.byId('imageAlt').value = img.getAttribute('alt') || '';
+            this.byId('imageCaption').checked = !!figure.querySelector('figcaption');
+            this.byId('imageError').classList.add('hidden');
+        }
+        this.imagePanel.classList.remove('hidden');
+        const wrapperRect = this.editorWrapper.getBoundingClientRect();
+        const figureRect = figure.getBoundingClientRect();
+        const left = Math.min(Math.max(figureRect.left - wrapperRect.left, 0), Math.max(wrapperRect.width - this.imagePanel.offsetWidth, 0));
+        this.imagePanel.style.left = `${left}px`;
+        this.imagePanel.style.top = `${figureRect.bottom - wrapperRect.top + 8}px`;
+    }
+    /**
+        * @method addImagePanelListeners
+        * @description Wires the image panel controls (image plugin).
+        */
+    addImagePanelListeners() {
+        const altInput = this.byId('imageAlt');
+        // The alt text typed until the field is left is one undo step
+        let altEditing = false;
+        altInput.addEventListener('input', () => {
+            const img = this.imagePanelFigure && this.imagePanelFigure.querySelector('img');
+            if (!img) return;
+            if (!altEditing) {
+                // Pending typing in the editor becomes its own step first
+                this.debouncedPush.cancel();
+                this.pushUndoState(this.lastContent);
+                altEditing = true;
+            }
+            img.alt = altInput.value;
+        });
+        altInput.addEventListener('change', () => {
+            altEditing = false;
+            this.pushUndoState(this.lastContent);
+        });
+        this.editor.addEventListener('scroll', () => {
+            if (this.imagePanelFigure) this.updateImagePanel();
+        });
+        this.byId('imageCaption').addEventListener('change', e => {
+            if (!this.imagePanelFigure) return;
+            this.setImageCaption(this.imagePanelFigure, e.target.checked);
+            this.pushUndoState(this.lastContent);
+            this.updateImagePanel();
+        });
+        this.imagePanel.addEventListener('click', e => {
+            const btn = e.target.closest('[data-image-action]');
+            const figure = this.imagePanelFigure;
+            if (!btn || !figure) return;
+            const action = btn.dataset.imageAction;
+            if (action === 'rotateLeft') this.editImage(figure, { rotate: -90 });
+            else if (action === 'rotateRight') this.editImage(figure, { rotate: 90 });
+            else if (action === 'flipHorizontal') this.editImage(figure, { flipX: true });
+            else if (action === 'flipVertical') this.editImage(figure, { flipY: true });
+            else if (action === 'crop') this.startCrop(figure);
+            else if (action === 'cancelCrop') this.stopCrop();
+            else if (action === 'applyCrop') {
+                const crop = this.cropRect;
+                this.stopCrop();
+                if (crop && crop.width > 0.01 && crop.height > 0.01) this.editImage(figure, { crop });
+            } else if (action === 'replace') this.byId('imageReplace').click();
+        });
+        this.byId('imageReplace').addEventListener('change', async e => {
+            const file = e.target.files[0];
+            const figure = this.imagePanelFigure;
+            e.target.value = '';
+            if (!file || !figure) return;
+            try {
+                await this.setImageSource(figure, await this.compressImage(file), file);
+            } catch (error) {
+                this.byId('imageError').classList.remove('hidden');
+                this.emit('imageUploadError', { figure, file, error });
+            }
+        });
+    }
+    /**
+        * @method setImageCaption
+        * @description Adds or removes the caption of an image figure.
+        */
+    setImageCaption(figure, visible) {
+        const caption = figure.querySelector('figcaption');
+        if (visible && !caption) {
+            const figcaption = document.createElement('figcaption');
+            figcaption.className = 'caption';
+            figcaption.contentEditable = 'true';
+            figcaption.textContent = this.i18n.caption;
+            figure.insertBefore(figcaption, figure.querySelector('.resize-handle'));
+        } else if (!visible && caption) {
+            caption.remove();
+        }
+    }
+    /**
+        * @method startCrop
+        * @description Lets the author drag a crop rectangle over the image.
+        */
+    startCrop(figure) {
+        this.stopCrop();
+        const img = figure.querySelector('img');
+        const overlay = document.createElement('div');
+        overlay.className = 'jcaret-crop-overlay';
+        overlay.style.left = `${img.offsetLeft}px`;
+        overlay.style.top = `${img.offsetTop}px`;
+        overlay.style.width = `${img.offsetWidth}px`;
+        overlay.style.height = `${img.offsetHeight}px`;
+        const box = document.createElement('div');
+        box.className = 'jcaret-crop-box';
+        overlay.appendChild(box);
+        figure.appendChild(overlay);
+        this.cropRect = null;
+        let start = null;
+        const point = e => {
+            const rect = overlay.getBoundingClientRect();
+            const source = e.touches ? e.touches[0] : e;
+            return {
+                x: Math.min(Math.max((source.clientX - rect.left) / (rect.width || 1), 0), 1),
+                y: Math.min(Math.max((source.clientY - rect.top) / (rect.height || 1), 0), 1)
+            };
+        };
+        const move = e => {
+            if (!start) return;
+            e.preventDefault();
+            const current = point(e);
+            this.cropRect = {
+                x: Math.min(start.x, current.x), y: Math.min(start.y, current.y),
+                width: Math.abs(current.x - start.x), height: Math.abs(current.y - start.y)
+            };
+            box.style.left = `${this.cropRect.x * 100}%`;
+            box.style.top = `${this.cropRect.y * 100}%`;
+            box.style.width = `${this.cropRect.width * 100}%`;
+            box.style.height = `${this.cropRect.height * 100}%`;
+        };
+        const end = () => { start = null; };
+        overlay.addEventListener('mousedown', e => { e.preventDefault(); start = point(e); });
+        overlay.addEventListener('touchstart', e => { e.preventDefault(); start = point(e); }, { passive: false });
+        // The drag goes on (and ends) wherever the pointer is released; stopCrop() removes these
+        this.cropListeners = [
+            ['mousemove', move, undefined], ['touchmove', move, { passive: false }],
+            ['mouseup', end, undefined], ['touchend', end, undefined], ['touchcancel', end, undefined]
+        ];
+        this.cropListeners.forEach(([type, handler, options]) => this.listen(document, type, handler, options));
+        this.byId('cropActions').classList.remove('hidden');
+    }
+    /**
+        * @method stopCrop
+        * @description Leaves crop mode without changing the image.
+        */
+    stopCrop() {
+        (this.cropListeners || []).forEach(([type, handler, options]) => this.unlisten(document, type, handler, options));
+        this.cropListeners = null;
+        this.editor.querySelectorAll('.jcaret-crop-overlay').forEach(overlay => overlay.remove());
+        this.byId('cropActions').classList.add('hidden');
+        this.cropRect = null;
+    }
+    /**
+        * @method transformImage
+        * @description Draws an image rotated, flipped and/or cropped on a canvas.
+        * @param {HTMLImageElement} img
+        * @param {object} transform { rotate: degrees (multiple of 90), flipX, flipY, crop: {x, y, width, height} as fractions }
+        * @returns {Promise<Blob>} A lossless PNG of the result.
+        */
+    transformImage(img, { rotate = 0, flipX = false, flipY = false, crop = null }) {
+        return new Promise((resolve, reject) => {
+            const source = new Image();
+            // Remote images can only be read back from the canvas when their server allows CORS
+            if (!img.src.startsWith('data:') && !img.src.startsWith('blob:')) source.crossOrigin = 'anonymous';
+            source.onerror = () => reject(new Error('Could not load the image'));
+            source.onload = () => {
+                const sx = crop ? crop.x * source.naturalWidth : 0;
+                const sy = crop ? crop.y * source.naturalHeight : 0;
+                const sw = crop ? crop.width * source.naturalWidth : source.naturalWidth;
+                const sh = crop ? crop.height * source.naturalHeight : source.naturalHeight;
+                const quarterTurn = Math.abs(rotate) % 180 === 90;
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(quarterTurn ? sh : sw);
+                canvas.height = Math.round(quarterTurn ? sw : sh);
+                const ctx = canvas.getContext('2d');
+                ctx.imageSmoothingEnabled = true;
+                ctx.imageSmoothingQuality = 'high';
+                ctx.translate(canvas.width / 2, canvas.height / 2);
+                ctx.rotate(rotate * Math.PI / 180);
+                ctx.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+                ctx.drawImage(source, sx, sy, sw, sh, -sw / 2, -sh / 2, sw, sh);
+                try {
+                    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not export the image')), 'image/png');
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            source.src = img.src;
+        });
+    }
+    /**
+        * @method editImage
+        * @description Rotates, flips or crops an image in place, then compresses (and uploads) the result like a new image.
+        * The figure keeps its width, alignment and caption.
+        */
+    async editImage(figure, transform) {
+        this.byId('imageError').classList.add('hidden');
+        try {
+            const blob = await this.transformImage(figure.querySelector('img'), transform);
+            await this.setImageSource(figure, await this.compressImage(blob), blob);
+        } catch (error) {
+            this.byId('imageError').classList.remove('hidden');
+            this.emit('imageEditError', { figure, error });
+        }
+    }
+    /**
+        * @method setImageSource
+        * @description Swaps the image of a figure for a compressed data URL, uploading it first when the imageUpload
+        * option is set. The figure keeps its width, alignment and caption.
+        */
+    async setImageSource(figure, dataUrl, file) {
+        if (this.destroyed || !this.editor.contains(figure)) return;
+        const img = figure.querySelector('img');
+        // The responsive sources and pixel size described the old image
+        ['srcset', 'sizes', 'width', 'height'].forEach(name => img.removeAttribute(name));
+        // So did a height left by resizing (derived from the old aspect ratio); the figure follows the new image
+        figure.style.height = '';
+        if (!this.uploadHandler) {
+            img.src = dataUrl;
+            this.pushUndoState(this.lastContent);
+            return;
+        }
+        const { id, preview } = this.createUploadPreview(dataUrl, file, img.getAttribute('src'));
+        img.src = preview;
+        figure.dataset.uploadId = id;
+        figure.classList.add('jcaret-uploading');
+        await this.uploadImage(id);
+    }
+    /**
+        * @method addEmojiListeners
+        * @description Wires the emoji menu (emoji plugin).
+        */
+    addEmojiListeners() {
+        this.emojiButton.addEventListener('click', e => {
+            e.preventDefault();
+            this.emojiMenu.classList.toggle('hidden');
+        });
+        this.listen(document, 'click', e => {
+            if (!this.emojiButton.contains(e.target) && !this.emojiMenu.contains(e.target)) {
+                this.emojiMenu.classList.add('hidden');
+            }
+        });
+        this.emojiMenu.addEventListener('click', e => {
+            const btn = e.target.closest('button[data-emoji]');
+            if (btn) {
+                this.emojiMenu.classList.add('hidden');
+                this.editor.focus();
+                if (!this.clampToMaxLength(btn.dataset.emoji)) return;
+                document.execCommand('insertText', false, btn.dataset.emoji);
+            }
+        });
+    }
+    /**
+        * @method createCodeLanguageSelect
+        * @description Creates the language selector shown over the current code block (code plugin).
+        */
+    createCodeLanguageSelect() {
+        const select = document.createElement('select');
+        select.className = 'jcaret-code-language hidden absolute border border-gray-300 rounded-md text-xs';
+        select.title = this.i18n.codeLanguage;
+        select.dir = 'ltr';
+        Object.keys(this.codeLanguages).forEach(value => {
+            select.add(new Option(value === 'plaintext' ? this.i18n.plainText : this.codeLanguages[value], value));
+        });
+        this.editorWrapper.classList.add('relative');
+        this.editorWrapper.appendChild(select);
+        return select;
+    }
+    /**
+        * @method addCodeListeners
+        * @description Wires the code block language selector, indentation and highlighting while typing (code plugin).
+        */
+    addCodeListeners() {
+        this.codeLanguageSelect.addEventListener('mousedown', () => this.saveSelection());
+        this.codeLanguageSelect.addEventListener('change', () => this.exec('codeLanguage', this.codeLanguageSelect.value));
+        this.editor.addEventListener('keydown', e => this.onCodeKeyDown(e), true);
+        this.editor.addEventListener('input', e => {
+            if (!e.isComposing) this.highlightCode(this.getCodeBlock());
+        });
+        this.editor.addEventListener('compositionend', () => this.highlightCode(this.getCodeBlock()));
+        this.editor.addEventListener('scroll', () => this.updateCodeLanguageSelect());
+    }
+    /**
+        * @method createFindPanel
+        * @description Creates the find & replace panel shown over the top corner of the editor (find plugin).
+        */
+    createFindPanel() {
+        const panel = document.createElement('div');
+        panel.id = this.scopedId('findPanel');
+        panel.className = `jcaret-find-panel hidden absolute top-2 ${this.dir === 'rtl' ? 'left-2' : 'right-2'} bg-white border border-gray-300 rounded-md shadow-lg z-20 p-2 flex flex-col gap-2 text-sm`;
+        panel.dir = this.dir;
+        const iconButton = (name, title, path) => `<button type="button" id="${this.scopedId(name)}" title="${title}" class="p-1 rounded-md hover:bg-gray-200"><svg class="w-4 h-4 pointer-events-none" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="${path}"/></svg></button>`;
+        const option = (name, label, checked) => `<label class="flex items-center gap-1 cursor-pointer"><input type="checkbox" id="${this.scopedId(name)}"${checked ? ' checked' : ''}>${label}</label>`;
+        panel.innerHTML = `
+            <div class="flex items-center gap-1">
+                <input type="text" id="${this.scopedId('findInput')}" placeholder="${this.i18n.find}" class="w-48 p-1 border border-gray-300 rounded-md">
+                <span id="${this.scopedId('findCount')}" class="text-xs text-gray-500 whitespace-nowrap px-1"></span>
+                ${iconButton('findPrevious', this.i18n.findPrevious, 'M4.5 15.75l7.5-7.5 7.5 7.5')}
+                ${iconButton('findNext', this.i18n.findNext, 'M19.5 8.25l-7.5 7.5-7.5-7.5')}
+                ${iconButton('closeFind', this.i18n.closeFind, 'M6 18L18 6M6 6l12 12')}
+            </div>
+            <div id="${this.scopedId('replaceRow')}" class="flex items-center gap-1">
+                <input type="text" id="${this.scopedId('replaceInput')}" placeholder="${this.i18n.replaceWith}" class="w-48 p-1 border border-gray-300 rounded-md">
+                <button type="button" id="${this.scopedId('replaceOne')}" class="px-2 py-1 rounded-md hover:bg-gray-200 whitespace-nowrap">${this.i18n.replace}</button>
+                <button type="button" id="${this.scopedId('replaceAll')}" class="px-2 py-1 rounded-md hover:bg-gray-200 whitespace-nowrap">${this.i18n.replaceAll}</button>
+            </div>
+            <div class="flex flex-wrap items-center gap-3 text-xs">
+                ${option('findCase', this.i18n.matchCase)}
+                ${option('findWord', this.i18n.wholeWord)}
+                ${option('findRegex', this.i18n.useRegex)}
+                ${option('findArabic', this.i18n.normalizeArabic, this.language === 'ar')}
+            </div>
+        `;
+        this.editorWrapper.classList.add('relative');
+        this.editorWrapper.appendChild(panel);
+        return panel;
+    }
+    /**
+        * @method addFindListeners
+        * @description Wires the find & replace panel (find plugin). Matches are refreshed whenever the content changes.
+        */
+    addFindListeners() {
+        this.findMatches = [];
+        this.findIndex = -1;
+        this.byId('findInput').addEventListener('input', () => this.updateFind());
+        ['findCase', 'findWord', 'findRegex', 'findArabic'].forEach(name => this.byId(name).addEventListener('change', () => this.updateFind()));
+        this.byId('findInput').addEventListener('keydown', e => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            this.moveFindMatch(e.shiftKey ? -1 : 1);
+        });
+        this.byId('replaceInput').addEventListener('keydown', e => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            this.replaceFindMatch();
+        });
+        this.findPanel.addEventListener('keydown', e => {
+            if (e.key !== 'Escape') return;
+            e.preventDefault();
+            this.closeFindPanel();
+        });
+        this.byId('findPrevious').addEventListener('click', () => this.moveFindMatch(-1));
+        this.byId('findNext').addEventListener('click', () => this.moveFindMatch(1));
+        this.byId('closeFind').addEventListener('click', () => this.closeFindPanel());
+        this.byId('replaceOne').addEventListener('click', () => this.replaceFindMatch());
+        this.byId('replaceAll').addEventListener('click', () => this.replaceAllFindMatches());
+        // Typing, undo and redo move the matches
+        this.listen(this.container, 'jcaret:change', e => {
+            if (e.detail.editor === this && !this.findPanel.classList.contains('hidden')) {
+                const current = this.findMatches[this.findIndex];
+                this.updateFind(current ? current.range : this.findStart);
+            }
+        });
+    }
+    /**
+        * @method addTableListeners
+        * @description Wires the table operations menu and the insert table modal (table plugin).
+        */
+    addTableListeners() {
+        this.listen(document, 'click', e => {
+            if (!this.tableOperationsButton.contains(e.target) && !this.tableMenu.contains(e.target)) {
+                this.tableMenu.classList.add('hidden');
+            }
+        });
+        this.tableOperationsButton.addEventListener('click', e => {
+            e.preventDefault();
+            this.tableMenu.classList.toggle('hidden');
+            if (!this.tableMenu.classList.contains('hidden')) {
+                this.updateTableMenu();
+            }
+        });
+        this.cellBackgroundInput.addEventListener('mousedown', () => this.saveSelection());
+        this.cellBackgroundInput.addEventListener('change', () => this.exec('cellBackground', this.cellBackgroundInput.value));
+        // Column widths: drag the end edge of a cell
+        this.editor.addEventListener('mousemove', e => {
+            if (!this.columnResize) this.editor.classList.toggle('jcaret-col-resize', !!this.getColumnResizeTarget(e));
+        });
+        this.editor.addEventListener('mousedown', e => this.startColumnResize(e));
+        this.listen(document, 'mousemove', e => this.moveColumnResize(e));
+        this.listen(document, 'mouseup', () => this.endColumnResize());
+        // Cell selection: drag across cells, Shift+click or Shift+arrows out of a cell
+        this.cellSelectionOverlay = document.createElement('div');
+        this.cellSelectionOverlay.className = 'jcaret-cell-selection hidden absolute pointer-events-none';
+        this.editorWrapper.classList.add('relative');
+        this.editorWrapper.appendChild(this.cellSelectionOverlay);
+        this.editor.addEventListener('mousedown', e => this.startCellSelection(e));
+        this.listen(document, 'mousemove', e => this.moveCellSelection(e));
+        this.listen(document, 'mouseup', () => this.endCellSelection());
+        this.listen(document, 'selectionchange', () => this.syncCellSelection());
+        this.editor.addEventListener('keydown', e => this.onCellSelectionKeyDown(e), true);
+        this.editor.addEventListener('keydown', e => this.onTableKeyDown(e), true);
+        this.editor.addEventListener('copy', e => this.onCellSelectionCopy(e));
+        this.editor.addEventListener('cut', e => this.onCellSelectionCopy(e));
+        this.editor.addEventListener('scroll', () => this.updateCellSelectionOverlay());
+        this.editor.addEventListener('input', () => this.updateCellSelectionOverlay());
+        this.byId('tableFile').addEventListener('change', async e => {
+            const file = e.target.files[0];
+            this.byId('tableFileError').classList.add('hidden');
+            if (!file) return;
+            try {
+                this.byId('tableData').value = await file.text();
+            } catch (error) {
+                this.byId('tableFileError').classList.remove('hidden');
+                this.emit('tableImportError', { file, error });
+            }
+        });
+        this.byId('saveTable').addEventListener('click', () => {
+            const text = this.byId('tableData').value;
+            let data;
+            if (text.trim()) {
+                data = this.parseDelimitedText(text);
+            } else {
+                let rows = parseInt(this.byId('rowsInput').value);
+                let cols = parseInt(this.byId('colsInput').value);
+                rows = Math.max(1, isNaN(rows) ? 1 : rows);
+                cols = Math.min(this.maxTableColumns, Math.max(1, isNaN(cols) ? 1 : cols));
+                data = Array.from({ length: rows }, () => new Array(cols).fill(''));
+            }
+            this.tableModal.classList.add('hidden');
+            this.editor.focus();
+            this.restoreSelection();
+            this.insertTable(data, { header: this.byId('tableHeader').checked });
+        });
+        this.byId('cancelTable').addEventListener('click', () => {
+            this.tableModal.classList.add('hidden');
+        });
+        this.byId('rowsInput').addEventListener('input', () => {
+            let val = parseInt(this.byId('rowsInput').value);
+            if (isNaN(val) || val < 1) this.byId('rowsInput').value = 1;
+        });
+        this.byId('colsInput').addEventListener('input', () => {
+            let val = parseInt(this.byId('colsInput').value);
+            if (isNaN(val) || val < 1) this.byId('colsInput').value = 1;
+            if (val > this.maxTableColumns) this.byId('colsInput').value = this.maxTableColumns;
+        });
+    }
+    /**
+        * @method getColumnResizeTarget
+        * @description Returns the cell whose end edge (right in LTR tables, left in RTL ones) is under the pointer.
+        */
+    getColumnResizeTarget(e) {
+        const cell = e.target instanceof Element ? e.target.closest('td, th') : null;
+        if (!cell || !this.editor.contains(cell)) return null;
+        const rect = cell.getBoundingClientRect();
+        const rtl = getComputedStyle(cell.closest('table')).direction === 'rtl';
+        return Math.abs(e.clientX - (rtl ? rect.left : rect.right)) <= 4 ? { cell, rtl } : null;
+    }
+    /**
+        * @method startColumnResize
+        * @description Starts dragging a column width (table plugin).
+        */
+    startColumnResize(e) {
+        const target = this.getColumnResizeTarget(e);
+        if (!target) return;
+        e.preventDefault();
+        const table = target.cell.closest('table');
+        const grid = this.getTableGrid(table);
+        const pos = this.getCellPosition(grid, target.cell);
+        const col = pos.col + target.cell.colSpan - 1;
+        // Width is stored on the single-column cells of the column
+        const cells = [...new Set(grid.map(row => row[col]))].filter(cell => cell && cell.colSpan === 1);
+        if (!cells.length) return;
+        this.columnResize = { cells, rtl: target.rtl, startX: e.clientX, startWidth: cells[0].getBoundingClientRect().width };
+    }
+    /**
+        * @method moveColumnResize
+        * @description Applies the dragged column width (table plugin).
+        */
+    moveColumnResize(e) {
+        if (!this.columnResize) return;
+        const { cells, rtl, startX, startWidth } = this.columnResize;
+        const delta = (e.clientX - startX) * (rtl ? -1 : 1);
+        const width = Math.max(70, Math.round(startWidth + delta));
+        cells.forEach(cell => { cell.style.width = `${width}px`; });
+    }
+    /**
+        * @method endColumnResize
+        * @description Ends a column width drag as one undo step (table plugin).
+        */
+    endColumnResize() {
+        if (!this.columnResize) return;
+        this.columnResize = null;
+        this.editor.classList.remove('jcaret-col-resize');
+        this.pushUndoState(this.lastContent);
+    }
+    /**
+        * @method getSelectionCell
+        * @description Returns the editor table cell holding a node, or null.
+        */
+    getSelectionCell(node) {
+        if (node && node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+        return node && this.editor.contains(node) ? node.closest('td, th') : null;
+    }
+    /**
+        * @method setCellSelection
+        * @description Selects the rectangle of cells between two cells of the same table (table plugin). The rectangle
+        * grows until no merged cell sticks out of it; selecting a single cell clears the cell selection.
+        * @param {HTMLTableCellElement} anchor The cell the selection starts from.
+        * @param {HTMLTableCellElement} focus The cell the selection extends to.
+        */
+    setCellSelection(anchor, focus) {
+        const table = anchor.closest('table');
+        if (anchor === focus || focus.closest('table') !== table) {
+            this.clearCellSelection();
+            return;
+        }
+        const grid = this.getTableGrid(table);
+        const start = this.getCellPosition(grid, anchor);
+        const end = this.getCellPosition(grid, focus);
+        let top = Math.min(start.row, end.row);
+        let left = Math.min(start.col, end.col);
+        let bottom = Math.max(start.row + anchor.rowSpan, end.row + focus.rowSpan) - 1;
+        let right = Math.max(start.col + anchor.colSpan, end.col + focus.colSpan) - 1;
+        let cells = [];
+        let grown = true;
+        while (grown) {
+            grown = false;
+            cells = [];
+            bottom = Math.min(bottom, grid.length - 1);
+            for (let r = top; r <= bottom; r++) {
+                for (let c = left; c <= right; c++) {
+                    const cell = grid[r][c];
+                    if (!cell || cells.includes(cell)) continue;
+                    cells.push(cell);
+                    const pos = this.getCellPosition(grid, cell);
+                    const cellBottom = pos.row + cell.rowSpan - 1;
+                    const cellRight = pos.col + cell.colSpan - 1;
+                    if (pos.row < top || pos.col < left || cellBottom > bottom || cellRight > right) {
+                        top = Math.min(top, pos.row);
+                        left = Math.min(left, pos.col);
+                        bottom = Math.max(bottom, cellBottom);
+                        right = Math.max(right, cellRight);
+                        grown = true;
+                    }
+                }
+            }
+        }
+        this.cellSelection = { table, anchor, focus, top, left, bottom, right, cells };
+        this.editor.classList.add('jcaret-cell-selecting');
+        this.updateCellSelectionOverlay();
+    }
+    /**
+        * @method clearCellSelection
+        * @description Drops the cell selection (table plugin).
+        */
+    clearCellSelection() {
+        if (!this.cellSelection) return;
+        this.cellSelection = null;
+        this.editor.classList.remove('jcaret-cell-selecting');
+        this.cellSelectionOverlay.classList.add('hidden');
+    }
+    /**
+        * @method updateCellSelectionOverlay
+        * @description Draws the cell selection highlight over the selected cells, clipped to the visible editor area.
+        * The highlight lives outside the content so it never reaches the undo history or getHTML().
+        */
+    updateCellSelectionOverlay() {
+        const overlay = this.cellSelectionOverlay;
+        if (!overlay) return;
+        if (this.cellSelection && !this.editor.contains(this.cellSelection.table)) this.clearCellSelection();
+        if (!this.cellSelection) return;
+        const rects = this.cellSelection.cells.map(cell => cell.getBoundingClientRect());
+        const editorRect = this.editor.getBoundingClientRect();
+        const wrapperRect = this.editorWrapper.getBoundingClientRect();
+        const top = Math.max(Math.min(...rects.map(r => r.top)), editorRect.top);
+        const bottom = Math.min(Math.max(...rects.map(r => r.bottom)), editorRect.bottom);
+        const left = Math.max(Math.min(...rects.map(r => r.left)), editorRect.left);
+        const right = Math.min(Math.max(...rects.map(r => r.right)), editorRect.right);
+        overlay.classList.toggle('hidden', bottom <= top || right <= left);
+        overlay.style.top = `${top - wrapperRect.top}px`;
+        overlay.style.left = `${left - wrapperRect.left}px`;
+        overlay.style.width = `${right - left}px`;
+        overlay.style.height = `${bottom - top}px`;
+    }
+    /**
+        * @method collapseToCell
+        * @description Puts the caret at the start of a cell, so the native selection never spans the selected cells.
+        */
+    collapseToCell(cell) {
+        const sel = window.getSelection();
+        const range = document.createRange();
+        range.selectNodeContents(cell);
+        range.collapse(true);
+        sel.removeAllRanges();
+        sel.addRange(range);
+        this.saveSelection();
+    }
+    /**
+        * @method startCellSelection
+        * @description Starts a cell selection drag, or extends the cell selection on Shift+click (table plugin).
+        */
+    startCellSelection(e) {
+        if (e.button !== 0 || this.columnResize) return;
+        const cell = this.getSelectionCell(e.target);
+        if (e.shiftKey && cell && this.cellSelection && cell.closest('table') === this.cellSelection.table) {
+            e.preventDefault();
+            this.setCellSelection(this.cellSelection.anchor, cell);
+            return;
+        }
+        this.clearCellSelection();
+        this.cellDrag = cell;
+    }
+    /**
+        * @method moveCellSelection
+        * @description Selects the cells between the drag start and the cell under the pointer (table plugin).
+        */
+    moveCellSelection(e) {
+        if (!this.cellDrag) return;
+        if (!(e.buttons & 1)) {
+            this.endCellSelection();
+            return;
+        }
+        const cell = this.getSelectionCell(e.target);
+        if (!cell || cell.closest('table') !== this.cellDrag.closest('table')) return;
+        // Back in the start cell the drag selects text again
+        this.setCellSelection(this.cellDrag, cell);
+    }
+    /**
+        * @method endCellSelection
+        * @description Ends a cell selection drag (table plugin).
+        */
+    endCellSelection() {
+        if (!this.cellDrag) return;
+        const anchor = this.cellDrag;
+        this.cellDrag = null;
+        if (this.cellSelection) this.collapseToCell(anchor);
+    }
+    /**
+        * @method syncCellSelection
+        * @description Turns a native selection that crosses cells of one table (Shift+arrows, Shift+click) into a cell
+        * selection (table plugin).
+        */
+    syncCellSelection() {
+        if (this.cellDrag) return;
+        const sel = window.getSelection();
+        if (!sel.rangeCount || sel.isCollapsed) return;
+        const anchor = this.getSelectionCell(sel.anchorNode);
+        const focus = this.getSelectionCell(sel.focusNode);
+        if (!anchor || !focus || anchor === focus || anchor.closest('table') !== focus.closest('table')) return;
+        this.setCellSelection(anchor, focus);
+        this.collapseToCell(anchor);
+    }
+    /**
+        * @method onCellSelectionKeyDown
+        * @description Keys for an active cell selection (table plugin): Shift+arrows resize it, Delete and Backspace
+        * clear the cells, shortcuts keep it and any other key drops it.
+        */
+    onCellSelectionKeyDown(e) {
+        if (!this.cellSelection) return;
+        const { table, anchor, focus } = this.cellSelection;
+        if (e.shiftKey && ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            const grid = this.getTableGrid(table);
+            let { row, col } = this.getCellPosition(grid, focus);
+            if (e.key === 'ArrowUp') {
+                row--;
+            } else if (e.key === 'ArrowDown') {
+                row += focus.rowSpan;
+            } else {
+                // Columns run right to left in RTL tables
+                const forward = (e.key === 'ArrowRight') !== (getComputedStyle(table).direction === 'rtl');
+                col = forward ? col + focus.colSpan : col - 1;
+            }
+            const next = grid[row] && grid[row][col];
+            if (next) this.setCellSelection(anchor, next);
+            return;
+        }
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            this.clearSelectedCells();
+            return;
+        }
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key) || e.ctrlKey || e.metaKey) return;
+        this.clearCellSelection();
+    }
+    /**
+        * @method onTableKeyDown
+        * @description Keyboard navigation in tables (table plugin). Tab and Shift+Tab move to the next and previous cell in
+        * reading order, which runs right to left in RTL tables; Tab in the last cell adds a row like insertRowBelow.
+        * Arrow keys at the outer edge of the table leave it, and Delete or Backspace in an empty cell do nothing.
+        */
+    onTableKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        const arrows = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+        if (!['Tab', 'Delete', 'Backspace', ...arrows].includes(e.key)) return;
+        const sel = window.getSelection();
+        if (!sel.rangeCount) return;
+        const cell = this.getSelectionCell(sel.anchorNode);
+        if (!cell) return;
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            this.moveToCell(cell, e.shiftKey ? -1 : 1);
+            return;
+        }
+        if (e.shiftKey || !sel.isCollapsed) return;
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            if (cell.innerHTML === '<br>' || cell.innerHTML === '') e.preventDefault();
+            return;
+        }
+        const range = sel.getRangeAt(0);
+        const before = document.createRange();
+        before.selectNodeContents(cell);
+        before.setEnd(range.startContainer, range.startOffset);
+        const after = document.createRange();
+        after.selectNodeContents(cell);
+        after.setStart(range.endContainer, range.endOffset);
+        const textBefore = this.getTextWithBreaks(before.cloneContents(), false);
+        const textAfter = this.getTextWithBreaks(after.cloneContents());
+        const table = cell.closest('table');
+        const grid = this.getTableGrid(table);
+        const pos = this.getCellPosition(grid, cell);
+        const cells = table.querySelectorAll('td, th');
+        let exit = null;
+        if (e.key === 'ArrowDown') {
+            if (pos.row + cell.rowSpan >= grid.length && !textAfter.includes('\n')) exit = 'after';
+        } else if (e.key === 'ArrowUp') {
+            if (pos.row === 0 && !textBefore.includes('\n')) exit = 'before';
+        } else {
+            const forward = (e.key === 'ArrowRight') !== (getComputedStyle(table).direction === 'rtl');
+            if (forward && cell === cells[cells.length - 1] && !textAfter) exit = 'after';
+            if (!forward && cell === cells[0] && !textBefore) exit = 'before';
+        }
+        if (!exit) return;
+        e.preventDefault();
+        this.exitTable(table, exit === 'after');
+    }
+    /**
+        * @method moveToCell
+        * @description Selects the contents of the cell `step` cells away from a cell in reading order (table plugin).
+        * Moving past the last cell appends a row first.
+        * @param {HTMLTableCellElement} cell
+        * @param {number} step 1 for the next cell, -1 for the previous one.
+        */
+    moveToCell(cell, step) {
+        const table = cell.closest('table');
+        let cells = Array.from(table.querySelectorAll('td, th'));
+        const index = cells.indexOf(cell) + step;
+        if (index < 0) return;
+        if (index >= cells.length) {
+            // Pending typing stays a separate undo step
+            this.debouncedPush.cancel();
+            this.pushUndoState(this.lastContent);
+            if (!this.editTable('insertRowBelow')) return;
+            this.pushUndoState(this.lastContent);
+            cells = Array.from(table.querySelectorAll('td, th'));
+        }
+        const target = cells[index];
+        if (!target) return;
+        const sel = window.getSelection();
+        const range = document.createRange();
+        range.selectNodeContents(target);
+        sel.removeAllRanges();
+        sel.addRange(range);
+        this.updateToolbarState();
+    }
+    /**
+        * @method exitTable
+        * @description Moves the caret to the block after (or before) a table's figure, adding an empty paragraph when there is none.
+        * @param {HTMLTableElement} table
+        * @param {boolean} after
+        */
+    exitTable(table, after) {
+        const figure = table.closest('figure') || table;
+        let target = after ? figure.nextElementSibling : figure.previousElementSibling;
+        if (!target || target.matches('figure, table')) {
+            this.debouncedPush.cancel();
+            this.pushUndoState(this.lastContent);
+            target = document.createElement('p');
+            target.innerHTML = '<br>';
+            figure.parentNode.insertBefore(target, after ? figure.nextSibling : figure);
+            this.pushUndoState(this.lastContent);
+        }
+        if (this.selectedResizable === figure) {
+            this.removeResizeHandles(figure);
+            this.selectedResizable = null;
+        }
+        const sel = window.getSelection();
+        const range = document.createRange();
+        range.selectNodeContents(target);
+        range.collapse(after);
+        sel.removeAllRanges();
+        sel.addRange(range);
+        this.updateToolbarState();
+    }
+    /**
+        * @method clearSelectedCells
+        * @description Empties the selected cells as one undo step (table plugin).
+        */
+    clearSelectedCells() {
+        if (!this.cellSelection) return;
+        this.cellSelection.cells.forEach(cell => { cell.innerHTML = '<br>'; });
+        this.collapseToCell(this.cellSelection.anchor);
+        this.pushUndoState(this.lastContent);
+        this.updateCellSelectionOverlay();
+    }
+    /**
+        * @method applyCommandToCells
+        * @description 'command' hook of the table plugin: applies text formatting and alignment to every selected cell.
+        * Toggles follow the first cell, so bold on a partly bold selection makes every cell bold.
+        * @param {{cmd: string, value: *, handled: boolean, changed: boolean}} command
+        */
+    applyCommandToCells(command) {
+        if (command.handled || !this.cellSelection) return;
+        if (!this.editor.contains(this.cellSelection.table)) {
+            this.clearCellSelection();
+            return;
+        }
+        const { cmd, value } = command;
+        const { cells, anchor } = this.cellSelection;
+        const toggles = ['bold', 'italic', 'underline', 'strikethrough', 'superscript', 'subscript'];
+        const formats = [...toggles, 'removeFormat', 'foreColor', 'backColor', 'fontName', 'fontSize'];
+        const aligns = { justifyLeft: 'left', justifyCenter: 'center', justifyRight: 'right', justifyFull: 'justify' };
+        const selectCell = cell => {
+            const sel = window.getSelection();
+            const range = document.createRange();
+            range.selectNodeContents(cell);
+            sel.removeAllRanges();
+            sel.addRange(range);
+        };
+        if (aligns[cmd]) {
+            cells.forEach(cell => {
+                cell.querySelectorAll('[style*="text-align"]').forEach(el => el.style.removeProperty('text-align'));
+                cell.style.textAlign = aligns[cmd];
+            });
+        } else if (cmd === 'increaseFontSize' || cmd === 'decreaseFontSize') {
+            cells.forEach(cell => {
+                selectCell(cell);
+                this.changeFontSize(cmd === 'increaseFontSize' ? 2 : -2);
+            });
+        } else if (formats.includes(cmd)) {
+            selectCell(cells[0]);
+            const on = toggles.includes(cmd) && document.queryCommandState(cmd);
+            cells.forEach(cell => {
+                selectCell(cell);
+                if (toggles.includes(cmd) && document.queryCommandState(cmd) !== on) return;
+                document.execCommand(cmd, false, value);
+            });
+        } else {
+            return;
+        }
+        this.collapseToCell(anchor);
+        this.updateCellSelectionOverlay();
+        command.handled = true;
+        command.changed = true;
+    }
+    /**
+        * @method getCellSelectionGrid
+        * @description Returns the selected rectangle row by row; each merged cell appears once, at its top-left slot.
+        * @returns {Array<Array<HTMLTableCellElement|null>>}
+        */
+    getCellSelectionGrid() {
+        const { table, top, left, bottom, right } = this.cellSelection;
+        const grid = this.getTableGrid(table);
+        const rows = [];
+        for (let r = top; r <= bottom; r++) {
+            const row = [];
+            for (let c = left; c <= right; c++) {
+                const cell = grid[r][c];
+                const isStart = cell && (r === 0 || grid[r - 1][c] !== cell) && (c === 0 || grid[r][c - 1] !== cell);
+                row.push(isStart ? cell : null);
+            }
+            rows.push(row);
+        }
+        return rows;
+    }
+    /**
+        * @method getCellSelectionText
+        * @description Returns the selected cells as tab separated values; values holding tabs, line breaks or quotes are quoted.
+        */
+    getCellSelectionText() {
+        const cellText = cell => {
+            const text = cell ? this.getTextWithBreaks(cell) : '';
+            return /[\t\n"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return this.getCellSelectionGrid().map(row => row.map(cellText).join('\t')).join('\n');
+    }
+    /**
+        * @method getTextWithBreaks
+        * @description Returns the text of an element or fragment (a cell, a preformatted block) with a line break for
+        * every br and between blocks.
+        * @param {Node} node
+        * @param {boolean} [trim=true] Drops trailing line breaks (the placeholder br of an empty line).
+        */
+    getTextWithBreaks(node, trim = true) {
+        const clone = node.cloneNode(true);
+        clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+        clone.querySelectorAll('p, div, li').forEach(block => {
+            if (block.nextSibling) block.append('\n');
+        });
+        return trim ? clone.textContent.replace(/\n+$/, '') : clone.textContent;
+    }
+    /**
+        * @method getCellSelectionHTML
+        * @description Returns the selected cells as a clean HTML table, spans included.
+        */
+    getCellSelectionHTML() {
+        const wrapper = document.createElement('div');
+        const table = document.createElement('table');
+        this.getCellSelectionGrid().forEach(row => {
+            const tr = table.insertRow();
+            row.filter(Boolean).forEach(cell => tr.appendChild(cell.cloneNode(true)));
+        });
+        wrapper.appendChild(table);
+        return this.cleanContent(wrapper).innerHTML;
+    }
+    /**
+        * @method onCellSelectionCopy
+        * @description Copies (or cuts) the selected cells as TSV and HTML, so they paste as a block into spreadsheets (table plugin).
+        */
+    onCellSelectionCopy(e) {
+        if (!this.cellSelection || !e.clipboardData) return;
+        e.preventDefault();
+        e.clipboardData.setData('text/plain', this.getCellSelectionText());
+        e.clipboardData.setData('text/html', this.getCellSelectionHTML());
+        if (e.type === 'cut') this.clearSelectedCells();
+    }
+    /**
+        * @method openTableModal
+        * @description Opens the insert table dialog for the current selection (table plugin).
+        */
+    openTableModal() {
+        this.saveSelection();
+        this.tableModal.classList.remove('hidden');
+        this.byId('rowsInput').value = '3';
+        this.byId('colsInput').value = '3';
+        this.byId('tableData').value = '';
+        this.byId('tableFile').value = '';
+        this.byId('tableFileError').classList.add('hidden');
+        this.byId('tableHeader').checked = false;
+        this.byId('rowsInput').focus();
+    }
+    /**
+        * @method insertTable
+        * @description Inserts a table at the selection as one undo step (table plugin). Values fill the columns in
+        * reading order, so the first value of a row lands in the rightmost column of an RTL table, like a spreadsheet.
+        * Columns past maxTableColumns are dropped with a warning.
+        * @param {string[][]} data Cell texts row by row; line breaks in a value become br.
+        * @param {object} [options]
+        * @param {boolean} [options.header=false] Turns the first row into column headers.
+        * @returns {HTMLElement|null} The table figure.
+        */
+    insertTable(data, options = {}) {
+        if (!data.length) return null;
+        let cols = Math.max(1, ...data.map(row => row.length));
+        if (cols > this.maxTableColumns) {
+            alert(this.i18n.maxColsAlert.replace('{max}', this.maxTableColumns));
+            cols = this.maxTableColumns;
+        }
+        const rows = data.length;
+        const table = document.createElement('table');
+        data.forEach((values, r) => {
+            const tr = table.insertRow();
+            for (let c = 0; c < cols; c++) {
+                const header = options.header && r === 0;
+                const cell = document.createElement(header ? 'th' : 'td');
+                if (header) cell.setAttribute('scope', 'col');
+                cell.setAttribute('contenteditable', 'true');
+                cell.setAttribute('style', 'min-width:70px; min-height:30px;');
+                const lines = String(values[c] || '').split('\n');
+                lines.forEach((line, i) => {
+                    if (i) cell.appendChild(document.createElement('br'));
+                    if (line) cell.appendChild(document.createTextNode(line));
+                });
+                if (!cell.textContent) cell.innerHTML = '<br>';
+                tr.appendChild(cell);
+            }
+        });
+        const figureHTML = `<figure class="resizable center" contenteditable="false" id="${this.scopedId('temp-new-table')}">${table.outerHTML}<figcaption class="caption" contenteditable="true">${this.i18n.caption}</figcaption></figure>`; // Use translation
+        // Pending typing becomes its own undo step, so the table can be undone on its own
+        this.debouncedPush.cancel();
+        this.pushUndoState(this.lastContent);
+        document.execCommand('insertHTML', false, figureHTML);
+        const newFigure = this.byId('temp-new-table');
+        if (newFigure) {
+            newFigure.removeAttribute('id');
+            this.addResizeHandle(newFigure);
+            this.selectedResizable = newFigure;
+            const p = document.createElement('p');
+            p.innerHTML = '<br>';
+            newFigure.parentNode.insertBefore(p, newFigure.nextSibling);
+            const sel = window.getSelection();
+            const range = document.createRange();
+            range.setStart(p, 0);
+            range.collapse(true);
+            sel.removeAllRanges();
+            sel.addRange(range);
+        }
+        this.pushUndoState(this.lastContent);
+        if (newFigure) {
+            this.emit('tableInserted', { figure: newFigure, table: newFigure.querySelector('table'), rows, cols });
+        }
+        this.getCommandButton('justifyFull').style.display = "none";
+        this.updateToolbarState();
+        return newFigure;
+    }
+    /**
+        * @method parseDelimitedText
+        * @description Parses CSV or TSV text into rows of values. Quoted values may hold delimiters, line breaks and
+        * doubled quotes. Without a delimiter the first line decides: tab, then semicolon or comma, whichever is more common.
+        * @param {string} text
+        * @param {string} [delimiter]
+        * @returns {string[][]}
+        */
+    parseDelimitedText(text, delimiter) {
+        text = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        if (!delimiter) {
+            const firstLine = text.split('\n')[0];
+            delimiter = firstLine.includes('\t') ? '\t' : (firstLine.split(';').length > firstLine.split(',').length ? ';' : ',');
+        }
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch !== '"') value += ch;
+                else if (text[i + 1] === '"') value += text[++i];
+                else quoted = false;
+            } else if (ch === '"' && value === '') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(value);
+                value = '';
+            } else if (ch === '\n') {
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += ch;
+            }
+        }
+        if (value || row.length) rows.push([...row, value]);
+        while (rows.length && rows[rows.length - 1].every(v => !v.trim())) rows.pop();
+        return rows;
+    }
+    /**
+        * @method getTableCSV
+        * @description Returns a table as CSV in reading order. A merged cell's text goes in its top-left slot and the
+        * slots it covers stay empty, so the columns line up in a spreadsheet.
+        * @param {HTMLTableElement} table
+        * @returns {string}
+        */
+    getTableCSV(table) {
+        const grid = this.getTableGrid(table);
+        return grid.map((row, r) => row.map((cell, c) => {
+            if (!cell || (r && grid[r - 1][c] === cell) || (c && row[c - 1] === cell)) return '';
+            const text = this.getTextWithBreaks(cell);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n');
+    }
+    /**
+        * @method downloadTableCSV
+        * @description Downloads the table holding the caret (or the selected table) as a UTF-8 CSV file (table plugin).
+        * The byte order mark lets spreadsheet apps read Arabic text correctly.
+        * @param {string} [filename='table.csv']
+        */
+    downloadTableCSV(filename = 'table.csv') {
+        this.tableMenu.classList.add('hidden');
+        const sel = window.getSelection();
+        const cell = sel.rangeCount ? this.getSelectionCell(sel.anchorNode) : null;
+        const table = cell ? cell.closest('table') : this.selectedResizable && this.selectedResizable.querySelector('table');
+        if (!table) return;
+        const url = URL.createObjectURL(new Blob(['\uFEFF' + this.getTableCSV(table)], { type: 'text/csv;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    /**
+        * @method editTable
+        * @description Runs a table menu operation on the cell holding the caret (table plugin). Row and column
+        * operations follow the table grid, so merged cells grow, shrink or move instead of breaking the layout.
+        * With a cell selection, colors and alignments apply to every selected cell and the merges merge the selection.
+        * @param {string} cmd insertRowAbove, insertRowBelow, insertColumnLeft, insertColumnRight, deleteRow, deleteColumn,
+        * deleteTable, mergeCellRight, mergeCellDown, splitCell, toggleHeaderRow, toggleHeaderColumn, cellBackground,
+        * cellAlignTop, cellAlignMiddle or cellAlignBottom.
+        * @param {string|null} [val=null] The color for cellBackground (null clears it).
+        * @returns {boolean} Whether the table changed.
+        */
+    editTable(cmd, val = null) {
+        this.tableMenu.classList.add('hidden');
+        const sel = window.getSelection();
+        if (!sel.rangeCount) return false;
+        let node = sel.anchorNode;
+        if (node && node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+        const cell = node && this.editor.contains(node) ? node.closest('td, th') : null;
+        if (!cell) {
+            if (cmd === 'deleteTable' && this.selectedResizable && this.selectedResizable.querySelector('table')) {
+                this.selectedResizable.remove();
+                this.selectedResizable = null;
+                return true;
+            }
+            return false;
+        }
+        const table = cell.closest('table');
+        const grid = this.getTableGrid(table);
+        const pos = this.getCellPosition(grid, cell);
+        const rtl = getComputedStyle(table).direction === 'rtl';
+        const selection = this.cellSelection && this.cellSelection.table === table ? this.cellSelection : null;
+        const cells = selection ? selection.cells : [cell];
+        const removeTable = () => {
+            (table.closest('.resizable') || table).remove();
+            this.selectedResizable = null;
+        };
+        if (cmd === 'insertRowAbove') {
+            this.insertTableRow(table, grid, pos.row);
+        } else if (cmd === 'insertRowBelow') {
+            this.insertTableRow(table, grid, pos.row + cell.rowSpan);
+        } else if (cmd === 'insertColumnLeft' || cmd === 'insertColumnRight') {
+            if (grid[0].length >= this.maxTableColumns) {
+                alert(this.i18n.maxColsAlert.replace('{max}', this.maxTableColumns));
+                return false;
             }
+            // Columns run right to left in RTL tables
+            const before = (cmd === 'insertColumnLeft') !== rtl;
+            this.insertTableColumn(table, grid, before ? pos.col : pos.col + cell.colSpan);
+        } else if (cmd === 'deleteRow') {
+            this.deleteTableRow(table, grid, pos.row);
+            if (table.rows.length === 0) removeTable();
+        } else if (cmd === 'deleteColumn') {
+            this.deleteTableColumn(table, grid, pos.col);
+            if (!table.querySelector('td, th')) removeTable();
+        } else if (cmd === 'deleteTable') {
+            removeTable();
+        } else if (selection && (cmd === 'mergeCellRight' || cmd === 'mergeCellDown')) {
+            // Refused when a merged cell sticks out of the range
+            if (!this.mergeTableCells(table, selection.top, selection.left, selection.bottom, selection.right)) return false;
+            this.collapseToCell(this.getTableGrid(table)[selection.top][selection.left]);
+        } else if (cmd === 'mergeCellRight' || cmd === 'mergeCellDown') {
+            const neighbor = this.getMergeNeighbor(grid, cell, cmd === 'mergeCellDown' ? 'down' : (rtl ? 'before' : 'after'));
+            if (!neighbor) return false;
+            const other = this.getCellPosition(grid, neighbor);
+            const merged = this.mergeTableCells(table, Math.min(pos.row, other.row), Math.min(pos.col, other.col),
+                Math.max(pos.row + cell.rowSpan, other.row + neighbor.rowSpan) - 1, Math.max(pos.col + cell.colSpan, other.col + neighbor.colSpan) - 1);
+            if (!merged) return false;
+        } else if (cmd === 'splitCell') {
+            if (cell.colSpan === 1 && cell.rowSpan === 1) return false;
+            this.splitTableCell(table, grid, cell);
+        } else if (cmd === 'toggleHeaderRow') {
+            this.toggleTableHeader(table, 'row');
+        } else if (cmd === 'toggleHeaderColumn') {
+            this.toggleTableHeader(table, 'column');
+        } else if (cmd === 'cellBackground') {
+            cells.forEach(c => { c.style.backgroundColor = val || ''; });
+        } else if (cmd === 'cellAlignTop' || cmd === 'cellAlignMiddle' || cmd === 'cellAlignBottom') {
+            cells.forEach(c => { c.style.verticalAlign = cmd.slice('cellAlign'.length).toLowerCase(); });
+        } else {
+            return false;
+        }
+        cells.forEach(c => {
+            if (c.getAttribute('style') === '') c.removeAttribute('style');
+        });
+        // Structural changes end the cell selection
+        if (selection && cmd !== 'cellBackground' && !cmd.startsWith('cellAlign')) this.clearCellSelection();
+        this.updateCellSelectionOverlay();
+        return true;
+    }
+    /**
+        * @method getTableGrid
+        * @description Maps a table to a grid of rows and columns in which merged cells fill every slot they cover.
+        * @param {HTMLTableElement} table
+        * @returns {HTMLTableCellElement[][]}
+        */
+    getTableGrid(table) {
+        const rows = Array.from(table.rows);
+        const grid = rows.map(() => []);
+        rows.forEach((row, r) => {
+            let c = 0;
+            Array.from(row.cells).forEach(cell => {
+                while (grid[r][c]) c++;
+                const rowSpan = Math.min(Math.max(cell.rowSpan, 1), rows.length - r);
+                for (let i = 0; i < rowSpan; i++) {
+                    for (let j = 0; j < Math.max(cell.colSpan, 1); j++) grid[r + i][c + j] = cell;
+                }
+                c += Math.max(cell.colSpan, 1);
+            });
+        });
+        // Ragged rows are padded so every row has the same number of columns
+        const width = Math.max(0, ...grid.map(row => row.length));
+        grid.forEach(row => {
+            for (let c = 0; c < width; c++) row[c] = row[c] || null;
+        });
+        return grid;
+    }
+    /**
+        * @method getCellPosition
+        * @description Returns the top-left grid slot of a cell.
+        * @returns {{row: number, col: number}|null}
+        */
+    getCellPosition(grid, cell) {
+        for (let row = 0; row < grid.length; row++) {
+            const col = grid[row].indexOf(cell);
+            if (col !== -1) return { row, col };
+        }
+        return null;
+    }
+    /**
+        * @method createTableCell
+        * @description Creates an empty cell that copies a reference cell's tag, width and alignment but not its spans.
+        */
+    createTableCell(reference, tag = reference ? reference.tagName.toLowerCase() : 'td') {
+        const cell = document.createElement(tag);
+        if (reference) {
+            Array.from(reference.attributes).forEach(attr => {
+                if (!['colspan', 'rowspan', 'id'].includes(attr.name)) cell.setAttribute(attr.name, attr.value);
+            });
+            if (tag !== 'th') cell.removeAttribute('scope');
+        }
+        cell.contentEditable = 'true';
+        cell.innerHTML = '<br>';
+        return cell;
+    }
+    /**
+        * @method insertCellAt
+        * @description Inserts a cell (or fragment) into a row before the first cell that starts at or after a grid column.
+        */
+    insertCellAt(grid, row, col, cell) {
+        const next = Array.from(row.cells).find(other => {
+            const pos = this.getCellPosition(grid, other);
+            return pos && pos.col >= col;
         });
-        oListBtn.addEventListener("click", function() {
-            // Check if the button is CURRENTLY active (meaning we are about to turn the list OFF)
-            if (oListBtn.classList.contains("is-active")) {
-                setTimeout(() => {
-                    const selection = window.getSelection();
-                    if (!selection.rangeCount) return;
-                    let node = selection.anchorNode;
-                    
-                    // Handle text nodes
-                    if (node.nodeType === 3) node = node.parentNode;
-                    
-                    // 2. NOW we look for the P (because the list is gone now)
-                    const pElement = node.closest('p');
-                    
-                    if (pElement) {
-                        // ... (Your existing unwrapping and normalization logic)
-                        const spans = pElement.querySelectorAll('span');
-                        spans.forEach(span => {
-                            span.replaceWith(...span.childNodes);
-                        });
-                        pElement.normalize(); // 5. Merge text nodes
-                        // --- 6. NEW CODE TO PUSH CARET TO END ---
-                        const range = document.createRange();
-                        
-                        // Set the range end (and start) to the end of the P element's content.
-                        // pElement.childNodes.length ensures the offset is after the last child.
-                        range.setStart(pElement, pElement.childNodes.length);
-                        range.collapse(true); // Collapse range to a single point (the caret)
-                        // Apply the new range to the selection
-                        selection.removeAllRanges();
-                        selection.addRange(range);
-                        // ----------------------------------------
-                    }
-                }, 0);
+        row.insertBefore(cell, next || null);
+    }
+    /**
+        * @method insertTableRow
+        * @description Inserts a row before grid row `index` (or at the end). Cells spanning across it grow instead.
+        */
+    insertTableRow(table, grid, index) {
+        const newRow = document.createElement('tr');
+        grid[0].forEach((_, c) => {
+            const above = index > 0 ? grid[index - 1][c] : null;
+            const below = index < grid.length ? grid[index][c] : null;
+            if (above && above === below) {
+                if (c === 0 || grid[index - 1][c - 1] !== above) above.rowSpan += 1;
+                return;
             }
+            const reference = below || above;
+            // Only a header column continues into new rows; a header row does not
+            const header = reference && reference.tagName === 'TH' && reference.getAttribute('scope') === 'row';
+            newRow.appendChild(this.createTableCell(reference, header ? 'th' : 'td'));
         });
-        this.tableModal.querySelector('#cancelTable').addEventListener('click', () => {
-            this.tableModal.classList.add('hidden');
+        const rows = Array.from(table.rows);
+        if (index < rows.length) rows[index].before(newRow);
+        else rows[rows.length - 1].after(newRow);
+    }
+    /**
+        * @method insertTableColumn
+        * @description Inserts a column before grid column `index` (or at the end). Cells spanning across it grow instead.
+        */
+    insertTableColumn(table, grid, index) {
+        const rows = Array.from(table.rows);
+        grid.forEach((slots, r) => {
+            const before = index > 0 ? slots[index - 1] : null;
+            const after = index < slots.length ? slots[index] : null;
+            if (before && before === after) {
+                if (r === 0 || grid[r - 1][index] !== before) before.colSpan += 1;
+                return;
+            }
+            const reference = after || before;
+            const header = reference && reference.tagName === 'TH' && reference.getAttribute('scope') === 'col';
+            const cell = this.createTableCell(reference, header ? 'th' : 'td');
+            // A new column does not inherit the width of its neighbour
+            cell.style.width = '';
+            if (cell.getAttribute('style') === '') cell.removeAttribute('style');
+            this.insertCellAt(grid, rows[r], index, cell);
         });
-        this.tableModal.querySelector('#rowsInput').addEventListener('input', () => {
-            let val = parseInt(this.tableModal.querySelector('#rowsInput').value);
-            if (isNaN(val) || val < 1) this.tableModal.querySelector('#rowsInput').value = 1;
+    }
+    /**
+        * @method deleteTableRow
+        * @description Deletes grid row `index`. Merged cells starting there move down to the next row.
+        */
+    deleteTableRow(table, grid, index) {
+        const rows = Array.from(table.rows);
+        const done = new Set();
+        grid[index].forEach((cell, c) => {
+            if (!cell || done.has(cell)) return;
+            done.add(cell);
+            if (cell.rowSpan <= 1) {
+                cell.remove();
+                return;
+            }
+            if (cell.parentNode === rows[index]) this.insertCellAt(grid, rows[index + 1], c, cell);
+            cell.rowSpan -= 1;
+            if (cell.rowSpan === 1) cell.removeAttribute('rowspan');
         });
-        this.tableModal.querySelector('#colsInput').addEventListener('input', () => {
-            let val = parseInt(this.tableModal.querySelector('#colsInput').value);
-            if (isNaN(val) || val < 1) this.tableModal.querySelector('#colsInput').value = 1;
-            if (val > 10) this.tableModal.querySelector('#colsInput').value = 10;
+        rows[index].remove();
+    }
+    /**
+        * @method deleteTableColumn
+        * @description Deletes grid column `index`. Merged cells covering it shrink instead.
+        */
+    deleteTableColumn(table, grid, index) {
+        const done = new Set();
+        grid.forEach(slots => {
+            const cell = slots[index];
+            if (!cell || done.has(cell)) return;
+            done.add(cell);
+            if (cell.colSpan > 1) {
+                cell.colSpan -= 1;
+                if (cell.colSpan === 1) cell.removeAttribute('colspan');
+            } else {
+                cell.remove();
+            }
         });
-        this.storageModal.querySelector('#closeStorage').addEventListener('click', () => {
-            this.storageModal.classList.add('hidden');
+        Array.from(table.rows).forEach(row => {
+            if (!row.cells.length) row.remove();
         });
-        this.infoModal.querySelector('#closeInfo').addEventListener('click', () => {
-            this.infoModal.classList.add('hidden');
+    }
+    /**
+        * @method getMergeNeighbor
+        * @description Returns the cell that can be merged with `cell` in a direction ('after' = next column,
+        * 'before' = previous column, 'down' = next row), or null when the two do not form a rectangle.
+        */
+    getMergeNeighbor(grid, cell, direction) {
+        const pos = this.getCellPosition(grid, cell);
+        let neighbor = null;
+        if (direction === 'down') {
+            const row = grid[pos.row + cell.rowSpan];
+            neighbor = row ? row[pos.col] : null;
+            if (!neighbor || this.getCellPosition(grid, neighbor).col !== pos.col || neighbor.colSpan !== cell.colSpan) return null;
+        } else {
+            neighbor = grid[pos.row][direction === 'before' ? pos.col - 1 : pos.col + cell.colSpan] || null;
+            if (!neighbor || this.getCellPosition(grid, neighbor).row !== pos.row || neighbor.rowSpan !== cell.rowSpan) return null;
+        }
+        return neighbor;
+    }
+    /**
+        * @method mergeTableCells
+        * @description Merges the cells of a rectangular grid range into its top-left cell, keeping their contents.
+        * @returns {boolean} false when a merged cell sticks out of the range.
+        */
+    mergeTableCells(table, top, left, bottom, right) {
+        const grid = this.getTableGrid(table);
+        const cells = [];
+        for (let r = top; r <= bottom; r++) {
+            for (let c = left; c <= right; c++) {
+                const cell = grid[r][c];
+                if (!cell || cells.includes(cell)) continue;
+                const pos = this.getCellPosition(grid, cell);
+                if (pos.row < top || pos.col < left || pos.row + cell.rowSpan - 1 > bottom || pos.col + cell.colSpan - 1 > right) return false;
+                cells.push(cell);
+            }
+        }
+        const target = grid[top][left];
+        cells.slice(1).forEach(cell => {
+            if (cell.textContent.trim() || cell.querySelector('img')) {
+                if (target.textContent.trim()) target.appendChild(document.createElement('br'));
+                else target.innerHTML = '';
+                while (cell.firstChild) target.appendChild(cell.firstChild);
+            }
+            cell.remove();
         });
-        this.selectModal.querySelector('#closeSelect').addEventListener('click', () => {
-            this.selectModal.classList.add('hidden');
+        target.colSpan = right - left + 1;
+        target.rowSpan = bottom - top + 1;
+        if (target.colSpan === 1) target.removeAttribute('colspan');
+        if (target.rowSpan === 1) target.removeAttribute('rowspan');
+        return true;
+    }
+    /**
+        * @method splitTableCell
+        * @description Splits a merged cell back into single cells; the content stays in the top-left one.
+        */
+    splitTableCell(table, grid, cell) {
+        const pos = this.getCellPosition(grid, cell);
+        const rows = Array.from(table.rows);
+        const rowSpan = cell.rowSpan;
+        const colSpan = cell.colSpan;
+        cell.removeAttribute('rowspan');
+        cell.removeAttribute('colspan');
+        for (let i = 0; i < rowSpan; i++) {
+            const fragment = document.createDocumentFragment();
+            for (let j = i === 0 ? 1 : 0; j < colSpan; j++) fragment.appendChild(this.createTableCell(cell));
+            if (i === 0) cell.after(fragment);
+            else this.insertCellAt(grid, rows[pos.row + i], pos.col, fragment);
+        }
+    }
+    /**
+        * @method toggleTableHeader
+        * @description Turns the first row ('row') or column ('column') into header cells (th), or back into td.
+        */
+    toggleTableHeader(table, kind) {
+        const grid = this.getTableGrid(table);
+        const cells = [];
+        (kind === 'row' ? grid[0] : grid.map(row => row[0])).forEach(cell => {
+            if (cell && !cells.includes(cell)) cells.push(cell);
         });
-        let isFormatting = false; // The Lock
-        this.editor.addEventListener('input', (event) => {
-            if (isFormatting) {
+        const isHeader = cell => cell.tagName === 'TH';
+        const enable = !cells.every(isHeader);
+        // The corner cell stays a header while the other header (row or column) is on
+        const otherCells = kind === 'row' ? grid.map(row => row[0]) : grid[0];
+        const otherOn = otherCells.every(cell => cell && isHeader(cell));
+        cells.forEach(cell => {
+            if (!enable && otherOn && otherCells.includes(cell)) {
+                cell.setAttribute('scope', kind === 'row' ? 'row' : 'col');
                 return;
             }
-            isFormatting = true;
-            try {
-                if (this.editor.textContent.trim() === '') {
-                    setTimeout(() => { // Queue asynchronously to avoid recursion
-                        document.execCommand('foreColor', false, '#000000');
-                        document.getElementById("fontColorInput").value = "#000000";
-                        document.querySelector('#foreColorBar').style.backgroundColor = "#000000";
-                        document.execCommand('backColor', false, '#ffffff');
-                        document.querySelector('#highlightBar').style.backgroundColor = '#ffffff';
-                        document.execCommand('fontName', false, '');
-                        document.execCommand('fontSize', false, '3');
-                        document.execCommand('removeFormat', false, null);
-                        const p = this.editor.querySelector('p');
-                        if (!(p && p.children.length === 1 && p.querySelector('br'))) {
-                            this.editor.innerHTML = '<p><br></p>';
-                        }
-                    }, 0);
+            const replacement = this.createTableCell(cell, enable ? 'th' : 'td');
+            replacement.innerHTML = '';
+            while (cell.firstChild) replacement.appendChild(cell.firstChild);
+            ['colspan', 'rowspan'].forEach(name => {
+                if (cell.getAttribute(name)) replacement.setAttribute(name, cell.getAttribute(name));
+            });
+            if (enable) replacement.setAttribute('scope', kind === 'row' ? 'col' : 'row');
+            cell.replaceWith(replacement);
+        });
+    }
+    /**
+        * @method exec
+        * @description Runs a toolbar command on the saved selection (used by toolbar buttons and keyboard shortcuts).
+        * @param {string} cmd The command name, e.g. 'bold', 'insertTable' or 'increaseFontSize'.
+        * @param {string|null} [val=null] The command value (e.g. a color).
+        */
+    exec(cmd, val = null) {
+        this.editor.focus();
+        this.restoreSelection();
+        const oldContent = this.editor.innerHTML;
+        let changed = false;
+        const custom = this.customButtons[cmd];
+        if (custom && typeof custom.command === 'string' && custom.command !== cmd) {
+            this.exec(custom.command, val);
+            return;
+        }
+        if (custom && typeof custom.command === 'function') {
+            custom.command(this, val);
+            changed = true;
+        } else if (this.runCommandHook(cmd, val)) {
+            return;
+        } else if (cmd === 'formatBlock') {
+            changed = this.setBlockFormat(val);
+        } else if (cmd === 'indentList') {
+            changed = this.indentListItems();
+        } else if (cmd === 'outdentList') {
+            changed = this.outdentListItems();
+        } else if (cmd === 'listStyle') {
+            changed = this.setListStyle(val);
+        } else if (cmd === 'listStart') {
+            changed = this.setListStart(val);
+        } else if (cmd === 'toggleChecked') {
+            changed = this.toggleChecked();
+        } else if ((cmd === 'insertChecklist' && this.getCurrentList()) || (cmd === 'insertUnorderedList' && this.isInChecklist())) {
+            // Inside a list the checklist button converts it; the bullet button turns a checklist back into bullets
+            changed = this.toggleChecklist();
+        } else if (cmd === 'showInfo'){
+            this.infoModal.classList.remove("hidden");
+        } else if (cmd === 'undo') {
+            changed = this.undo();
+        } else if (cmd === 'redo') {
+            changed = this.redo();
+        } else if (cmd === 'increaseFontSize' || cmd === 'decreaseFontSize') {
+            changed = this.changeFontSize(cmd === 'increaseFontSize' ? 2 : -2);
+        } else if (cmd === 'backColor') {
+            const cur = document.queryCommandValue('backColor').toLowerCase();
+            const on = (cur === 'rgb(255, 255, 0)' || cur === '#ffff00');
+            document.execCommand(cmd, false, on ? 'transparent' : val);
+            changed = true;
+        } else if (cmd === 'clearAll') {
+            if (confirm(this.i18n.clearAllConfirm)) { // Use translation
+                this.editor.innerHTML = '<p><br></p>';
+                const sel = window.getSelection();
+                const range = document.createRange();
+                range.setStart(this.editor.firstChild, 0);
+                range.collapse(true);
+                sel.removeAllRanges();
+                sel.addRange(range);
+                this.resetEditorStyles();
+                this.pushUndoState(oldContent);
+                this.emit('clear');
+                changed = true;
+            }
+        } else if (cmd === 'createLink') {
+            if (this.savedRange && this.savedRange.toString().length) {
+                this.linkModal.classList.remove('hidden');
+                this.byId('linkUrl').value = 'https://';
+                this.byId('linkUrl').focus();
+            }
+        } else if (cmd === 'insertBlockquote') {
+            if(this.language === 'en' && this.getCommandButton('justifyRight').classList.contains('is-active')) return;
+            const sel = window.getSelection();
+            if (!sel.rangeCount) return;
+            const range = sel.getRangeAt(0);
+            let container = range.commonAncestorContainer;
+            while (container && container.nodeType !== Node.ELEMENT_NODE) {
+                container = container.parentNode;
+            }
+            const blockquote = container.closest('blockquote');
+            if (blockquote) {
+                
+                const fragment = document.createDocumentFragment();
+                while (blockquote.firstChild) {
+                    fragment.appendChild(blockquote.firstChild);
+                }
+                blockquote.parentNode.replaceChild(fragment, blockquote);
+                const firstChild = fragment.firstChild;
+                if (firstChild) {
+                    const newRange = document.createRange();
+                    newRange.selectNodeContents(firstChild);
+                    newRange.collapse(false);
+                    sel.removeAllRanges();
+                    sel.addRange(newRange);
+                }
+            } else {
+                const fragment = range.extractContents();
+                const contentText = fragment.textContent.trim();
+                if (!contentText) return;
+                const dir = /[\u0600-\u06FF\u0750-\u077F]/.test(contentText) ? 'rtl' : 'ltr';
+                const p = document.createElement('p');
+                p.dir = dir;
+                p.appendChild(fragment);
+                const bq = document.createElement('blockquote');
+                bq.appendChild(p);
+                range.insertNode(bq);
+                const newRange = document.createRange();
+                newRange.selectNodeContents(p);
+                newRange.collapse(false);
+                sel.removeAllRanges();
+                sel.addRange(newRange);
+            }
+            if(this.language === 'ar') this.updateDirections();
+            this.updateToolbarState();
+            changed = true;
+        } else if (cmd === 'insertUnorderedList' || cmd === 'insertOrderedList' || cmd === 'insertChecklist') {
+            let currentDir = this.dir; // default to editor's dir
+            const sel = window.getSelection();
+            if (sel.rangeCount) {
+            let container = sel.getRangeAt(0).commonAncestorContainer;
+            if (container.nodeType !== 1) container = container.parentElement;
+            const block = container.closest('p, blockquote, ol, ul, li, td, th');
+            if (block) {
+                const style = window.getComputedStyle(block);
+                const textAlign = style.textAlign;
+                const direction = style.direction;
+                let effectiveAlign;
+                if (textAlign === 'left' || textAlign === 'right') {
+                    effectiveAlign = textAlign;
+                } else if (textAlign === 'start') {
+                    effectiveAlign = direction === 'ltr' ? 'left' : 'right';
+                } else if (textAlign === 'end') {
+                    effectiveAlign = direction === 'ltr' ? 'right' : 'left';
+                } else {
+                // For center, justify, etc., use current direction without changing
+                    currentDir = direction;
+                }
+                if (effectiveAlign === 'left') {
+                    currentDir = 'ltr';
+                } else if (effectiveAlign === 'right') {
+                    currentDir = 'rtl';
+                }
+                
+                if(this.language === "en" && ((currentDir === "rtl" || direction === "rtl"))){      
+                    return;
+                }
+                }
+            }
+            //const cr = this.getCurrentBlockElement();
+            document.execCommand(cmd === 'insertChecklist' ? 'insertUnorderedList' : cmd, false, null);
+            if (sel.rangeCount) {
+            let li = sel.getRangeAt(0).commonAncestorContainer;
+            while (li && li.nodeName !== 'LI') {
+                if (li.nodeType !== 1) li = li.parentElement;
+                else break;
+            }
+            if (li && li.nodeName === 'LI') {
+                // Set direction on the parent list (ul or ol) to support RTL lists
+                let list = li.parentElement;
+                if (list && (list.nodeName === 'UL' || list.nodeName === 'OL')) {
+                list.dir = currentDir;
                 }
+                const tempChar = currentDir === 'rtl' ? 'ا' : 'a';
+                const tempText = document.createTextNode(tempChar);
+                li.insertBefore(tempText, li.firstChild);
                 //this.updateDirections();
-                this.updateToolbarState();
-                this.debouncedPush();
-                this.saveAll();
-            } finally {
-                isFormatting = false;
+                tempText.remove();
+                if (li.innerHTML === '') li.innerHTML = '<br>';
             }
-        });
-        this.editor.addEventListener('click', () => this.saveAll());
-        this.editor.addEventListener('keyup', () => this.updateToolbarState());
-        this.editor.addEventListener('mouseup', () => this.updateToolbarState());
-        document.addEventListener('selectionchange', () => this.updateToolbarState());
-        this.editor.addEventListener('click', e => {
-            if (e.target.tagName.toLowerCase() === 'a' && e.target.href) {
-                window.open(e.target.href, '_blank');
-                e.preventDefault();
             }
-            const resizables = this.editor.querySelectorAll('.resizable');
-            resizables.forEach(d => {
-                this.removeResizeHandles(d);
-            });
-            const resizable = e.target.closest('.resizable');
-            if (resizable) {
-                this.selectedResizable = resizable;
+            if (cmd === 'insertChecklist') this.toggleChecklist();
+            
+            if(this.language === 'ar') this.updateDirections();
+            changed = true;
+        } else if (['justifyLeft','justifyCenter','justifyRight','justifyFull'].includes(cmd)) {
+            this.alignmentMenu.classList.add('hidden');
+            const sel = window.getSelection();
+            if (sel.rangeCount) {
+                let container = sel.getRangeAt(0).commonAncestorContainer;
+                if (container.nodeType === Node.TEXT_NODE) container = container.parentElement;
+                const td = container.closest('td, th');
+                if (td) {
+                    if (sel.isCollapsed) {
+                        // Apply to table alignment
+                        this.selectedResizable = td.closest('.resizable');
+                        if (this.selectedResizable) {
+                            const wasFull = this.selectedResizable.classList.contains('full');
+                            const willBeFull = cmd === 'justifyFull';
+                            if (!wasFull && willBeFull) {
+                                const currentWidth = this.selectedResizable.style.width || getComputedStyle(this.selectedResizable).width;
+                                this.selectedResizable.setAttribute('data-resize-width', currentWidth);
+                            }
+                            this.selectedResizable.classList.remove('left', 'center', 'right', 'full');
+                            if (cmd === 'justifyLeft') {this.selectedResizable.classList.add('right');td.focus();}
+                            else if (cmd === 'justifyCenter') {this.selectedResizable.classList.add('center');}
+                            else if (cmd === 'justifyRight') {this.selectedResizable.classList.add('left');}
+                            else if (cmd === 'justifyFull') { this.selectedResizable.classList.add('full');}
+                            if (willBeFull) {
+                                this.selectedResizable.style.width = '100%';
+                            } else if (wasFull && !willBeFull) {
+                                const storedWidth = this.selectedResizable.getAttribute('data-resize-width');
+                                if (storedWidth) {
+                                    this.selectedResizable.style.width = storedWidth;
+                                } else {
+                                    this.selectedResizable.style.width = '';
+                                }
+                            }
+                            
+                            this.removeResizeHandles(this.selectedResizable);
+                            this.addResizeHandle(this.selectedResizable);
+                            changed = true;
+                            this.pushUndoState(oldContent);
+                        }
+                    } else {
+                        // Apply to selected content in cell
+                        document.execCommand(cmd, false, null);
+                        changed = true;
+                    }
+                    this.updateToolbarState();
+                    return;
+                }
+            }
+            if (this.selectedResizable) {
+                const wasFull = this.selectedResizable.classList.contains('full');
+                const willBeFull = cmd === 'justifyFull';
+                if (!wasFull && willBeFull) {
+                    const currentWidth = this.selectedResizable.style.width || getComputedStyle(this.selectedResizable).width;
+                    this.selectedResizable.setAttribute('data-resize-width', currentWidth);
+                }
+                this.selectedResizable.classList.remove('left', 'center', 'right', 'full');
+                if (cmd === 'justifyLeft') this.selectedResizable.classList.add('right');
+                else if (cmd === 'justifyCenter') this.selectedResizable.classList.add('center');
+                else if (cmd === 'justifyRight') this.selectedResizable.classList.add('left');
+                else if (cmd === 'justifyFull') this.selectedResizable.classList.add('full');
+                if (willBeFull) {
+                    this.selectedResizable.style.width = '100%';
+                } else if (wasFull && !willBeFull) {
+                    const storedWidth = this.selectedResizable.getAttribute('data-resize-width');
+                    if (storedWidth) {
+                        this.selectedResizable.style.width = storedWidth;
+                    } else {
+                        this.selectedResizable.style.width = '';
+                    }
+                }
+                this.removeResizeHandles(this.selectedResizable);
                 this.addResizeHandle(this.selectedResizable);
-                document.querySelector('button[data-command="justifyFull"]').style.display = "none";
+                changed = true;
             } else {
-                document.querySelector('button[data-command="justifyFull"]').style.display = "block";
-                this.selectedResizable = null;
+                document.execCommand(cmd, false, null);
+                changed = true;
             }
-            this.updateToolbarState();
-        });
-        document.addEventListener('mousedown', e => this.onMouseDown(e));
-        document.addEventListener('touchstart', e => this.onTouchStart(e), { passive: false });
-        this.editor.addEventListener('keydown', e => this.onKeyDown(e));
-        this.editor.addEventListener('blur', () => {
-            this.fontSizeSelect.selectedIndex = 0;
-        });
+        } else if (this.commands[cmd]) {
+            changed = !!this.commands[cmd](this, val);
+        } else {
+            document.execCommand(cmd, false, val);
+            changed = true;
+        }
+        if (changed && cmd !== 'undo' && cmd !== 'redo') {
+            this.pushUndoState(oldContent);
+        }
+        this.updateToolbarState();
     }
     /**
         * @method saveSelection
         * @description Saves the current text selection range.
         */
-    saveSelection() {
-        const sel = window.getSelection();
-        if (sel.rangeCount) this.savedRange = sel.getRangeAt(0).cloneRange();
+    saveSelection() {
+        const sel = window.getSelection();
+        if (sel.rangeCount) this.savedRange = sel.getRangeAt(0).cloneRange();
+    }
+    /**
+        * @method restoreSelection
+        * @description Restores the saved text selection range.
+        */
+    restoreSelection() {
+        if (this.savedRange) {
+            const sel = window.getSelection();
+            sel.removeAllRanges();
+            sel.addRange(this.savedRange);
+        }
+    }
+    /**
+        * @method debounce
+        * @description Creates a debounced function to limit event frequency.
+        */
+    debounce(func, delay) {
+        let timeout;
+        const debounced = (...args) => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => func(...args), delay);
+        };
+        debounced.cancel = () => clearTimeout(timeout);
+        return debounced;
+    }
+    /**
+        * @property debouncedPush
+        * @description Debounced function for committing typing to the undo history.
+        */
+    debouncedPush = this.debounce(() => {
+        this.pushUndoState(this.lastContent);
+    }, 1000);
+    /**
+        * @property debouncedStatusBar
+        * @description Debounced status bar refresh, so counting never slows down typing.
+        */
+    debouncedStatusBar = this.debounce(() => this.updateStatusBar(), 200);
+    /**
+        * @method pushUndoState
+        * @description Commits the changes made since the last committed state as one undo step.
+        * @param {string} oldContent The content *before* the change; nothing is recorded when it is unchanged.
+        */
+    pushUndoState(oldContent) {
+        const content = this.editor.innerHTML;
+        if (content === oldContent || content === this.lastContent) return;
+        // Diff against the last committed state so the entries always chain, even if the caller's snapshot is newer
+        const entry = this.createHistoryEntry(this.lastContent, content);
+        entry.selectionBefore = this.lastSelection;
+        entry.selectionAfter = this.getSelectionOffsets();
+        this.undoStack.push(entry);
+        this.redoStack = [];
+        this.trimHistory();
+        this.lastContent = content;
+        this.lastSelection = entry.selectionAfter;
+        this.typingKind = null;
+        this.characterCount = null;
+        this.saveAll();
+        this.notifyChange();
+        this.updateToolbarState();
+    }
+    /**
+        * @method createHistoryEntry
+        * @description Stores a change as the slice between the common prefix and suffix of the two states.
+        * @returns {{start: number, removed: string, inserted: string, size: number}}
+        */
+    createHistoryEntry(before, after) {
+        const max = Math.min(before.length, after.length);
+        let start = 0;
+        while (start < max && before.charCodeAt(start) === after.charCodeAt(start)) start++;
+        let end = 0;
+        while (end < max - start && before.charCodeAt(before.length - 1 - end) === after.charCodeAt(after.length - 1 - end)) end++;
+        const removed = before.slice(start, before.length - end);
+        const inserted = after.slice(start, after.length - end);
+        // UTF-16 strings take two bytes per code unit
+        return { start, removed, inserted, size: (removed.length + inserted.length) * 2 };
+    }
+    /**
+        * @method trimHistory
+        * @description Drops the oldest undo steps beyond historyLimit or historyMemoryLimit.
+        */
+    trimHistory() {
+        while (this.undoStack.length > this.historyLimit) this.undoStack.shift();
+        let total = this.undoStack.concat(this.redoStack).reduce((sum, entry) => sum + entry.size, 0);
+        while (total > this.historyMemoryLimit && this.undoStack.length > 1) total -= this.undoStack.shift().size;
+    }
+    /**
+        * @method clearHistory
+        * @description Empties the undo/redo history and makes the current content the committed state.
+        */
+    clearHistory() {
+        this.debouncedPush.cancel();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastContent = this.editor.innerHTML;
+        this.lastSelection = null;
+        this.typingKind = null;
+        this.characterCount = null;
+    }
+    /**
+        * @method canUndo
+        * @description Whether there is a change to undo, including typing not yet committed.
+        * @returns {boolean}
+        */
+    canUndo() {
+        return this.undoStack.length > 0 || this.editor.innerHTML !== this.lastContent;
+    }
+    /**
+        * @method canRedo
+        * @description Whether there is an undone change to re-apply.
+        * @returns {boolean}
+        */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    /**
+        * @method applyHistoryEntry
+        * @description Replaces the editor content with the committed state on the other side of an entry and restores the caret.
+        * @param {object} entry The history entry.
+        * @param {boolean} reverse True to undo the entry, false to re-apply it.
+        * @returns {boolean} Whether the content changed; an entry that only replaced an upload placeholder does not.
+        */
+    applyHistoryEntry(entry, reverse) {
+        const previous = this.lastContent;
+        const restored = this.applyHistoryDiff(previous, entry, reverse);
+        // Placeholders of uploads that settled since the state was recorded are brought up to date;
+        // the entries on both sides are re-diffed so the history still chains
+        this.lastContent = this.settleUploads(restored);
+        if (this.lastContent !== restored) {
+            const stack = reverse ? this.undoStack : this.redoStack;
+            const neighbour = stack[stack.length - 1];
+            if (neighbour) {
+                const beyond = this.applyHistoryDiff(restored, neighbour, reverse);
+                Object.assign(neighbour, reverse ? this.createHistoryEntry(beyond, this.lastContent) : this.createHistoryEntry(this.lastContent, beyond));
+            }
+            Object.assign(entry, reverse ? this.createHistoryEntry(this.lastContent, previous) : this.createHistoryEntry(previous, this.lastContent));
+        }
+        this.editor.innerHTML = this.lastContent;
+        this.characterCount = null;
+        this.selectedResizable = null;
+        this.lastSelection = reverse ? entry.selectionBefore : entry.selectionAfter;
+        this.setSelectionOffsets(this.lastSelection);
+        this.typingKind = null;
+        return this.lastContent !== previous;
+    }
+    /**
+        * @method applyHistoryDiff
+        * @description Applies a history entry to a content string.
+        * @param {string} content The state on one side of the entry.
+        * @param {object} entry The history entry.
+        * @param {boolean} reverse True for the state before the entry, false for the state after it.
+        * @returns {string}
+        */
+    applyHistoryDiff(content, entry, reverse) {
+        const from = reverse ? entry.inserted : entry.removed;
+        const to = reverse ? entry.removed : entry.inserted;
+        return content.slice(0, entry.start) + to + content.slice(entry.start + from.length);
+    }
+    /**
+        * @method undo
+        * @description Reverts the last undo step, committing pending typing first.
+        * @returns {boolean} Whether a state was restored.
+        */
+    undo() {
+        this.debouncedPush.cancel();
+        this.pushUndoState(this.lastContent);
+        if (!this.undoStack.length) return false;
+        const entry = this.undoStack.pop();
+        // A step that only swapped in an uploaded image is gone once its placeholder is settled
+        if (!this.applyHistoryEntry(entry, true)) return this.undo();
+        this.redoStack.push(entry);
+        this.saveAll();
+        this.emit('undo');
+        this.notifyChange();
+        this.updateToolbarState();
+        return true;
     }
     /**
-        * @method restoreSelection
-        * @description Restores the saved text selection range.
+        * @method redo
+        * @description Re-applies the last undone step.
+        * @returns {boolean} Whether a state was restored.
         */
-    restoreSelection() {
-        if (this.savedRange) {
-            const sel = window.getSelection();
-            sel.removeAllRanges();
-            sel.addRange(this.savedRange);
-        }
+    redo() {
+        this.debouncedPush.cancel();
+        this.pushUndoState(this.lastContent);
+        if (!this.redoStack.length) return false;
+        const entry = this.redoStack.pop();
+        if (!this.applyHistoryEntry(entry, false)) return this.redo();
+        this.undoStack.push(entry);
+        this.saveAll();
+        this.emit('redo');
+        this.notifyChange();
+        this.updateToolbarState();
+        return true;
     }
     /**
-        * @method debounce
-        * @description Creates a debounced function to limit event frequency.
+        * @method getSelectionOffsets
+        * @description Returns the selection inside the editor as character offsets into its text, or null.
+        * @returns {{start: number, end: number}|null}
         */
-    debounce(func, delay) {
-        let timeout;
-        return (...args) => {
-            clearTimeout(timeout);
-            timeout = setTimeout(() => func(...args), delay);
+    getSelectionOffsets() {
+        const sel = window.getSelection();
+        if (!sel.rangeCount || !this.editor.contains(sel.getRangeAt(0).startContainer)) return null;
+        const range = sel.getRangeAt(0);
+        const offsetOf = (container, offset) => {
+            const before = document.createRange();
+            before.setStart(this.editor, 0);
+            before.setEnd(container, offset);
+            return before.toString().length;
         };
+        return { start: offsetOf(range.startContainer, range.startOffset), end: offsetOf(range.endContainer, range.endOffset) };
     }
     /**
-        * @property debouncedPush
-        * @description Debounced function for pushing content to the undo stack.
+        * @method setSelectionOffsets
+        * @description Selects the text between two character offsets of the editor text (see getSelectionOffsets).
+        * @param {{start: number, end: number}|null} offsets
         */
-    debouncedPush = this.debounce(() => {
-        if (this.editor.innerHTML !== this.lastContent) {
-            this.undoStack.push(this.lastContent);
-            this.redoStack = [];
-            this.lastContent = this.editor.innerHTML;
-            this.saveAll();
+    setSelectionOffsets(offsets) {
+        if (!offsets) return;
+        const walker = document.createTreeWalker(this.editor, NodeFilter.SHOW_TEXT);
+        const range = document.createRange();
+        range.selectNodeContents(this.editor);
+        range.collapse(false);
+        let position = 0;
+        let startSet = false;
+        let node;
+        while ((node = walker.nextNode())) {
+            const length = node.textContent.length;
+            if (!startSet && offsets.start <= position + length) {
+                range.setStart(node, offsets.start - position);
+                startSet = true;
+            }
+            if (startSet && offsets.end <= position + length) {
+                range.setEnd(node, offsets.end - position);
+                break;
+            }
+            position += length;
         }
-    }, 1000);
-
-    /**
-             * @method pushUndoState
-             * @description Helper to push the current state to the undo stack.
-             * @param {string} oldContent The content *before* the change.
-             */
-            pushUndoState(oldContent) {
-                if (this.editor.innerHTML !== oldContent) {
-                    this.undoStack.push(oldContent);
-                    this.redoStack = [];
-            this.undoStack = this.undoStack.slice(-50); // Limit undo stack to 50 entries for performance
-                    this.lastContent = this.editor.innerHTML;
-                    this.saveAll();
-                    this.updateToolbarState();
-                }
-            }
+        const sel = window.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(range);
+    }
     /**
         * @method resetEditorStyles
         * @description Resets text formatting in the editor.
@@ -1641,10 +5469,10 @@ class jCaret {
         this.editor.blur();
         this.editor.focus();
         document.execCommand('foreColor', false, '#000000');
-        document.getElementById("fontColorInput").value = "#000000";
-        document.querySelector('#foreColorBar').style.backgroundColor = "#000000";
+        this.fontColorInput.value = "#000000";
+        this.foreColorBar.style.backgroundColor = "#000000";
         document.execCommand('backColor', false, '#ffffff');
-        document.querySelector('#highlightBar').style.backgroundColor = '#ffffff';
+        this.highlightBar.style.backgroundColor = '#ffffff';
         const defaultFont = this.language === 'ar' ? 'Amiri' : 'Inter';
         document.execCommand('fontName', false, defaultFont);
         document.execCommand('fontSize', false, '3');
@@ -1729,7 +5557,7 @@ if (!selection.rangeCount) return;
 let currentNode = selection.anchorNode;
 // 1. Traverse up to find the Block Element (P, DIV, LI)
 // We stop if we hit the editor root so we don't delete the editor itself
-const editor = document.getElementById('editor'); // Adjust ID as needed
+const editor = this.editor;
 
 // Handle text nodes (e.g. caret inside an empty text node)
 if (currentNode.nodeType === 3) {
@@ -1737,7 +5565,7 @@ currentNode = currentNode.parentNode;
 }
 
 // Ensure we are inside a block-level element
-const block = currentNode.closest('p, div, li');
+const block = currentNode.closest('p, div, li, h1, h2, h3, h4, h5, h6, pre');
 if (!block || !editor.contains(block) || block === editor) {
 console.log("No deletable block found.");
 return;
@@ -1766,58 +5594,1100 @@ if (prevBlock) {
 }
 }
     /**
-        * @method mergeNestedSpans
-        * @description Merges nested spans to prevent deep nesting from repeated style applications.
+        * @method mergeNestedSpans
+        * @description Merges nested spans to prevent deep nesting from repeated style applications.
+        */
+    mergeNestedSpans() {
+        let merged;
+        do {
+            merged = false;
+            const spans = Array.from(this.editor.querySelectorAll('span'));
+            for (const span of spans) {
+                if (span.children.length === 1 && span.children[0].tagName === 'SPAN') {
+                    const inner = span.children[0];
+                    // Merge styles (inner overrides outer)
+                    for (let i = 0; i < inner.style.length; i++) {
+                        const prop = inner.style[i];
+                        span.style[prop] = inner.style[prop];
+                    }
+                    // Move inner children to outer
+                    while (inner.firstChild) {
+                        span.insertBefore(inner.firstChild, inner);
+                    }
+                    inner.remove();
+                    merged = true;
+                }
+            }
+        } while (merged);
+    }
+    /**
+    * @method isRTLL
+    * @description Checks if inserted Character is in RTL Direction or not.
+    */
+    isFirstCharNotRTL(text) {
+        if (!text || typeof text !== 'string') {
+            return true; // Or handle as needed (e.g., empty string)
+        }
+        
+        // Regex for common RTL Unicode ranges (Hebrew, Arabic, Syriac, Thaana, etc.)
+        const rtlRegex = /[\u0590-\u05FF\u0600-\u06FF\u0700-\u074F\u0750-\u077F\u07C0-\u07FF\u08A0-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+        
+        const firstChar = text.charAt(0);
+        return !rtlRegex.test(firstChar);
+    }
+    getThisCurrentBlockElement() {
+        let node = window.getSelection().anchorNode;
+        while (node && node.nodeType !== Node.ELEMENT_NODE) {
+            node = node.parentNode;
+        }
+        // Climb up to the nearest block-level element (adjust tags as per your editor)
+        const blockTags = /^(P|DIV|LI|H[1-6]|PRE|BLOCKQUOTE)$/i;
+        while (node && node !== this.editor && !blockTags.test(node.tagName)) {
+            node = node.parentNode;
+        }
+        return node && blockTags.test(node.tagName) ? node : null;
+    }
+    /**
+        * @method getDefaultKeymap
+        * @description Returns the built-in shortcuts. 'Mod' is Ctrl, or Cmd on macOS.
+        */
+    getDefaultKeymap() {
+        return {
+            'Mod+Z': 'undo', 'Mod+Y': 'redo', 'Mod+Shift+Z': 'redo',
+            'Mod+B': 'bold', 'Mod+I': 'italic', 'Mod+U': 'underline', 'Mod+Shift+X': 'strikethrough',
+            'Mod+.': 'superscript', 'Mod+,': 'subscript', 'Mod+Shift+9': 'insertBlockquote', 'Mod+\\': 'removeFormat',
+            'Mod+K': 'createLink', 'Mod+Shift+K': 'unlink',
+            'Mod+Shift+L': 'justifyLeft', 'Mod+Shift+E': 'justifyCenter', 'Mod+Alt+R': 'justifyRight', 'Mod+Alt+J': 'justifyFull',
+            'Mod+Shift+8': 'insertUnorderedList', 'Mod+Shift+7': 'insertOrderedList',
+            'Mod+]': 'indentList', 'Mod+[': 'outdentList', 'Mod+Enter': 'toggleChecked',
+            'Mod+=': 'increaseFontSize', 'Mod++': 'increaseFontSize', 'Mod+-': 'decreaseFontSize',
+            'Mod+Shift+V': 'pastePlainText',
+            'Mod+/': 'showInfo'
+        };
+    }
+    /**
+        * @method createKeymap
+        * @description Merges user overrides over the default shortcuts. Shortcuts mapped to null are removed.
+        * @param {object} [overrides={}] Shortcut -> command (or function, or null).
+        * @returns {object} Normalized shortcut -> command map.
+        */
+    createKeymap(overrides = {}) {
+        const keymap = {};
+        const merged = Object.assign(this.getDefaultKeymap(), ...this.plugins.map(plugin => plugin.keymap || {}), overrides);
+        Object.keys(merged).forEach(shortcut => {
+            if (merged[shortcut]) keymap[this.normalizeShortcut(shortcut)] = merged[shortcut];
+        });
+        return keymap;
+    }
+    /**
+        * @method normalizeShortcut
+        * @description Orders modifiers as Mod+Alt+Shift+Key and upper-cases letters so 'shift+mod+b' equals 'Mod+Shift+B'.
+        */
+    normalizeShortcut(shortcut) {
+        const parts = shortcut.split(/\+(?!$)/);
+        const key = parts.pop();
+        const mods = parts.map(part => part.toLowerCase());
+        const has = name => mods.includes(name) || (name === 'mod' && (mods.includes('ctrl') || mods.includes('cmd') || mods.includes('meta')));
+        return [has('mod') && 'Mod', has('alt') && 'Alt', has('shift') && 'Shift', key.length === 1 ? key.toUpperCase() : key]
+            .filter(Boolean).join('+');
+    }
+    /**
+        * @method getShortcut
+        * @description Builds the normalized shortcut string for a keydown event. Letters and digits use the physical key,
+        * so Ctrl+Shift+7 matches on any layout; for punctuation Shift is part of the character and is ignored.
+        */
+    getShortcut(e) {
+        let key = e.key;
+        let shift = e.shiftKey;
+        if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+        else if (/^Digit[0-9]$/.test(e.code)) key = e.code.slice(5);
+        else if (key.length === 1) shift = false;
+        return [(e.ctrlKey || e.metaKey) && 'Mod', e.altKey && 'Alt', shift && 'Shift', key.length === 1 ? key.toUpperCase() : key]
+            .filter(Boolean).join('+');
+    }
+    /**
+        * @method handleShortcut
+        * @description Runs the command bound to a keydown event, if any.
+        * @returns {boolean} Whether the event was handled.
+        */
+    handleShortcut(e) {
+        // A plain-text paste request only applies to the paste that directly follows it
+        this.pastePlainText = false;
+        const command = this.keymap[this.getShortcut(e)];
+        if (!command) return false;
+        if (command === 'pastePlainText') {
+            // The browser still pastes; onPaste() inserts it as plain text
+            this.pastePlainText = true;
+            return true;
+        }
+        e.preventDefault();
+        this.saveSelection();
+        if (typeof command === 'function') command(this, e);
+        else this.exec(command);
+        return true;
+    }
+    /**
+        * @method getShortcutLabel
+        * @description Returns the translated description of a command for the shortcuts list.
+        */
+    getShortcutLabel(command) {
+        const labels = {
+            insertBlockquote: 'blockquote', justifyLeft: 'alignLeft', justifyCenter: 'alignCenter', justifyRight: 'alignRight',
+            justifyFull: 'alignJustify', insertUnorderedList: 'unorderedList', insertOrderedList: 'orderedList', insertChecklist: 'checklist',
+            increaseFontSize: 'forEnlarge', decreaseFontSize: 'forShrink', pastePlainText: 'forPastePlain', showInfo: 'infoText'
+        };
+        if (typeof command === 'function') return command.label || command.name;
+        if (this.customButtons[command]) return this.toolbarItems[command].title || command;
+        return this.i18n[labels[command] || command] || command;
+    }
+    /**
+        * @method renderShortcutKeys
+        * @description Renders a shortcut such as 'Mod+Shift+7' as <kbd> keys.
+        */
+    renderShortcutKeys(shortcut) {
+        const isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+        return shortcut.split(/\+(?!$)/).map(key => {
+            const label = key === 'Mod' ? (isMac ? '⌘' : 'Ctrl') : key;
+            return `<kbd class="px-2 py-1 bg-gray-100 border border-gray-300 rounded text-xs font-sans text-gray-500 font-semibold shadow-sm">${label}</kbd>`;
+        }).join('<span class="text-gray-400 text-xs">+</span>');
+    }
+    /**
+        * @method renderShortcutList
+        * @description Renders the info modal's shortcut rows from the keymap, one row per command.
+        */
+    renderShortcutList() {
+        const rows = [];
+        Object.keys(this.keymap).forEach(shortcut => {
+            const label = this.getShortcutLabel(this.keymap[shortcut]);
+            const row = rows.find(r => r.label === label);
+            if (row) row.shortcuts.push(shortcut);
+            else rows.push({ label, shortcuts: [shortcut] });
+        });
+        // Editing behaviors that are not commands
+        rows.push({ label: this.i18n.forQuote, shortcuts: ['Shift+Enter'] }, { label: this.i18n.forDelete, shortcuts: ['Delete'] });
+        return rows.map(row => `
+                    <div class="flex justify-between items-center">
+                        <span class="text-gray-600">${row.label}</span>
+                        <div class="flex items-center gap-1" dir="ltr">
+                            ${row.shortcuts.map(shortcut => this.renderShortcutKeys(shortcut)).join('<span class="text-gray-400 text-xs mx-1">/</span>')}
+                        </div>
+                    </div>`).join('');
+    }
+    /**
+        * @method changeFontSize
+        * @description Grows or shrinks the font size of the selection by a number of pixels (minimum 10px).
+        * @param {number} delta Pixels to add (negative to shrink).
+        * @returns {boolean} Whether the size was changed.
+        */
+    changeFontSize(delta) {
+        const sel = window.getSelection();
+        if (!sel.rangeCount) return false;
+        let el = sel.getRangeAt(0).startContainer;
+        if (el.nodeType === Node.TEXT_NODE) el = el.parentElement;
+        // Ensure the element is inside the editor
+        if (!this.editor.contains(el)) el = this.editor;
+        const currentPx = parseFloat(window.getComputedStyle(el, null).getPropertyValue('font-size'));
+        const newPx = Math.max(10, currentPx + delta); // Minimum pixel size (approx. HTML size 1)
+        this.applyInlineStyle('font-size', `${newPx}px`);
+        this.mergeNestedSpans();
+        return true;
+    }
+    /**
+        * @method setBlockFormat
+        * @description Turns the top-level blocks touched by the selection into paragraphs, headings or preformatted
+        * text, keeping their direction and alignment. Lists, quotes and tables are left alone.
+        * @param {string} tag 'p', 'h1' to 'h6' or 'pre'.
+        * @returns {boolean} Whether a block changed.
+        */
+    setBlockFormat(tag) {
+        if (!/^(p|h[1-6]|pre)$/.test(tag)) return false;
+        const sel = window.getSelection();
+        if (!sel.rangeCount || !this.editor.contains(sel.getRangeAt(0).commonAncestorContainer)) return false;
+        const range = sel.getRangeAt(0);
+        const blocks = Array.from(this.editor.children).filter(el => /^(P|DIV|H[1-6]|PRE)$/.test(el.tagName) && range.intersectsNode(el));
+        const changing = blocks.filter(block => block.tagName.toLowerCase() !== tag);
+        if (!changing.length) return false;
+        const offsets = this.getSelectionOffsets();
+        changing.forEach(block => {
+            const el = document.createElement(tag);
+            Array.from(block.attributes).forEach(attr => el.setAttribute(attr.name, attr.value));
+            const code = block.querySelector('code');
+            if (code) code.replaceWith(this.getCodeText(code));
+            // Line breaks of preformatted text become br elsewhere
+            if (block.tagName === 'PRE' && tag !== 'pre') {
+                const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+                const texts = [];
+                while (walker.nextNode()) texts.push(walker.currentNode);
+                texts.forEach(text => {
+                    if (!text.textContent.includes('\n')) return;
+                    const parts = text.textContent.split('\n');
+                    const fragment = document.createDocumentFragment();
+                    parts.forEach((part, i) => {
+                        if (i) fragment.appendChild(document.createElement('br'));
+                        if (part) fragment.appendChild(document.createTextNode(part));
+                    });
+                    text.replaceWith(fragment);
+                });
+            }
+            while (block.firstChild) el.appendChild(block.firstChild);
+            if (!el.firstChild) el.innerHTML = '<br>';
+            block.replaceWith(el);
+        });
+        this.setSelectionOffsets(offsets);
+        if (this.language === 'ar') this.updateDirections();
+        return true;
+    }
+    /**
+        * @method applyBlockShortcut
+        * @description Markdown-style shortcuts: typing #, ##, ### or #### and a space at the start of a paragraph turns it
+        * into a heading. The typed marks stay one undo step away.
+        * @returns {boolean} Whether the key was handled.
+        */
+    applyBlockShortcut(e) {
+        if (e.key !== ' ' || e.ctrlKey || e.metaKey || e.altKey) return false;
+        const sel = window.getSelection();
+        if (!sel.rangeCount || !sel.isCollapsed) return false;
+        const range = sel.getRangeAt(0);
+        let node = range.startContainer;
+        if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+        const block = node && node.closest('p, div');
+        if (!block || block.parentNode !== this.editor) return false;
+        const before = document.createRange();
+        before.selectNodeContents(block);
+        before.setEnd(range.startContainer, range.startOffset);
+        const marks = before.toString().replace(/\u200B/g, '').match(/^#{1,4}$/);
+        if (!marks) return false;
+        e.preventDefault();
+        this.debouncedPush.cancel();
+        this.pushUndoState(this.lastContent);
+        before.deleteContents();
+        if (!block.textContent && !block.querySelector('br, img')) block.innerHTML = '<br>';
+        this.setBlockFormat(`h${marks[0].length}`);
+        this.pushUndoState(this.lastContent);
+        this.updateToolbarState();
+        return true;
+    }
+    /**
+        * @method trimTrailingBreaks
+        * @description Removes the line breaks (br or newline characters) at the end of a block.
+        */
+    trimTrailingBreaks(block) {
+        while (block.lastChild) {
+            const last = block.lastChild;
+            if (last.nodeName === 'BR') {
+                last.remove();
+            } else if (last.nodeType === Node.TEXT_NODE && /[\n\u200B]$/.test(last.textContent)) {
+                last.textContent = last.textContent.replace(/[\n\u200B]+$/, '');
+                if (last.textContent) break;
+                last.remove();
+            } else {
+                break;
+            }
+        }
+        if (!block.firstChild) block.innerHTML = '<br>';
+    }
+    /**
+        * @method isCaretAtBlockEnd
+        * @description Tells whether only whitespace (or a placeholder br) follows a collapsed range inside a block.
+        */
+    isCaretAtBlockEnd(block, range) {
+        const after = document.createRange();
+        after.selectNodeContents(block);
+        after.setStart(range.endContainer, range.endOffset);
+        return !after.toString().trim() && !after.cloneContents().querySelector('img');
+    }
+    /**
+        * @method getCurrentList
+        * @description Returns the innermost list (ul/ol) around the caret, or null.
+        */
+    getCurrentList() {
+        const sel = window.getSelection();
+        if (!sel.rangeCount) return null;
+        let node = sel.getRangeAt(0).startContainer;
+        if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+        const list = node && node.closest('ul, ol');
+        return list && this.editor.contains(list) ? list : null;
+    }
+    /**
+        * @method isInChecklist
+        * @description Whether the caret is in a checklist item.
+        */
+    isInChecklist() {
+        const list = this.getCurrentList();
+        return !!list && list.classList.contains('checklist');
+    }
+    /**
+        * @method getSelectedListItems
+        * @description Returns the list items touched by the selection in document order. Items around the start of
+        * the selection are not touched by it, and items inside another selected item are left out, since they move
+        * along with it.
+        */
+    getSelectedListItems() {
+        const sel = window.getSelection();
+        if (!sel.rangeCount) return [];
+        const range = sel.getRangeAt(0);
+        let node = range.startContainer;
+        if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+        const first = node && node.closest('li');
+        if (!first || !this.editor.contains(first)) return [];
+        const items = range.collapsed ? [first] : Array.from(this.editor.querySelectorAll('li'))
+            .filter(li => range.intersectsNode(li) && (li === first || !li.contains(first)));
+        return items.filter(li => !items.some(other => other !== li && other.contains(li)));
+    }
+    /**
+        * @method preserveSelection
+        * @description Runs a change that moves nodes around and puts the selection back on the same nodes.
+        * Unlike character offsets this also keeps the caret in empty list items.
+        * @param {function(Map)} change Receives a map to record removed nodes -> the nodes that took their place.
+        */
+    preserveSelection(change) {
+        const sel = window.getSelection();
+        const range = sel.rangeCount ? sel.getRangeAt(0) : null;
+        const points = range && [range.startContainer, range.startOffset, range.endContainer, range.endOffset];
+        const replaced = new Map();
+        change(replaced);
+        if (!points) return;
+        const restored = document.createRange();
+        restored.setStart(replaced.get(points[0]) || points[0], points[1]);
+        restored.setEnd(replaced.get(points[2]) || points[2], points[3]);
+        sel.removeAllRanges();
+        sel.addRange(restored);
+    }
+    /**
+        * @method indentListItems
+        * @description Nests the selected list items under the item before them, in a list of the same kind (Tab).
+        * @returns {boolean} Whether anything moved.
+        */
+    indentListItems() {
+        const items = this.getSelectedListItems().filter(li => li.previousElementSibling);
+        if (!items.length) return false;
+        this.preserveSelection(() => items.forEach(li => {
+            const list = li.parentNode;
+            const previous = li.previousElementSibling;
+            let nested = previous.lastElementChild;
+            if (!nested || nested.tagName !== list.tagName) {
+                nested = document.createElement(list.tagName.toLowerCase());
+                if (list.classList.contains('checklist')) nested.className = 'checklist';
+                if (list.dir) nested.dir = list.dir;
+                previous.appendChild(nested);
+            }
+            nested.appendChild(li);
+        }));
+        if (this.language === 'ar') this.updateDirections();
+        return true;
+    }
+    /**
+        * @method outdentListItems
+        * @description Moves the selected list items one level up (Shift+Tab). The items after one keep their place
+        * in the text by becoming its children; items of a top-level list become paragraphs, splitting the list.
+        * @returns {boolean} Whether anything moved.
+        */
+    outdentListItems() {
+        const items = this.getSelectedListItems().filter(li => li.parentNode.parentNode.tagName === 'LI' || li.parentNode.parentNode === this.editor);
+        if (!items.length) return false;
+        this.preserveSelection(replaced => items.forEach(li => {
+            const list = li.parentNode;
+            const following = [];
+            for (let next = li.nextElementSibling; next; next = next.nextElementSibling) following.push(next);
+            if (following.length) {
+                let nested = li.lastElementChild;
+                if (!nested || nested.tagName !== list.tagName) {
+                    nested = document.createElement(list.tagName.toLowerCase());
+                    if (list.classList.contains('checklist')) nested.className = 'checklist';
+                    if (list.dir) nested.dir = list.dir;
+                    li.appendChild(nested);
+                }
+                following.forEach(item => nested.appendChild(item));
+            }
+            if (list.parentNode.tagName === 'LI') {
+                list.parentNode.after(li);
+                if (list.parentNode.parentNode.classList.contains('checklist') && !li.dataset.checked) li.dataset.checked = 'false';
+                if (!list.parentNode.parentNode.classList.contains('checklist')) li.removeAttribute('data-checked');
+            } else {
+                // The item's own sublists follow the new paragraph as top-level lists
+                const sublists = Array.from(li.children).filter(el => el.tagName === 'UL' || el.tagName === 'OL');
+                sublists.forEach(el => el.remove());
+                const p = document.createElement('p');
+                if (li.dir) p.dir = li.dir;
+                while (li.firstChild) p.appendChild(li.firstChild);
+                if (!p.textContent && !p.querySelector('br, img')) p.innerHTML = '<br>';
+                list.after(p, ...sublists);
+                li.remove();
+                replaced.set(li, p);
+            }
+            if (!list.children.length) list.remove();
+        }));
+        if (this.language === 'ar') this.updateDirections();
+        return true;
+    }
+    /**
+        * @method handleListTab
+        * @description Tab and Shift+Tab in a list item indent and outdent it.
+        * @returns {boolean} Whether the key was handled.
+        */
+    handleListTab(e) {
+        if (e.key !== 'Tab' || e.ctrlKey || e.metaKey || e.altKey || !this.getSelectedListItems().length) return false;
+        e.preventDefault();
+        this.saveSelection();
+        this.exec(e.shiftKey ? 'outdentList' : 'indentList');
+        return true;
+    }
+    /**
+        * @method changeListType
+        * @description Turns a ul into an ol or back, keeping its items, direction and the caret. Checklists and
+        * start numbers only belong to one of the two, so they are dropped.
+        * @returns {HTMLElement} The list now in place.
+        */
+    changeListType(list, tag) {
+        if (list.tagName === tag.toUpperCase()) return list;
+        const replacement = document.createElement(tag);
+        Array.from(list.attributes).forEach(attr => {
+            if (!['class', 'start', 'type'].includes(attr.name)) replacement.setAttribute(attr.name, attr.value);
+        });
+        this.preserveSelection(replaced => {
+            Array.from(list.children).forEach(li => li.removeAttribute('data-checked'));
+            while (list.firstChild) replacement.appendChild(list.firstChild);
+            list.replaceWith(replacement);
+            replaced.set(list, replacement);
+        });
+        return replacement;
+    }
+    /**
+        * @method getListStyle
+        * @description Returns the marker style of a list: its own list-style-type, or the default for its kind and depth.
+        * Checklists have none ('').
+        */
+    getListStyle(list) {
+        if (list.classList.contains('checklist')) return '';
+        if (list.style.listStyleType) return list.style.listStyleType;
+        if (list.tagName === 'OL') return 'decimal';
+        let depth = 0;
+        for (let el = list.parentElement; el && el !== this.editor; el = el.parentElement) {
+            if (el.tagName === 'LI') depth++;
+        }
+        return jCaret.listStyles.bulleted[Math.min(depth, 2)];
+    }
+    /**
+        * @method setListStyle
+        * @description Sets the marker style of the current list, switching between ul and ol when the style
+        * belongs to the other kind.
+        * @param {string} style One of jCaret.listStyles.
+        * @returns {boolean} Whether the list changed.
+        */
+    setListStyle(style) {
+        const { ordered, bulleted } = jCaret.listStyles;
+        let list = this.getCurrentList();
+        if (!list || (!ordered.includes(style) && !bulleted.includes(style))) return false;
+        list = this.changeListType(list, ordered.includes(style) ? 'ol' : 'ul');
+        if (list.classList.contains('checklist')) {
+            list.classList.remove('checklist');
+            if (!list.className) list.removeAttribute('class');
+            Array.from(list.children).forEach(li => li.removeAttribute('data-checked'));
+        }
+        list.style.listStyleType = style;
+        // The options menu stays open for further changes
+        this.saveSelection();
+        return true;
+    }
+    /**
+        * @method setListStart
+        * @description Sets the number the current ordered list starts at.
+        * @returns {boolean} Whether the list changed.
+        */
+    setListStart(value) {
+        const list = this.getCurrentList();
+        const start = parseInt(value, 10);
+        if (!list || list.tagName !== 'OL' || !(start >= 1)) return false;
+        if (start === 1) list.removeAttribute('start');
+        else list.setAttribute('start', start);
+        return true;
+    }
+    /**
+        * @method toggleChecklist
+        * @description Turns the current list into a checklist, or a checklist back into a bulleted list.
+        * @returns {boolean} Whether the list changed.
+        */
+    toggleChecklist() {
+        let list = this.getCurrentList();
+        if (!list) return false;
+        if (list.classList.contains('checklist')) {
+            list.classList.remove('checklist');
+            if (!list.className) list.removeAttribute('class');
+            Array.from(list.children).forEach(li => li.removeAttribute('data-checked'));
+            return true;
+        }
+        list = this.changeListType(list, 'ul');
+        list.style.removeProperty('list-style-type');
+        if (!list.getAttribute('style')) list.removeAttribute('style');
+        list.classList.add('checklist');
+        Array.from(list.children).forEach(li => { li.dataset.checked = 'false'; });
+        return true;
+    }
+    /**
+        * @method toggleChecked
+        * @description Checks the selected checklist items, or unchecks them when they are all checked.
+        * @returns {boolean} Whether anything changed.
+        */
+    toggleChecked() {
+        const items = this.getSelectedListItems().filter(li => li.parentNode.classList.contains('checklist'));
+        if (!items.length) return false;
+        const checked = items.some(li => li.dataset.checked !== 'true');
+        items.forEach(li => { li.dataset.checked = String(checked); });
+        return true;
+    }
+    /**
+        * @method onChecklistMouseDown
+        * @description Toggles a checklist item when its checkbox is clicked. The checkbox is drawn in the item's
+        * start margin, outside its content box, so the caret is left where it was.
+        */
+    onChecklistMouseDown(e) {
+        const li = e.target.closest && e.target.closest('li');
+        if (!li || !this.editor.contains(li) || !li.parentNode.classList.contains('checklist')) return;
+        const rect = li.getBoundingClientRect();
+        const rtl = getComputedStyle(li).direction === 'rtl';
+        if (rtl ? e.clientX <= rect.right : e.clientX >= rect.left) return;
+        e.preventDefault();
+        this.debouncedPush.cancel();
+        this.pushUndoState(this.lastContent);
+        li.dataset.checked = li.dataset.checked === 'true' ? 'false' : 'true';
+        this.pushUndoState(this.lastContent);
+    }
+    /**
+        * @method getCodeBlock
+        * @description Returns the code element of the code block holding the caret (or node), or null.
+        */
+    getCodeBlock(node = null) {
+        if (!node) {
+            const sel = window.getSelection();
+            if (!sel.rangeCount) return null;
+            node = sel.getRangeAt(0).startContainer;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+        const code = node && node.closest('pre > code');
+        return code && this.editor.contains(code) ? code : null;
+    }
+    /**
+        * @method getCodeLanguage
+        * @description Reads the language from a language-* (or lang-*) class, 'plaintext' when there is none.
+        */
+    getCodeLanguage(el) {
+        const match = (el && el.getAttribute('class') || '').match(/(?:^|\s)lang(?:uage)?-([\w+#-]+)/);
+        return match ? match[1].toLowerCase() : 'plaintext';
+    }
+    /**
+        * @method getCodeText
+        * @description Returns the text of a code block or preformatted block as displayed: br elements count as
+        * line breaks and the break that ends the last line is dropped.
+        */
+    getCodeText(el) {
+        return this.getTextWithBreaks(el, false).replace(/\n$/, '');
+    }
+    /**
+        * @method createCodeBlock
+        * @description Builds a left-to-right pre > code block for the given text and language.
+        */
+    createCodeBlock(text, language = 'plaintext') {
+        const pre = document.createElement('pre');
+        pre.dir = 'ltr';
+        const code = document.createElement('code');
+        code.className = `language-${/^[\w+#-]+$/.test(language || '') ? language : 'plaintext'}`;
+        code.textContent = text;
+        // Without it an empty last line would not show
+        if (!text || text.endsWith('\n')) code.appendChild(document.createElement('br'));
+        pre.appendChild(code);
+        return pre;
+    }
+    /**
+        * @method getCodeOffset
+        * @description Converts a DOM position inside a code element to a character offset in getCodeText().
+        */
+    getCodeOffset(code, container, offset) {
+        const range = document.createRange();
+        range.selectNodeContents(code);
+        range.setEnd(container, offset);
+        return this.getTextWithBreaks(range.cloneContents(), false).length;
+    }
+    /**
+        * @method setCodeSelection
+        * @description Selects the characters between two offsets of getCodeText().
+        */
+    setCodeSelection(code, start, end = start) {
+        const position = offset => {
+            const walker = document.createTreeWalker(code, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+            let remaining = offset;
+            while (walker.nextNode()) {
+                const node = walker.currentNode;
+                if (node.nodeType === Node.TEXT_NODE) {
+                    if (remaining <= node.length) return [node, remaining];
+                    remaining -= node.length;
+                } else if (node.nodeName === 'BR') {
+                    if (remaining === 0) return [node.parentNode, Array.from(node.parentNode.childNodes).indexOf(node)];
+                    remaining--;
+                }
+            }
+            return [code, code.lastChild && code.lastChild.nodeName === 'BR' ? code.childNodes.length - 1 : code.childNodes.length];
+        };
+        const range = document.createRange();
+        range.setStart(...position(start));
+        range.setEnd(...position(end));
+        const sel = window.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(range);
+    }
+    /**
+        * @method getCodeLineIndent
+        * @description Returns the leading whitespace of the code line holding the range start.
+        */
+    getCodeLineIndent(code, range) {
+        const before = this.getCodeText(code).slice(0, this.getCodeOffset(code, range.startContainer, range.startOffset));
+        return before.slice(before.lastIndexOf('\n') + 1).match(/^[ \t]*/)[0];
+    }
+    /**
+        * @method highlightCode
+        * @description Runs options.highlight on a code block and keeps the caret in place. Only spans and their
+        * classes are kept from the highlighter's output, and output that changes the text is ignored.
+        */
+    highlightCode(code) {
+        if (!this.highlighter || !code) return;
+        const text = this.getCodeText(code);
+        let html;
+        try {
+            html = this.highlighter(text, this.getCodeLanguage(code));
+        } catch (error) {
+            console.error('Code highlighting failed:', error);
+            return;
+        }
+        if (typeof html !== 'string') return;
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        template.content.querySelectorAll('*').forEach(el => {
+            if (el.tagName !== 'SPAN') {
+                el.replaceWith(...el.childNodes);
+                return;
+            }
+            Array.from(el.attributes).forEach(attr => {
+                if (attr.name !== 'class') el.removeAttribute(attr.name);
+            });
+        });
+        if (template.content.textContent !== text) return;
+        const sel = window.getSelection();
+        const range = sel.rangeCount ? sel.getRangeAt(0) : null;
+        const offsets = range && code.contains(range.startContainer) && code.contains(range.endContainer)
+            ? [this.getCodeOffset(code, range.startContainer, range.startOffset), this.getCodeOffset(code, range.endContainer, range.endOffset)]
+            : null;
+        code.innerHTML = '';
+        code.appendChild(template.content);
+        if (!text || text.endsWith('\n')) code.appendChild(document.createElement('br'));
+        if (offsets) this.setCodeSelection(code, ...offsets);
+    }
+    /**
+        * @method toggleCodeBlock
+        * @description Turns the blocks touched by the selection into one code block, or the code block holding the
+        * caret back into paragraphs, one per line (code plugin).
+        * @param {string} [language='plaintext']
+        * @returns {boolean} Whether the content changed.
+        */
+    toggleCodeBlock(language = 'plaintext') {
+        const sel = window.getSelection();
+        if (!sel.rangeCount || !this.editor.contains(sel.getRangeAt(0).commonAncestorContainer)) return false;
+        const current = this.getCodeBlock();
+        if (current) {
+            const paragraphs = this.getCodeText(current).split('\n').map(line => {
+                const p = document.createElement('p');
+                if (line) p.textContent = line;
+                else p.innerHTML = '<br>';
+                return p;
+            });
+            current.parentNode.replaceWith(...paragraphs);
+            const range = document.createRange();
+            range.setStart(paragraphs[0], 0);
+            range.setEnd(paragraphs[paragraphs.length - 1], paragraphs[paragraphs.length - 1].childNodes.length);
+            sel.removeAllRanges();
+            sel.addRange(range);
+            if (this.language === 'ar') this.updateDirections();
+            return true;
+        }
+        const range = sel.getRangeAt(0);
+        const blocks = Array.from(this.editor.children).filter(el => /^(P|DIV|H[1-6]|PRE)$/.test(el.tagName) && range.intersectsNode(el));
+        if (!blocks.length) return false;
+        const text = blocks.map(block => this.getCodeText(block).replace(/\u200B/g, '')).join('\n');
+        const pre = this.createCodeBlock(text, language || 'plaintext');
+        blocks[0].before(pre);
+        blocks.forEach(block => block.remove());
+        this.setCodeSelection(pre.firstChild, text.length);
+        this.highlightCode(pre.firstChild);
+        return true;
+    }
+    /**
+        * @method setCodeLanguage
+        * @description Sets the language of the code block holding the caret and highlights it again (code plugin).
+        * @returns {boolean} Whether the language changed.
+        */
+    setCodeLanguage(language) {
+        const code = this.getCodeBlock();
+        if (!code || !/^[\w+#-]+$/.test(language || '') || this.getCodeLanguage(code) === language) return false;
+        code.className = `language-${language}`;
+        this.highlightCode(code);
+        return true;
+    }
+    /**
+        * @method toggleInlineCode
+        * @description Wraps the selected text in a code element, or unwraps the inline code holding the selection (code plugin).
+        * The selection has to stay within one block.
+        * @returns {boolean} Whether the content changed.
         */
-    mergeNestedSpans() {
-        let merged;
-        do {
-            merged = false;
-            const spans = Array.from(this.editor.querySelectorAll('span'));
-            for (const span of spans) {
-                if (span.children.length === 1 && span.children[0].tagName === 'SPAN') {
-                    const inner = span.children[0];
-                    // Merge styles (inner overrides outer)
-                    for (let i = 0; i < inner.style.length; i++) {
-                        const prop = inner.style[i];
-                        span.style[prop] = inner.style[prop];
-                    }
-                    // Move inner children to outer
-                    while (inner.firstChild) {
-                        span.insertBefore(inner.firstChild, inner);
-                    }
-                    inner.remove();
-                    merged = true;
+    toggleInlineCode() {
+        const sel = window.getSelection();
+        if (!sel.rangeCount) return false;
+        const range = sel.getRangeAt(0);
+        let node = range.commonAncestorContainer;
+        if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+        if (!node || !this.editor.contains(node) || node.closest('pre')) return false;
+        const newRange = document.createRange();
+        const existing = node.closest('code');
+        if (existing) {
+            const text = document.createTextNode(existing.textContent);
+            existing.replaceWith(text);
+            newRange.selectNodeContents(text);
+        } else {
+            if (range.collapsed || node === this.editor) return false;
+            const text = range.toString().replace(/\u200B/g, '');
+            if (!text) return false;
+            const code = document.createElement('code');
+            code.textContent = text;
+            range.deleteContents();
+            range.insertNode(code);
+            newRange.selectNodeContents(code);
+        }
+        sel.removeAllRanges();
+        sel.addRange(newRange);
+        return true;
+    }
+    /**
+        * @method indentCode
+        * @description Indents (or outdents) the code lines touched by the selection by four spaces. A caret without
+        * a selection just inserts the spaces (code plugin).
+        * @param {HTMLElement} code
+        * @param {boolean} [outdent=false]
+        */
+    indentCode(code, outdent = false) {
+        const indent = '    ';
+        const range = window.getSelection().getRangeAt(0);
+        const start = this.getCodeOffset(code, range.startContainer, range.startOffset);
+        const end = this.getCodeOffset(code, range.endContainer, range.endOffset);
+        if (!outdent && start === end) {
+            document.execCommand('insertText', false, indent);
+            return;
+        }
+        const text = this.getCodeText(code);
+        const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+        // A selection that ends at the start of a line leaves that line alone
+        const lastLine = end > start && text[end - 1] === '\n' ? end - 1 : end;
+        const lineEnd = text.indexOf('\n', lastLine) === -1 ? text.length : text.indexOf('\n', lastLine);
+        let firstShift = 0;
+        let totalShift = 0;
+        const lines = text.slice(lineStart, lineEnd).split('\n').map((line, i) => {
+            const shift = outdent ? -(line.match(/^( {1,4}|\t)/) || [''])[0].length : indent.length;
+            if (i === 0) firstShift = shift;
+            totalShift += shift;
+            return outdent ? line.slice(-shift) : indent + line;
+        });
+        if (!totalShift) return;
+        const newStart = Math.max(lineStart, start + firstShift);
+        const newEnd = start === end ? newStart : Math.max(newStart, end + totalShift);
+        this.debouncedPush.cancel();
+        this.pushUndoState(this.lastContent);
+        code.textContent = text.slice(0, lineStart) + lines.join('\n') + text.slice(lineEnd);
+        if (code.textContent.endsWith('\n') || !code.textContent) code.appendChild(document.createElement('br'));
+        this.setCodeSelection(code, newStart, newEnd);
+        this.highlightCode(code);
+        this.pushUndoState(this.lastContent);
+    }
+    /**
+        * @method onCodeKeyDown
+        * @description Tab and Shift+Tab indent and outdent inside code blocks instead of leaving the editor (code plugin).
+        */
+    onCodeKeyDown(e) {
+        if (e.key !== 'Tab' || e.ctrlKey || e.metaKey || e.altKey) return;
+        const code = this.getCodeBlock();
+        if (!code) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        this.indentCode(code, e.shiftKey);
+    }
+    /**
+        * @method updateCodeLanguageSelect
+        * @description Shows the language selector at the top corner of the code block holding the caret (code plugin).
+        */
+    updateCodeLanguageSelect() {
+        const select = this.codeLanguageSelect;
+        if (!select) return;
+        const code = this.getCodeBlock();
+        select.classList.toggle('hidden', !code);
+        if (!code) return;
+        const language = this.getCodeLanguage(code);
+        if (!Array.from(select.options).some(option => option.value === language)) select.add(new Option(language, language));
+        select.value = language;
+        const rect = code.parentNode.getBoundingClientRect();
+        const wrapperRect = this.editorWrapper.getBoundingClientRect();
+        select.style.top = `${rect.top - wrapperRect.top + 4}px`;
+        select.style.right = `${wrapperRect.right - rect.right + 4}px`;
+    }
+    /**
+        * @method normalizeArabicText
+        * @description Folds Arabic spelling variants for searching: tashkeel and tatweel are left out, أ/إ/آ/ٱ read as ا
+        * and ة as ه.
+        * @returns {{text: string, map: number[]}} The folded text and, for each of its characters, the index in the original.
+        */
+    normalizeArabicText(text) {
+        let folded = '';
+        const map = [];
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (/[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/.test(c)) continue;
+            folded += /[\u0622\u0623\u0625\u0671]/.test(c) ? '\u0627' : c === '\u0629' ? '\u0647' : c;
+            map.push(i);
+        }
+        return { text: folded, map };
+    }
+    /**
+        * @method getSearchSegments
+        * @description Splits the editor text into the runs a match can span: the text of one block (paragraph,
+        * heading, list item, quote, cell, caption...) up to a line break.
+        * @returns {Array<{block: HTMLElement, text: string, nodes: Array<{node: Text, start: number}>}>}
+        */
+    getSearchSegments() {
+        const segments = [];
+        let segment = null;
+        const walker = document.createTreeWalker(this.editor, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+        let node;
+        while ((node = walker.nextNode())) {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                if (node.tagName === 'BR') segment = null;
+                continue;
+            }
+            // Upload progress and other widgets inside non-editable figures are not content
+            const editable = node.parentElement.closest('[contenteditable]');
+            if (editable && editable.getAttribute('contenteditable') === 'false') continue;
+            const block = node.parentElement.closest('p, div, h1, h2, h3, h4, h5, h6, pre, blockquote, li, td, th, figcaption');
+            if (!segment || segment.block !== block) {
+                segment = { block, text: '', nodes: [] };
+                segments.push(segment);
+            }
+            segment.nodes.push({ node, start: segment.text.length });
+            segment.text += node.textContent;
+        }
+        return segments;
+    }
+    /**
+        * @method search
+        * @description Finds the text matching a query. Matches never span two blocks or a line break.
+        * @param {string} query The text to find, or a regular expression source with options.regex.
+        * @param {object} [options={}] caseSensitive, wholeWord, regex and normalizeArabic (see normalizeArabicText()).
+        * @returns {Array<{range: Range, text: string, groups: string[], block: HTMLElement}>} The matches in document order.
+        * @throws {SyntaxError} When options.regex is set and the query is not a valid regular expression.
+        */
+    search(query, options = {}) {
+        if (!query) return [];
+        const fold = text => options.normalizeArabic ? this.normalizeArabicText(text) : { text, map: null };
+        let source = fold(options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).text;
+        if (options.wholeWord) source = `(?<![\\p{L}\\p{M}\\p{N}_])(?:${source})(?![\\p{L}\\p{M}\\p{N}_])`;
+        const pattern = new RegExp(source, options.caseSensitive ? 'gu' : 'giu');
+        const matches = [];
+        this.getSearchSegments().forEach(segment => {
+            const { text, map } = fold(segment.text);
+            const locate = (index, isEnd) => {
+                const entry = segment.nodes.find(n => isEnd ? index <= n.start + n.node.length : index < n.start + n.node.length);
+                return [entry.node, index - entry.start];
+            };
+            pattern.lastIndex = 0;
+            let m;
+            while ((m = pattern.exec(text))) {
+                if (!m[0].length) {
+                    pattern.lastIndex++;
+                    continue;
                 }
+                // Folded characters map back to the original; marks after the last one belong to the match
+                const end = m.index + m[0].length;
+                const start = map ? map[m.index] : m.index;
+                const originalEnd = map ? (end < text.length ? map[end] : segment.text.length) : end;
+                const range = document.createRange();
+                range.setStart(...locate(start, false));
+                range.setEnd(...locate(originalEnd, true));
+                matches.push({ range, text: segment.text.slice(start, originalEnd), groups: m.slice(1), block: segment.block });
             }
-        } while (merged);
+        });
+        return matches;
     }
     /**
-    * @method isRTLL
-    * @description Checks if inserted Character is in RTL Direction or not.
-    */
-    isFirstCharNotRTL(text) {
-        if (!text || typeof text !== 'string') {
-            return true; // Or handle as needed (e.g., empty string)
+        * @method replaceMatches
+        * @description Replaces search matches (see search()) with a text, as one undo step. With options.regex, $& and
+        * $1–$99 in the replacement insert the match and its groups, and $$ a dollar sign. Under options.maxLength,
+        * matches are replaced in document order until the next one would go over the limit.
+        * @returns {number} How many matches were replaced.
+        */
+    replaceMatches(matches, replacement, options = {}) {
+        // Matches whose text was deleted since the search have collapsed
+        const live = matches.filter(match => !match.range.collapsed && this.editor.contains(match.range.startContainer));
+        let room = this.maxLength ? this.maxLength - this.getCharacterCount() : Infinity;
+        const replacements = [];
+        for (const match of live) {
+            const text = options.regex
+                ? replacement.replace(/\$(\$|&|\d{1,2})/g, (token, key) => {
+                    if (key === '$') return '$';
+                    if (key === '&') return match.text;
+                    // Groups that did not take part in the match insert nothing; numbers the pattern lacks stay literal
+                    return key >= 1 && key <= match.groups.length ? match.groups[key - 1] ?? '' : token;
+                })
+                : replacement;
+            const growth = this.countCharacters(text) - this.countCharacters(match.text);
+            if (growth > 0 && growth > room) {
+                this.emit('maxLengthExceeded', { maxLength: this.maxLength, text });
+                break;
+            }
+            room -= growth;
+            replacements.push({ match, text });
         }
-        
-        // Regex for common RTL Unicode ranges (Hebrew, Arabic, Syriac, Thaana, etc.)
-        const rtlRegex = /[\u0590-\u05FF\u0600-\u06FF\u0700-\u074F\u0750-\u077F\u07C0-\u07FF\u08A0-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
-        
-        const firstChar = text.charAt(0);
-        return !rtlRegex.test(firstChar);
+        if (!replacements.length) return 0;
+        this.debouncedPush.cancel();
+        this.pushUndoState(this.lastContent);
+        // Last first, so the ranges of the earlier matches stay where they are
+        replacements.reverse().forEach(({ match, text }) => {
+            match.range.deleteContents();
+            if (text) match.range.insertNode(document.createTextNode(text));
+            if (match.block !== this.editor && !match.block.textContent && !match.block.querySelector('br, img')) match.block.appendChild(document.createElement('br'));
+            if (match.block.tagName === 'PRE') this.highlightCode(match.block.querySelector('code'));
+        });
+        this.pushUndoState(this.lastContent);
+        return replacements.length;
     }
-    getThisCurrentBlockElement() {
-        let node = window.getSelection().anchorNode;
-        while (node && node.nodeType !== Node.ELEMENT_NODE) {
-            node = node.parentNode;
+    /**
+        * @method getFindOptions
+        * @description Reads the search options from the find panel (find plugin).
+        */
+    getFindOptions() {
+        return {
+            caseSensitive: this.byId('findCase').checked,
+            wholeWord: this.byId('findWord').checked,
+            regex: this.byId('findRegex').checked,
+            normalizeArabic: this.byId('findArabic').checked
+        };
+    }
+    /**
+        * @method openFindPanel
+        * @description Opens the find panel, starting with the selected text; `replace` also shows the replace row.
+        */
+    openFindPanel(replace) {
+        const input = this.byId('findInput');
+        const selected = this.savedRange ? this.savedRange.toString() : '';
+        if (selected.trim() && !/\n/.test(selected) && selected.length <= 100) input.value = selected;
+        if (replace) this.byId('replaceRow').classList.remove('hidden');
+        else if (this.findPanel.classList.contains('hidden')) this.byId('replaceRow').classList.add('hidden');
+        this.findPanel.classList.remove('hidden');
+        this.findStart = this.savedRange ? this.savedRange.cloneRange() : null;
+        this.updateFind();
+        input.focus();
+        input.select();
+    }
+    /**
+        * @method closeFindPanel
+        * @description Closes the find panel and selects the current match in the editor.
+        */
+    closeFindPanel() {
+        const current = this.findMatches[this.findIndex];
+        this.findPanel.classList.add('hidden');
+        this.setFindHighlights(true);
+        this.findMatches = [];
+        this.findIndex = -1;
+        this.editor.focus();
+        if (current && !current.range.collapsed) {
+            const sel = window.getSelection();
+            sel.removeAllRanges();
+            sel.addRange(current.range);
         }
-        // Climb up to the nearest block-level element (adjust tags as per your editor)
-        const blockTags = /^(P|DIV|LI|H[1-6]|PRE|BLOCKQUOTE)$/i;
-        while (node && node !== this.editor && !blockTags.test(node.tagName)) {
-            node = node.parentNode;
+    }
+    /**
+        * @method updateFind
+        * @description Searches again and makes the first match at or after `anchor` the current one.
+        * @param {Range} [anchor] Where to continue from; the caret when the panel was opened by default.
+        */
+    updateFind(anchor = this.findStart) {
+        const input = this.byId('findInput');
+        input.classList.remove('border-red-500');
+        let matches = [];
+        try {
+            matches = this.search(input.value, this.getFindOptions());
+        } catch (_) {
+            // A regular expression still being typed
+            input.classList.add('border-red-500');
         }
-        return node && blockTags.test(node.tagName) ? node : null;
+        this.findMatches = matches;
+        this.findIndex = matches.length ? Math.max(0, matches.findIndex(m => anchor && m.range.compareBoundaryPoints(Range.START_TO_START, anchor) >= 0)) : -1;
+        this.renderFindMatches();
+    }
+    /**
+        * @method moveFindMatch
+        * @description Makes the next (1) or previous (-1) match the current one, wrapping around.
+        */
+    moveFindMatch(step) {
+        if (!this.findMatches.length) return;
+        this.findIndex = (this.findIndex + step + this.findMatches.length) % this.findMatches.length;
+        this.renderFindMatches();
+    }
+    /**
+        * @method replaceFindMatch
+        * @description Replaces the current match and moves on to the next one.
+        */
+    replaceFindMatch() {
+        const match = this.findMatches[this.findIndex];
+        if (!match) return;
+        this.replaceMatches([match], this.byId('replaceInput').value, this.getFindOptions());
+        // Continue after the replacement, which may itself match
+        const next = match.range.cloneRange();
+        next.collapse(false);
+        this.updateFind(next);
+    }
+    /**
+        * @method replaceAllFindMatches
+        * @description Replaces every match as a single undo step.
+        */
+    replaceAllFindMatches() {
+        const count = this.replaceMatches(this.findMatches, this.byId('replaceInput').value, this.getFindOptions());
+        this.updateFind();
+        if (count) this.byId('findCount').textContent = this.i18n.replacedCount.replace('{count}', count);
+    }
+    /**
+        * @method renderFindMatches
+        * @description Shows the match count, highlights the matches and scrolls the current one into view.
+        */
+    renderFindMatches() {
+        const total = this.findMatches.length;
+        this.byId('findCount').textContent = !this.byId('findInput').value ? ''
+            : total ? this.i18n.findCount.replace('{current}', this.findIndex + 1).replace('{total}', total) : this.i18n.noMatches;
+        this.setFindHighlights();
+        const current = this.findMatches[this.findIndex];
+        if (current) current.range.startContainer.parentElement.scrollIntoView({ block: 'nearest' });
+    }
+    /**
+        * @method setFindHighlights
+        * @description Paints the matches with the CSS Custom Highlight API, without touching the content.
+        * Browsers without the API still count and step through the matches.
+        * @param {boolean} [clear=false] Remove this editor's highlights.
+        */
+    setFindHighlights(clear = false) {
+        if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight === 'undefined') return;
+        // The registry is shared by every editor on the page, so each editor removes only its own ranges
+        ['jcaret-find', 'jcaret-find-current'].forEach(name => {
+            if (!CSS.highlights.has(name)) CSS.highlights.set(name, new Highlight());
+        });
+        const all = CSS.highlights.get('jcaret-find');
+        const current = CSS.highlights.get('jcaret-find-current');
+        (this.findHighlights || []).forEach(range => {
+            all.delete(range);
+            current.delete(range);
+        });
+        this.findHighlights = clear ? [] : this.findMatches.map(match => match.range);
+        this.findHighlights.forEach((range, i) => (i === this.findIndex ? current : all).add(range));
     }
     /**
     * @method onKeyDown
@@ -1844,52 +6714,9 @@ if (prevBlock) {
             }
         
         }*/
-        
-                    // NEW: Font size increase (Ctrl +)
-                    if (e.ctrlKey && (e.key === '+' || e.key === '=')) {
-                        e.preventDefault();
-                        this.saveSelection();
-                        this.restoreSelection(); // Ensure selection is active
-                        const oldContent = this.editor.innerHTML;
-                        const sel = window.getSelection();
-                        if (!sel.rangeCount) return;
-                       
-                        let el = sel.getRangeAt(0).startContainer;
-                        if (el.nodeType === Node.TEXT_NODE) el = el.parentElement;
-                        // Ensure the element is inside the editor
-                        if (!this.editor.contains(el)) el = this.editor;
-                        const style = window.getComputedStyle(el, null).getPropertyValue('font-size');
-                        const currentPx = parseFloat(style);
-                        const newPx = currentPx + 2; // Increment by 2px
-                        this.applyInlineStyle('font-size', `${newPx}px`);
-                this.mergeNestedSpans();
-                        this.pushUndoState(oldContent); // Use helper to save undo state
-                        return; // Stop further execution
-                    }
-                    // NEW: Font size decrease (Ctrl -)
-                    if (e.ctrlKey && e.key === '-') {
-                        e.preventDefault();
-                        this.saveSelection();
-                        this.restoreSelection();
-                        const oldContent = this.editor.innerHTML;
-                        const sel = window.getSelection();
-                        if (!sel.rangeCount) return;
-                      let el = sel.getRangeAt(0).startContainer;
-                        if (el.nodeType === Node.TEXT_NODE) el = el.parentElement;
-                       
-                        // Ensure the element is inside the editor
-                        if (!this.editor.contains(el)) el = this.editor;
-                        const style = window.getComputedStyle(el, null).getPropertyValue('font-size');
-                        const currentPx = parseFloat(style);
-                        const minPx = 10; // Minimum pixel size (approx. HTML size 1)
-                        let newPx = currentPx - 2; // Decrement by 2px
-                        if (newPx < minPx) newPx = minPx;
-                        this.applyInlineStyle('font-size', `${newPx}px`);
-                this.mergeNestedSpans();
-                       
-                        this.pushUndoState(oldContent); // Use helper to save undo state
-                        return; // Stop further execution
-                    }
+        if (this.handleShortcut(e)) return;
+        if (this.applyBlockShortcut(e)) return;
+        if (this.handleListTab(e)) return;
 
                     if (e.key === 'Enter' || e.key === ' ') {
                         try {
@@ -1897,13 +6724,13 @@ if (prevBlock) {
                             const isHighlightActive = !(currentValue === 'rgb(0, 0, 0)' || currentValue === 'rgb(255, 255, 255)' || currentValue === '#000000' || currentValue === '#ffffff' || currentValue === 'transparent' || currentValue === '');
                             if (isHighlightActive) {
                                 if (e.key === 'Enter'){
-                                    document.querySelector('#highlightBar').style.backgroundColor = '#ffffff';
+                                    this.highlightBar.style.backgroundColor = '#ffffff';
                                     //document.execCommand('insertHTML', false, "<p></p>");
                                 }
                                 document.execCommand('backColor', false, '#ffffff');
-                                document.querySelector('#highlightBar').style.backgroundColor = '#ffffff';
+                                this.highlightBar.style.backgroundColor = '#ffffff';
                             }else{
-                                document.querySelector('#highlightBar').style.backgroundColor = "#ffffff";
+                                this.highlightBar.style.backgroundColor = "#ffffff";
                                 document.execCommand('backColor', false, '#ffffff');
                             }
                         } catch (error) {
@@ -1918,21 +6745,37 @@ if (prevBlock) {
                         let container = range.startContainer;
                         if (container.nodeType !== Node.ELEMENT_NODE) container = container.parentElement;
                         const blockquote = container.closest('blockquote');
-                        if (blockquote) {
+                        // Enter at the end of a heading, or on an empty last line of preformatted text, continues with a paragraph
+                        const heading = container.closest('h1, h2, h3, h4, h5, h6');
+                        const pre = container.closest('pre');
+                        // Code can hold a blank line, so it takes two empty lines to leave a code block
+                        const code = container.closest('pre > code');
+                        const preExit = pre && this.isCaretAtBlockEnd(pre, range) && (code ? /(^|\n)\n\n$/ : /(^|\n)\n$/).test(this.getTextWithBreaks(pre, false).replace(/\u200B/g, ''));
+                        const exitBlock = blockquote || (heading && this.isCaretAtBlockEnd(heading, range) ? heading : null) || (preExit ? pre : null);
+                        if (pre && !preExit) {
+                            const indent = code ? this.getCodeLineIndent(code, range) : '';
+                            document.execCommand('insertLineBreak', false, null);
+                            if (indent) document.execCommand('insertText', false, indent);
+                        } else if (exitBlock) {
+                            if (preExit) this.trimTrailingBreaks(code || pre);
                             const newP = document.createElement('p');
                             newP.innerHTML = '<br>';
-                          blockquote.after(newP);
+                            exitBlock.after(newP);
                             const newRange = document.createRange();
                             newRange.setStart(newP, 0);
                             newRange.collapse(true);
                             sel.removeAllRanges();
                             sel.addRange(newRange);
-                      } else {
+                        } else {
+                            const item = container.closest('li');
                             document.execCommand('insertParagraph', false, null);
+                            // A new checklist item starts unchecked
+                            const newItem = this.getSelectedListItems()[0];
+                            if (newItem && newItem !== item && newItem.parentNode.classList.contains('checklist')) newItem.dataset.checked = 'false';
                         }
                         let block = sel.getRangeAt(0).startContainer;
                         while (block && block.nodeType !== Node.ELEMENT_NODE) block = block.parentNode;
-                        block = block.closest('p, blockquote');
+                        block = block.closest('p, h1, h2, h3, h4, h5, h6, pre, blockquote');
                         if (block) {
                             const spans = block.querySelectorAll('span[style*="background-color"]');
                             spans.forEach(span => {
@@ -1973,38 +6816,531 @@ if (prevBlock) {
                     }
                     if (e.key === 'Delete') {
                         const oldContent = this.editor.innerHTML;
-                        const sel = window.getSelection();
-                        if (!sel.rangeCount) return;
-                        const range = sel.getRangeAt(0);
-                        if (range.collapsed) {
-                            let node = range.startContainer;
-                            if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
-                            const td = node.closest('td');
-                            if (td && (td.innerHTML === '<br>' || td.textContent.trim() === '')) {
-                                e.preventDefault();
-                                const resizable = td.closest('.resizable');
-                                if (resizable) {
-                                    resizable.remove();
-                                    this.selectedResizable = null;
-                                    this.updateToolbarState();
-                                    return;
-                                }
-                            }
-                        }
-                    if (this.selectedResizable) {
-                      e.preventDefault();
-                        this.selectedResizable.remove();
-                        this.selectedResizable = null;
-                      this.updateToolbarState();
-                    }
-            if (this.editor.innerHTML !== oldContent) {
-                this.undoStack.push(oldContent);
-                this.redoStack = [];
-                this.lastContent = this.editor.innerHTML;
-                this.saveAll();
-            }
+                        const sel = window.getSelection();
+                        if (!sel.rangeCount) return;
+                        let node = sel.getRangeAt(0).startContainer;
+                        if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+                        // Inside a cell Delete edits the cell, never the whole table
+                        if (this.selectedResizable && !node.closest('td, th')) {
+                            e.preventDefault();
+                            this.selectedResizable.remove();
+                            this.selectedResizable = null;
+                            this.updateToolbarState();
+                        }
+            this.pushUndoState(oldContent);
         }
      }
+    /**
+        * @method onPaste
+        * @description Replaces the browser's paste with a cleaned-up insertion recorded as a single undo step.
+        * Ctrl+Shift+V pastes plain text.
+        */
+    onPaste(e) {
+        const clipboard = e.clipboardData || window.clipboardData;
+        const plainText = this.pastePlainText;
+        this.pastePlainText = false;
+        if (!clipboard) return;
+        e.preventDefault();
+        const files = this.getTransferFiles(clipboard);
+        if (files.length) {
+            this.insertFiles(files);
+            return;
+        }
+        // Code blocks take the plain text
+        const code = this.getCodeBlock();
+        if (code) {
+            const text = this.clampToMaxLength(clipboard.getData('text/plain').replace(/\r\n?/g, '\n'));
+            if (!text) return;
+            this.debouncedPush.cancel();
+            this.pushUndoState(this.lastContent);
+            const oldContent = this.editor.innerHTML;
+            document.execCommand('insertText', false, text);
+            this.highlightCode(code);
+            this.pushUndoState(oldContent);
+            return;
+        }
+        const html = clipboard.getData('text/html');
+        const pasted = html && !plainText ? this.cleanPastedHTML(html) : this.textToHTML(clipboard.getData('text/plain'));
+        const content = this.fitToMaxLength(this.sanitizeHTML(this.runHook('paste', pasted)), clipboard.getData('text/plain'));
+        if (!content) return;
+        // Pending typing becomes its own undo step, so the paste can be undone on its own
+        this.debouncedPush.cancel();
+        this.pushUndoState(this.lastContent);
+        const oldContent = this.editor.innerHTML;
+        this.editor.focus();
+        document.execCommand('insertHTML', false, content);
+        this.hydrateContent();
+        this.pushUndoState(oldContent);
+        this.updateToolbarState();
+    }
+    /**
+        * @method onDrop
+        * @description Inserts HTML or text dropped from outside the editor at the drop point, sanitized,
+        * as a single undo step. Dropped files go through insertFiles().
+        */
+    onDrop(e) {
+        if (this.isInternalDrag || !e.dataTransfer) return;
+        const files = this.getTransferFiles(e.dataTransfer);
+        if (files.length) {
+            // Never let the browser navigate to a dropped file
+            e.preventDefault();
+            const range = this.getRangeFromPoint(e.clientX, e.clientY);
+            if (!range) return;
+            this.editor.focus();
+            const sel = window.getSelection();
+            sel.removeAllRanges();
+            sel.addRange(range);
+            this.insertFiles(files);
+            return;
+        }
+        const html = e.dataTransfer.getData('text/html');
+        const text = e.dataTransfer.getData('text/plain');
+        if (!html && !text) return;
+        e.preventDefault();
+        const range = this.getRangeFromPoint(e.clientX, e.clientY);
+        if (!range) return;
+        let content = html ? this.sanitizeHTML(this.cleanPastedHTML(html)) : this.textToHTML(text);
+        if (!content) return;
+        this.debouncedPush.cancel();
+        this.pushUndoState(this.lastContent);
+        const oldContent = this.editor.innerHTML;
+        this.editor.focus();
+        const sel = window.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(range);
+        // Measured at the drop point
+        content = this.fitToMaxLength(content, text);
+        if (!content) return;
+        document.execCommand('insertHTML', false, content);
+        this.hydrateContent();
+        this.pushUndoState(oldContent);
+    }
+    /**
+        * @method getRangeFromPoint
+        * @description Returns a collapsed range at the given viewport coordinates when it lies inside the editor.
+        */
+    getRangeFromPoint(x, y) {
+        let range = null;
+        if (document.caretRangeFromPoint) {
+            range = document.caretRangeFromPoint(x, y);
+        } else if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(x, y);
+            if (position) {
+                range = document.createRange();
+                range.setStart(position.offsetNode, position.offset);
+                range.collapse(true);
+            }
+        }
+        return range && this.editor.contains(range.startContainer) ? range : null;
+    }
+    /**
+        * @method textToHTML
+        * @description Converts plain text to escaped HTML; multi-line text becomes one paragraph per line.
+        */
+    textToHTML(text) {
+        if (!text) return '';
+        const escape = t => t.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const lines = text.replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n');
+        if (lines.length === 1) return escape(lines[0]);
+        return lines.map(line => line.trim() ? `<p>${escape(line)}</p>` : '<p><br></p>').join('');
+    }
+    /**
+        * @method cleanPastedHTML
+        * @description Normalizes pasted HTML (Word, Google Docs, web pages) to the elements jCaret produces:
+        * p, blockquote, ul/ol/li, figure/table, a, b/i/u/s, sup/sub and span with font/color styles.
+        * @param {string} html The clipboard HTML.
+        * @returns {string} The cleaned HTML.
+        */
+    cleanPastedHTML(html) {
+        // DOMParser documents are inert: no scripts run and no images load
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const body = doc.body;
+        const walker = doc.createTreeWalker(body, NodeFilter.SHOW_COMMENT);
+        const comments = [];
+        while (walker.nextNode()) comments.push(walker.currentNode);
+        comments.forEach(c => c.remove());
+        body.querySelectorAll('script, style, meta, link, title, xml, iframe, object, embed, noscript, template, svg, canvas, form, input, button, select, textarea').forEach(el => el.remove());
+        // Office namespaced tags (o:p, v:shape, w:sdt...)
+        Array.from(body.getElementsByTagName('*')).forEach(el => {
+            if (el.tagName.includes(':')) el.remove();
+        });
+        this.convertWordLists(body);
+        body.querySelectorAll('span[style*="mso-list"]').forEach(span => {
+            if (/mso-list:\s*ignore/i.test(span.getAttribute('style'))) span.remove();
+        });
+        // Google Docs wraps the whole clipboard in <b id="docs-internal-guid-...">
+        body.querySelectorAll('b[id^="docs-internal-guid"]').forEach(b => b.replaceWith(...b.childNodes));
+
+        const fragment = document.createElement('div');
+        Array.from(body.childNodes).forEach(child => {
+            const node = this.normalizePastedNode(child);
+            if (node) fragment.appendChild(node);
+        });
+        // List items and cells hold their text directly, not in paragraphs or headings
+        fragment.querySelectorAll('p, h1, h2, h3, h4, h5, h6, pre').forEach(p => {
+            if (!p.parentElement || !p.parentElement.matches('li, td, th')) return;
+            if (p.nextElementSibling && /^(P|H[1-6]|PRE)$/.test(p.nextElementSibling.tagName)) p.appendChild(document.createElement('br'));
+            p.replaceWith(...p.childNodes);
+        });
+        // Empty inline wrappers left over from stripped styles
+        fragment.querySelectorAll('span, b, i, u, s, sup, sub, a').forEach(el => {
+            if (!el.textContent && !el.querySelector('img, br')) el.remove();
+        });
+        fragment.querySelectorAll('p').forEach(p => {
+            if (!p.textContent.replace(/\u00a0/g, '').trim() && !p.querySelector('img')) p.innerHTML = '<br>';
+        });
+        // Figures cannot live inside paragraphs or inline elements: move them up to the top level
+        fragment.querySelectorAll('figure').forEach(figure => {
+            let top = figure;
+            while (top.parentNode !== fragment) top = top.parentNode;
+            if (top !== figure) top.after(figure);
+        });
+        fragment.querySelectorAll('p').forEach(p => {
+            if (!p.textContent.trim() && !p.querySelector('img, br')) p.remove();
+        });
+        // Whitespace between blocks is formatting of the source document, not content
+        fragment.querySelectorAll('ul, ol, table, tbody, thead, tfoot, tr').forEach(el => {
+            Array.from(el.childNodes).forEach(n => { if (n.nodeType === Node.TEXT_NODE && !n.textContent.trim()) n.remove(); });
+        });
+        const blockTags = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE', 'BLOCKQUOTE', 'UL', 'OL', 'FIGURE'];
+        const hasBlocks = Array.from(fragment.children).some(el => blockTags.includes(el.tagName));
+        if (hasBlocks) {
+            // Wrap runs of top-level inline content in paragraphs
+            let paragraph = null;
+            Array.from(fragment.childNodes).forEach(n => {
+                if (n.nodeType === Node.ELEMENT_NODE && blockTags.includes(n.tagName)) {
+                    paragraph = null;
+                } else if (n.nodeType === Node.TEXT_NODE && !n.textContent.trim()) {
+                    n.remove();
+                } else {
+                    if (!paragraph) {
+                        paragraph = document.createElement('p');
+                        n.before(paragraph);
+                    }
+                    paragraph.appendChild(n);
+                }
+            });
+        }
+        return fragment.innerHTML.trim();
+    }
+    /**
+        * @method convertWordLists
+        * @description Turns Word's list paragraphs (styled with mso-list) into nested ul/ol elements.
+        * @param {HTMLElement} body The parsed clipboard body (modified in place).
+        */
+    convertWordLists(body) {
+        const doc = body.ownerDocument;
+        let stack = [];
+        let currentRoot = null;
+        Array.from(body.querySelectorAll('p')).forEach(p => {
+            const style = p.getAttribute('style') || '';
+            const match = style.match(/mso-list:\s*l\d+\s+level(\d+)/i);
+            if (!match) return;
+            const level = parseInt(match[1], 10);
+            const marker = p.querySelector('span[style*="mso-list"]');
+            const markerText = marker ? marker.textContent.trim() : '';
+            const ordered = /^\(?([0-9]+|[a-zA-Z]{1,4})[.)]/.test(markerText);
+            if (marker) marker.remove();
+            // A run continues only while list paragraphs follow each other directly
+            let prev = p.previousSibling;
+            while (prev && prev.nodeType === Node.TEXT_NODE && !prev.textContent.trim()) prev = prev.previousSibling;
+            if (!currentRoot || prev !== currentRoot) {
+                currentRoot = doc.createElement(ordered ? 'ol' : 'ul');
+                p.before(currentRoot);
+                stack = [currentRoot];
+            }
+            while (stack.length > level) stack.pop();
+            while (stack.length < level) {
+                const nested = doc.createElement(ordered ? 'ol' : 'ul');
+                const parent = stack[stack.length - 1];
+                (parent.lastElementChild || parent).appendChild(nested);
+                stack.push(nested);
+            }
+            const li = doc.createElement('li');
+            while (p.firstChild) li.appendChild(p.firstChild);
+            stack[stack.length - 1].appendChild(li);
+            p.remove();
+        });
+    }
+    /**
+        * @method normalizePastedNode
+        * @description Rebuilds one pasted node with jCaret's element set, keeping only the attributes and
+        * styles the editor understands. Unknown elements are unwrapped.
+        * @param {Node} node The source node.
+        * @returns {Node|null} The normalized node or fragment.
+        */
+    normalizePastedNode(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            // Preformatted text keeps its line breaks and indentation
+            if (node.parentElement && node.parentElement.closest('pre')) return document.createTextNode(node.textContent.replace(/\r\n?/g, '\n'));
+            return document.createTextNode(node.textContent.replace(/[\r\n\t]+/g, ' '));
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return null;
+        const tag = node.tagName.toLowerCase();
+        const children = () => {
+            const fragment = document.createDocumentFragment();
+            Array.from(node.childNodes).forEach(child => {
+                const normalized = this.normalizePastedNode(child);
+                if (normalized) fragment.appendChild(normalized);
+            });
+            return fragment;
+        };
+        const renamed = {
+            strong: 'b', em: 'i', cite: 'i', del: 's', strike: 's', ins: 'u',
+            div: 'p', address: 'p', center: 'p'
+        };
+        const kept = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'blockquote', 'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'a', 'b', 'i', 'u', 's', 'sup', 'sub', 'br', 'span', 'font', 'code'];
+        let target = renamed[tag] || tag;
+        // Containers that hold blocks are unwrapped instead of becoming a paragraph
+        if (target === 'p' && tag !== 'p' && node.querySelector('p, div, ul, ol, table, blockquote, h1, h2, h3, h4, h5, h6, pre')) {
+            return children();
+        }
+        if (tag === 'img') return this.createPastedFigure(node);
+        if (tag === 'table') {
+            const figure = document.createElement('figure');
+            figure.className = 'resizable center';
+            const table = document.createElement('table');
+            Array.from(node.querySelectorAll('tr')).forEach(tr => {
+                if (tr.closest('table') !== node) return;
+                const row = document.createElement('tr');
+                Array.from(tr.children).forEach(cell => {
+                    const td = this.normalizePastedNode(cell);
+                    if (td) row.appendChild(td);
+                });
+                table.appendChild(row);
+            });
+            figure.appendChild(table);
+            const caption = node.querySelector('caption');
+            if (caption && caption.textContent.trim()) {
+                const figcaption = document.createElement('figcaption');
+                figcaption.className = 'caption';
+                figcaption.textContent = caption.textContent.trim();
+                figure.appendChild(figcaption);
+            }
+            return figure;
+        }
+        // Code keeps its text only; code blocks also keep their language
+        if (tag === 'pre' && node.querySelector('code')) {
+            const language = [node.querySelector('code'), node].map(el => this.getCodeLanguage(el)).find(lang => lang !== 'plaintext');
+            return this.createCodeBlock(this.getCodeText(node).replace(/\r\n?/g, '\n'), language);
+        }
+        if (tag === 'code') {
+            const code = document.createElement('code');
+            code.textContent = node.textContent.replace(/[\r\n\t]+/g, ' ');
+            return code;
+        }
+        if (!kept.includes(target)) return children();
+        const style = node.getAttribute('style') || '';
+        const cssValue = name => {
+            const m = style.match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`, 'i'));
+            return m ? m[1].trim() : '';
+        };
+        let el;
+        if (target === 'span' || target === 'font') {
+            el = document.createElement('span');
+            const color = cssValue('color') || node.getAttribute('color') || '';
+            const background = cssValue('background-color') || cssValue('background');
+            const family = cssValue('font-family') || node.getAttribute('face') || '';
+            const size = cssValue('font-size');
+            const fontSizes = ['', 'x-small', 'small', 'medium', 'large', 'x-large', 'xx-large', 'xxx-large'];
+            if (color && !/^(windowtext|inherit|initial)$/i.test(color)) el.style.color = color;
+            if (background && !/^(transparent|inherit|initial|none)$/i.test(background)) el.style.backgroundColor = background;
+            if (family && !/^(inherit|initial)$/i.test(family)) el.style.fontFamily = family;
+            if (size && !/^(inherit|initial)$/i.test(size)) el.style.fontSize = size;
+            else if (node.getAttribute('size') && fontSizes[parseInt(node.getAttribute('size'), 10)]) el.style.fontSize = fontSizes[parseInt(node.getAttribute('size'), 10)];
+            el.appendChild(children());
+            // Google Docs expresses marks through span styles
+            const weight = cssValue('font-weight');
+            const marks = [];
+            if (weight === 'bold' || parseInt(weight, 10) >= 600) marks.push('b');
+            if (cssValue('font-style') === 'italic') marks.push('i');
+            if (/underline/.test(cssValue('text-decoration'))) marks.push('u');
+            if (/line-through/.test(cssValue('text-decoration'))) marks.push('s');
+            if (cssValue('vertical-align') === 'super') marks.push('sup');
+            if (cssValue('vertical-align') === 'sub') marks.push('sub');
+            let result = el;
+            if (!el.getAttribute('style')) {
+                result = document.createDocumentFragment();
+                while (el.firstChild) result.appendChild(el.firstChild);
+            }
+            marks.forEach(mark => {
+                const wrapper = document.createElement(mark);
+                wrapper.appendChild(result);
+                result = wrapper;
+            });
+            return result;
+        }
+        el = document.createElement(target);
+        if (target === 'a' && node.getAttribute('href')) el.setAttribute('href', node.getAttribute('href'));
+        if (target === 'td' || target === 'th') {
+            ['colspan', 'rowspan', 'scope'].forEach(name => {
+                if (node.getAttribute(name) && node.getAttribute(name) !== '1') el.setAttribute(name, node.getAttribute(name));
+            });
+        }
+        if (target === 'ol' && node.getAttribute('start')) el.setAttribute('start', node.getAttribute('start'));
+        if (target === 'ol' || target === 'ul') {
+            // Marker styles come from CSS or from the legacy type attribute
+            const types = { 1: 'decimal', a: 'lower-alpha', A: 'upper-alpha', i: 'lower-roman', I: 'upper-roman' };
+            const listStyle = cssValue('list-style-type') || types[node.getAttribute('type')] || node.getAttribute('type');
+            if ([...jCaret.listStyles.ordered, ...jCaret.listStyles.bulleted].includes(listStyle)) el.style.listStyleType = listStyle;
+            if (target === 'ul' && node.classList.contains('checklist')) el.className = 'checklist';
+        }
+        if (target === 'li' && node.hasAttribute('data-checked')) el.dataset.checked = node.getAttribute('data-checked') === 'true' ? 'true' : 'false';
+        if (['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'li', 'blockquote', 'td', 'th', 'ol', 'ul'].includes(target)) {
+            const dir = node.getAttribute('dir');
+            if (dir === 'rtl' || dir === 'ltr') el.dir = dir;
+            const align = cssValue('text-align') || node.getAttribute('align') || '';
+            if (/^(left|right|center|justify)$/i.test(align)) el.style.textAlign = align.toLowerCase();
+        }
+        el.appendChild(children());
+        return el;
+    }
+    /**
+        * @method createPastedFigure
+        * @description Wraps a pasted web image in the resizable figure used for uploaded images.
+        * Local (file:, cid:) images from office documents cannot be loaded and are dropped.
+        */
+    createPastedFigure(img) {
+        const src = img.getAttribute('src') || '';
+        if (!/^(https?:|data:image\/)/i.test(src)) return null;
+        const figure = document.createElement('figure');
+        figure.className = 'resizable center';
+        const image = document.createElement('img');
+        image.src = src;
+        image.alt = img.getAttribute('alt') || '';
+        image.style.display = 'block';
+        image.style.width = '100%';
+        image.style.height = 'auto';
+        figure.appendChild(image);
+        return figure;
+    }
+    /**
+        * @method getDefaultSanitizerConfig
+        * @description The default HTML allowlist: every element and attribute jCaret itself produces.
+        * `tags` maps an allowed tag to its allowed attributes ('*' lists attributes allowed on every tag).
+        */
+    getDefaultSanitizerConfig() {
+        return {
+            tags: {
+                '*': ['dir', 'style'],
+                p: [], div: [], blockquote: [], br: [], pre: [],
+                h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+                ul: ['class'], ol: ['start', 'type'], li: ['data-checked'],
+                figure: ['class', 'data-resize-width'], figcaption: ['class'],
+                table: [], thead: [], tbody: [], tfoot: [], tr: [], td: ['colspan', 'rowspan'], th: ['colspan', 'rowspan', 'scope'],
+                img: ['src', 'alt', 'width', 'height', 'srcset', 'sizes'],
+                a: ['href', 'target', 'title'],
+                b: [], strong: [], i: [], em: [], u: [], s: [], strike: [], sup: [], sub: [], code: ['class'],
+                span: [], font: ['face', 'size', 'color']
+            },
+            styles: ['color', 'background-color', 'font-family', 'font-size', 'font-weight', 'font-style', 'text-decoration',
+                'text-align', 'line-height', 'width', 'height', 'min-width', 'min-height', 'display', 'vertical-align', 'list-style-type'],
+            classes: ['resizable', 'left', 'center', 'right', 'full', 'caption', 'checklist'],
+            linkSchemes: ['http', 'https', 'mailto', 'tel'],
+            imageSchemes: ['http', 'https', 'data']
+        };
+    }
+    /**
+        * @method sanitizeHTML
+        * @description Filters HTML through the configured allowlist. Dangerous elements (script, style, iframe...)
+        * are removed with their content, other unknown elements are unwrapped, and attributes, classes, styles
+        * and URLs outside the allowlist are dropped.
+        * @param {string} html The untrusted HTML.
+        * @returns {string} The sanitized HTML.
+        */
+    sanitizeHTML(html) {
+        if (!this.sanitizerConfig || !html) return html || '';
+        const config = this.sanitizerConfig;
+        const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+        const dropped = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'link', 'meta', 'base',
+            'form', 'input', 'textarea', 'button', 'select', 'option', 'svg', 'math', 'template', 'noscript', 'title', 'head'];
+        const clean = parent => {
+            Array.from(parent.childNodes).forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) return;
+                if (node.nodeType !== Node.ELEMENT_NODE) {
+                    node.remove();
+                    return;
+                }
+                const tag = node.tagName.toLowerCase();
+                if (dropped.includes(tag)) {
+                    node.remove();
+                    return;
+                }
+                if (!config.tags[tag]) {
+                    clean(node);
+                    node.replaceWith(...node.childNodes);
+                    return;
+                }
+                const allowed = (config.tags['*'] || []).concat(config.tags[tag]);
+                Array.from(node.attributes).forEach(attr => {
+                    const name = attr.name.toLowerCase();
+                    if (!allowed.includes(name) || name.startsWith('on')) {
+                        node.removeAttribute(attr.name);
+                    } else if (name === 'href' && !this.isSafeURL(attr.value, 'link')) {
+                        node.removeAttribute(attr.name);
+                    } else if (name === 'src' && !this.isSafeURL(attr.value, 'image')) {
+                        node.removeAttribute(attr.name);
+                    } else if (name === 'srcset' && !this.isSafeSrcset(attr.value)) {
+                        node.removeAttribute(attr.name);
+                    } else if (name === 'style') {
+                        this.sanitizeStyle(node);
+                    } else if (name === 'class') {
+                        // Code languages are open-ended, so language-* is allowed on code
+                        const classes = attr.value.split(/\s+/).filter(c => config.classes.includes(c) || (tag === 'code' && /^language-[\w+#-]+$/.test(c)));
+                        if (classes.length) node.setAttribute('class', classes.join(' '));
+                        else node.removeAttribute('class');
+                    } else if (name === 'target') {
+                        node.setAttribute('target', '_blank');
+                        node.setAttribute('rel', 'noopener noreferrer');
+                    }
+                });
+                if (tag === 'img' && !node.getAttribute('src')) {
+                    node.remove();
+                    return;
+                }
+                clean(node);
+            });
+        };
+        clean(doc.body);
+        return doc.body.innerHTML;
+    }
+    /**
+        * @method sanitizeStyle
+        * @description Keeps only allowlisted CSS properties whose values cannot load resources or run script.
+        */
+    sanitizeStyle(node) {
+        const kept = [];
+        (node.getAttribute('style') || '').split(';').forEach(declaration => {
+            const index = declaration.indexOf(':');
+            if (index < 0) return;
+            const property = declaration.slice(0, index).trim().toLowerCase();
+            const value = declaration.slice(index + 1).trim();
+            if (!this.sanitizerConfig.styles.includes(property) || !value) return;
+            if (/url\s*\(|expression\s*\(|javascript:|[<>\\]/i.test(value)) return;
+            kept.push(`${property}: ${value}`);
+        });
+        if (kept.length) node.setAttribute('style', kept.join('; '));
+        else node.removeAttribute('style');
+    }
+    /**
+        * @method isSafeURL
+        * @description Checks a URL against the allowed schemes. Relative URLs and fragments are allowed;
+        * data: URLs are only allowed for raster images.
+        * @param {string} url The URL to check.
+        * @param {string} [kind='link'] 'link' for a[href], 'image' for img[src].
+        */
+    isSafeURL(url, kind = 'link') {
+        // Browsers ignore control characters and whitespace inside the scheme ("java\tscript:")
+        const normalized = String(url || '').replace(/[\u0000-\u0020\u007F-\u009F]/g, '').toLowerCase();
+        if (!normalized) return false;
+        const match = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+        if (!match) return true;
+        const config = this.sanitizerConfig || this.getDefaultSanitizerConfig();
+        const schemes = kind === 'image' ? config.imageSchemes : config.linkSchemes;
+        if (!schemes.includes(match[1])) return false;
+        if (match[1] === 'data') return /^data:image\/(png|jpe?g|gif|webp|avif|bmp);/.test(normalized);
+        return true;
+    }
     /**
         * @method isRTL
         * @description Checks if a given text string contains RTL characters.
@@ -2017,8 +7353,10 @@ if (prevBlock) {
         * @description Updates the dir attribute for all block-level elements based on content.
         */
     updateDirections() {
-        const blocks = this.editor.querySelectorAll('p, blockquote, ol, ul, li, td');
+        const blocks = this.editor.querySelectorAll('p, h1, h2, h3, h4, h5, h6, pre, blockquote, ol, ul, li, td, th');
         blocks.forEach(b => {
+            // Code is always left to right
+            if (b.tagName === 'PRE' && b.querySelector('code')) return;
             const t = b.textContent.trim();
             if (t) {
                 b.dir = this.isRTL(t) ? 'rtl' : 'ltr';
@@ -2053,16 +7391,36 @@ if (prevBlock) {
             node = sel.getRangeAt(0).startContainer;
             if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
             isInBlockquote = node.closest('blockquote') !== null;
-            isInTable = node.closest('td') !== null || (this.selectedResizable && this.selectedResizable.querySelector('table'));
+            isInTable = node.closest('td, th') !== null || (this.selectedResizable && this.selectedResizable.querySelector('table'));
         }
-        this.tableOperationsButton.disabled = !isInTable;
+        const list = node && this.editor.contains(node) ? node.closest('ul, ol') : null;
+        const isInChecklist = !!list && list.classList.contains('checklist');
+        this.runHook('toolbarState', { node, isInTable, isInBlockquote });
+        if (this.statusBar) this.debouncedStatusBar();
+        this.undoBtn.disabled = !this.canUndo();
+        this.redoBtn.disabled = !this.canRedo();
         commandButtons.forEach(btn => {
             const cmd = btn.dataset.command;
             if (['undo','redo','createLink','unlink','removeFormat','clearAll'].includes(cmd)) return;
+            // Plugin commands have no native state; their plugins update their buttons
+            if (this.commands[cmd]) return;
+            if (this.customButtons[cmd]) {
+                const { isActive } = this.customButtons[cmd];
+                btn.classList.toggle('is-active', !!(isActive && isActive(this)));
+                return;
+            }
             if (cmd === 'insertBlockquote') {
                 btn.classList.toggle('is-active', isInBlockquote);
                 return;
             }
+            if (cmd === 'insertChecklist' || (cmd === 'insertUnorderedList' && isInChecklist)) {
+                btn.classList.toggle('is-active', cmd === 'insertChecklist' && isInChecklist);
+                return;
+            }
+            if (cmd === 'indentList' || cmd === 'outdentList') {
+                btn.disabled = !list;
+                return;
+            }
             try {
                 const active = document.queryCommandState(cmd);
                 btn.classList.toggle('is-active', active);
@@ -2107,19 +7465,25 @@ if (prevBlock) {
         } catch (_) {
             this.fontSizeSelect.value = '';
         }
-        document.getElementById("fontColorInput").addEventListener('input', function() {
-            const selectedColor = this.value;
-            document.querySelector('#foreColorBar').style.backgroundColor = selectedColor;
-        });
-
+        const currentBlock = node && this.editor.contains(node) ? node.closest('p, div, h1, h2, h3, h4, h5, h6, pre') : null;
+        const blockTag = currentBlock && currentBlock !== this.editor && currentBlock.tagName !== 'DIV' ? currentBlock.tagName.toLowerCase() : 'p';
+        // The dropdown stops at Heading 4: pasted or imported h5/h6 show as the nearest heading instead of a blank value
+        this.blockFormatSelect.value = /^h[56]$/.test(blockTag) ? 'h4' : blockTag;
+        this.blockFormatSelect.disabled = !!(node && node.closest('li, td, th, blockquote, figcaption'));
+        this.listOptionsButton.disabled = !list;
+        if (list) {
+            this.listStyleSelect.value = this.getListStyle(list);
+            this.listStartInput.disabled = list.tagName !== 'OL';
+            if (document.activeElement !== this.listStartInput) this.listStartInput.value = list.getAttribute('start') || 1;
+        }
         let align = this.language === 'ar' ? 'justifyRight' : 'justifyLeft';
         if (this.selectedResizable) {
             if (this.selectedResizable.classList.contains('center')) align = 'justifyCenter';
             else if (this.selectedResizable.classList.contains('right')) align = 'justifyLeft';
             else if (this.selectedResizable.classList.contains('left')) align = 'justifyRight';
             else if (this.selectedResizable.classList.contains('full')) align = 'justifyFull';
-        } else if (isInTable && node.closest('td')) {
-            const td = node.closest('td');
+        } else if (isInTable && node.closest('td, th')) {
+            const td = node.closest('td, th');
             let currentAlign = td.style.textAlign || (this.language === 'ar' ? 'right' : 'left');
             if (currentAlign === 'left') align = this.language === 'ar' ? 'justifyRight' : 'justifyLeft';
             else if (currentAlign === 'right') align = this.language === 'ar' ? 'justifyLeft' : 'justifyRight';
@@ -2140,18 +7504,18 @@ if (prevBlock) {
                 if (currentBack) {
                     const hex = this.colorToHex(currentBack).toLowerCase();
                     if (hex !== '#ffffff' && hex !== '#000000' && hex !== 'transparent' && hex !== '') {
-                        this.highlightContainer.querySelector('#highlightBar').style.backgroundColor = hex;
+                        this.highlightBar.style.backgroundColor = hex;
                         this.currentHighlightColor = hex;
                     }else{
                         this.currentHighlightColor = "#ffffff";
-                        this.highlightContainer.querySelector('#highlightBar').style.backgroundColor = hex;
+                        this.highlightBar.style.backgroundColor = hex;
                     }
                 }
                 //const buttons = this.toolbar.querySelectorAll('button[data-command]:not([data-command="unlink"]):not([data-command="createLink"]):not([data-command="insertTable"]):not([data-command="justifyRight"]):not([data-command="justifyLeft"]):not([data-command="justifyCenter"]):not([data-command="justifyFull"]):not([data-command="insertUnorderedList"]):not([data-command="insertOrderedList"]):not([data-command="removeFormat"]):not([data-command="undo"]):not([data-command="redo"]):not([data-command="clearAll"]):not([data-command="showInfo"])');
                 
                 if (currentFore){
                     const hex0 = this.colorToHex(currentFore).toLowerCase();
-                    document.querySelector('#foreColorBar').style.backgroundColor = hex0;
+                    this.foreColorBar.style.backgroundColor = hex0;
                     this.fontColorInput.value = hex0;
                 }
             }else{
@@ -2161,7 +7525,7 @@ if (prevBlock) {
                 if (currentBack) {
                     const hex = this.colorToHex(currentBack).toLowerCase();
                     if (hex !== '#ffffff' && hex !== '#000000' && hex !== 'transparent' && hex !== '') {
-                        this.highlightContainer.querySelector('#highlightBar').style.backgroundColor = hex;
+                        this.highlightBar.style.backgroundColor = hex;
                         this.currentHighlightColor = hex;
                     }else{
             
@@ -2169,7 +7533,7 @@ if (prevBlock) {
                 }
                 if (currentFore){
                     const hex0 = this.colorToHex(currentFore).toLowerCase();
-                    document.querySelector('#foreColorBar').style.backgroundColor = hex0;
+                    this.foreColorBar.style.backgroundColor = hex0;
                     this.fontColorInput.value = hex0;
                 }
             }
@@ -2195,46 +7559,55 @@ if (prevBlock) {
         */
     saveAll() {
         if (this.useLocalStorage) {
-            const content = this.editor.innerHTML;
+            const content = this.getHTML();
             try {
-                localStorage.setItem('jCaretContent', content);
+                localStorage.setItem(this.storageKey, content);
             } catch (e) {
                 if ((e.name === 'QuotaExceededError' || e.code === 22) && !this.hasShownStorageWarning) {
                     this.storageModal.classList.remove('hidden');
                     this.hasShownStorageWarning = true;
+                    this.emit('storageQuotaExceeded', { key: this.storageKey, size: content.length, error: e });
                 }
             }
         }
     }
     /**
         * @method updateTableMenu
-        * @description Disables table insert buttons if max column limit is reached.
+        * @description Enables the table menu buttons that apply to the cell holding the caret: column inserts up to
+        * maxTableColumns, merges that keep the table rectangular (or of the cell selection) and splits of merged cells.
+        * Header toggles show their state.
         */
     updateTableMenu() {
-        const insertLeftBtn = this.tableMenu.querySelector('[data-command="insertColumnLeft"]');
-        const insertRightBtn = this.tableMenu.querySelector('[data-command="insertColumnRight"]');
+        const button = cmd => this.tableMenu.querySelector(`[data-command="${cmd}"]`);
         const sel = window.getSelection();
-        let table = null;
-        if (sel.rangeCount) {
-            let node = sel.anchorNode;
-            while (node && node.nodeName !== 'TABLE') {
-                if (node.nodeName === 'TD') {
-                    table = node.closest('table');
-                    break;
-                }
-                node = node.parentNode;
-            }
-        }
+        let node = sel.rangeCount ? sel.anchorNode : null;
+        if (node && node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+        const cell = node && this.editor.contains(node) ? node.closest('td, th') : null;
+        let table = cell ? cell.closest('table') : null;
         if (!table && this.selectedResizable) {
             table = this.selectedResizable.querySelector('table');
         }
-        let colCount = 0;
-        if (table && table.rows[0]) {
-            colCount = table.rows[0].cells.length;
+        const grid = table ? this.getTableGrid(table) : [[]];
+        const colCount = grid[0] ? grid[0].length : 0;
+        const disable = colCount >= this.maxTableColumns;
+        button('insertColumnLeft').disabled = disable;
+        button('insertColumnRight').disabled = disable;
+        button('downloadTableCSV').disabled = !table;
+        const rtl = table && getComputedStyle(table).direction === 'rtl';
+        const selected = !!table && !!this.cellSelection && this.cellSelection.table === table;
+        button('mergeCellRight').disabled = !selected && (!cell || !this.getMergeNeighbor(grid, cell, rtl ? 'before' : 'after'));
+        button('mergeCellDown').disabled = !selected && (!cell || !this.getMergeNeighbor(grid, cell, 'down'));
+        button('splitCell').disabled = !cell || (cell.colSpan === 1 && cell.rowSpan === 1);
+        ['toggleHeaderRow', 'toggleHeaderColumn', 'cellAlignTop', 'cellAlignMiddle', 'cellAlignBottom', 'cellBackground'].forEach(cmd => {
+            button(cmd).disabled = !cell;
+        });
+        const headerCells = kind => table ? (kind === 'row' ? grid[0] : grid.map(row => row[0])) : [];
+        button('toggleHeaderRow').classList.toggle('is-active', !!table && headerCells('row').every(c => c && c.tagName === 'TH'));
+        button('toggleHeaderColumn').classList.toggle('is-active', !!table && headerCells('column').every(c => c && c.tagName === 'TH'));
+        if (cell && cell.style.backgroundColor) {
+            const rgb = cell.style.backgroundColor.match(/\d+/g);
+            if (rgb) this.cellBackgroundInput.value = '#' + rgb.slice(0, 3).map(n => parseInt(n, 10).toString(16).padStart(2, '0')).join('');
         }
-        const disable = colCount >= 10;
-        if (insertLeftBtn) insertLeftBtn.disabled = disable;
-        if (insertRightBtn) insertRightBtn.disabled = disable;
     }
     /**
         * @method addResizeHandle
@@ -2275,8 +7648,6 @@ if (prevBlock) {
             this.aspectRatio = img ? img.naturalWidth / img.naturalHeight : null;
             this.startX = e.clientX;
             this.isResizing = true;
-            document.addEventListener('mousemove', e => this.onMouseMove(e));
-            document.addEventListener('mouseup', e => this.onMouseUp(e));
         }
     }
     /**
@@ -2295,8 +7666,6 @@ if (prevBlock) {
             this.aspectRatio = img ? img.naturalWidth / img.naturalHeight : null;
             this.startX = e.touches[0].clientX;
             this.isResizing = true;
-            document.addEventListener('touchmove', e => this.onTouchMove(e), { passive: false });
-            document.addEventListener('touchend', e => this.onTouchEnd(e));
         }
     }
     /**
@@ -2346,14 +7715,7 @@ if (prevBlock) {
     onMouseUp(e) {
         if (this.isResizing) {
             this.isResizing = false;
-            document.removeEventListener('mousemove', e => this.onMouseMove(e));
-            document.removeEventListener('mouseup', e => this.onMouseUp(e));
-            if (this.editor.innerHTML !== this.resizeOldContent) {
-                this.undoStack.push(this.resizeOldContent);
-                this.redoStack = [];
-                this.lastContent = this.editor.innerHTML;
-                this.saveAll();
-            }
+            this.pushUndoState(this.resizeOldContent);
         }
     }
     /**
@@ -2363,14 +7725,7 @@ if (prevBlock) {
     onTouchEnd(e) {
         if (this.isResizing) {
             this.isResizing = false;
-            document.removeEventListener('touchmove', e => this.onTouchMove(e));
-            document.removeEventListener('touchend', e => this.onTouchEnd(e));
-            if (this.editor.innerHTML !== this.resizeOldContent) {
-                this.undoStack.push(this.resizeOldContent);
-                this.redoStack = [];
-                this.lastContent = this.editor.innerHTML;
-                this.saveAll();
-            }
+            this.pushUndoState(this.resizeOldContent);
         }
     }
 }